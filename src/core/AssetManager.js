@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+
+/**
+ * AssetManager - URL-keyed cache for GLTF/GLB, HDR and texture loads with reference counting.
+ *
+ * Every load() is one reference; pair it with release(). Concurrent loads of the same URL share
+ * one request. When the last reference is released the asset's GPU resources are disposed
+ * (geometries, materials and every texture slot on them - see threejs_memory_management.txt).
+ *
+ * Events (THREE.EventDispatcher):
+ *   start    { url }
+ *   progress { url, loaded, total }   - Bytes for the current file (total is 0 if unknown)
+ *   load     { url, asset }
+ *   error    { url, error }
+ *   dispose  { url }
+ *
+ * Usage:
+ *   const assets = new AssetManager();
+ *   const gltf = await assets.load('/assets/pack/Farm buildings/Barn.glb');
+ *   scene.add(gltf.scene.clone());
+ *   // later
+ *   assets.release('/assets/pack/Farm buildings/Barn.glb');
+ */
+export class AssetManager extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.entries = new Map(); // url -> { type, refCount, promise, asset }
+        this.loaders = {};
+    }
+
+    static getType(url) {
+        const extension = url.split('?')[0].split('.').pop().toLowerCase();
+        switch (extension) {
+            case 'glb':
+            case 'gltf':
+                return 'gltf';
+            case 'hdr':
+                return 'hdr';
+            case 'png':
+            case 'jpg':
+            case 'jpeg':
+            case 'webp':
+                return 'texture';
+            default:
+                return null;
+        }
+    }
+
+    _getLoader(type) {
+        if (!this.loaders[type]) {
+            switch (type) {
+                case 'gltf': this.loaders[type] = new GLTFLoader(); break;
+                case 'hdr': this.loaders[type] = new RGBELoader(); break;
+                case 'texture': this.loaders[type] = new THREE.TextureLoader(); break;
+            }
+        }
+        return this.loaders[type];
+    }
+
+    /**
+     * Load (or reuse) an asset and take a reference to it
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {'gltf'|'hdr'|'texture'} [options.type] - Overrides detection from the file extension
+     * @returns {Promise<Object>} GLTF result, or THREE.Texture for hdr/texture
+     */
+    load(url, options = {}) {
+        let entry = this.entries.get(url);
+        if (entry) {
+            entry.refCount++;
+            return entry.promise;
+        }
+
+        const type = options.type || AssetManager.getType(url);
+        if (!type) {
+            return Promise.reject(new Error(`AssetManager: cannot infer asset type for "${url}"`));
+        }
+
+        entry = { type, refCount: 1, promise: null, asset: null };
+        this.entries.set(url, entry);
+        this.dispatchEvent({ type: 'start', url });
+
+        entry.promise = this._getLoader(type).loadAsync(url, (e) => {
+            this.dispatchEvent({ type: 'progress', url, loaded: e.loaded, total: e.lengthComputable ? e.total : 0 });
+        }).then((asset) => {
+            if (type === 'hdr') {
+                asset.mapping = THREE.EquirectangularReflectionMapping;
+            } else if (type === 'texture') {
+                asset.colorSpace = THREE.SRGBColorSpace;
+            }
+
+            entry.asset = asset;
+
+            // Everyone released it while it was still in flight
+            if (entry.refCount === 0) {
+                this._disposeEntry(url, entry);
+                return asset;
+            }
+
+            this.dispatchEvent({ type: 'load', url, asset });
+            return asset;
+        }, (error) => {
+            // Drop the failed entry so a later load() can retry
+            if (this.entries.get(url) === entry) this.entries.delete(url);
+            console.error(`Failed to load asset "${url}":`, error);
+            this.dispatchEvent({ type: 'error', url, error });
+            throw error;
+        });
+
+        return entry.promise;
+    }
+
+    /**
+     * Loaded asset for a URL without taking a reference (null if not loaded)
+     */
+    get(url) {
+        return this.entries.get(url)?.asset ?? null;
+    }
+
+    getRefCount(url) {
+        return this.entries.get(url)?.refCount ?? 0;
+    }
+
+    /**
+     * Drop one reference. The asset is disposed when none remain.
+     */
+    release(url) {
+        const entry = this.entries.get(url);
+        if (!entry || entry.refCount === 0) {
+            console.warn(`AssetManager: release() without a matching load() for "${url}"`);
+            return;
+        }
+
+        entry.refCount--;
+        if (entry.refCount === 0 && entry.asset) {
+            this._disposeEntry(url, entry);
+        }
+    }
+
+    _disposeEntry(url, entry) {
+        if (entry.type === 'gltf') {
+            disposeObject(entry.asset.scene);
+        } else {
+            entry.asset.dispose();
+        }
+
+        entry.asset = null;
+        if (this.entries.get(url) === entry) this.entries.delete(url);
+        this.dispatchEvent({ type: 'dispose', url });
+    }
+
+    /**
+     * Dispose everything regardless of outstanding references
+     */
+    dispose() {
+        for (const [url, entry] of this.entries) {
+            if (entry.asset) {
+                this._disposeEntry(url, entry);
+            } else {
+                // In flight: dispose as soon as it lands
+                entry.refCount = 0;
+            }
+        }
+        this.entries.clear();
+    }
+}
+
+/**
+ * Dispose every geometry, material and material texture under an object
+ */
+export function disposeObject(root) {
+    const materials = new Set();
+
+    root.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+            for (const material of Array.isArray(object.material) ? object.material : [object.material]) {
+                materials.add(material);
+            }
+        }
+        if (object.isInstancedMesh || object.isBatchedMesh) object.dispose();
+    });
+
+    for (const material of materials) {
+        for (const key in material) {
+            if (material[key]?.isTexture) material[key].dispose();
+        }
+        material.dispose();
+    }
+}
@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { getTimeStats } from './FrameProfiler.js';
+
+export const BENCHMARK_FORMAT = 'snapfire-benchmark';
+export const BENCHMARK_FORMAT_VERSION = 1;
+
+/**
+ * Flythrough paths. Points are [x, z, height above the ground (or water)]; each segment continues
+ * from the previous one's last point and is reported on its own. speed is in units per second of
+ * simulated time.
+ */
+export const BENCHMARK_PATHS = {
+    default: {
+        speed: 15,
+        segments: [
+            // Farmsteads, vegetation and the finest terrain LOD around the spawn point
+            { name: 'spawn', points: [[0, 0, 2], [25, 15, 1.5], [45, -10, 2], [20, -40, 2.5]] },
+            // Low and fast over open ground: streaming and LOD changes under the camera
+            { name: 'lowFlight', points: [[-40, -90, 1.2], [-120, -110, 1], [-200, -60, 1.2], [-240, 30, 1.5]] },
+            // High up, looking over as many chunks as the view radius allows
+            { name: 'overview', points: [[-200, 140, 18], [-60, 220, 25], [80, 180, 20]] },
+            // Back down to the spawn, crossing terrain streamed out during the flight
+            { name: 'return', points: [[160, 90, 5], [110, 20, 2.5], [40, 10, 2], [0, 0, 2]] },
+        ],
+    },
+};
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+
+/**
+ * Benchmark - Scripted camera flythrough with per-segment performance reports.
+ *
+ * Drives the camera along a spline path at a fixed simulation timestep, so every run covers the
+ * same positions in the same number of frames whatever the frame rate. Before the first segment
+ * it parks the camera at the start and waits for terrain streaming to settle (plus a few frames
+ * for shader compilation); during the flight streaming is part of what is measured. Each
+ * segment is a FrameProfiler capture; the finished report summarizes each segment and the whole
+ * run and can be compared against a baseline with compareBenchmarks().
+ *
+ * Determinism is up to the caller: use a fixed terrain seed and keep time of day and weather
+ * still (main.js does this for ?benchmark).
+ *
+ * Events:
+ *   segmentStarted { name, index }
+ *   complete { report }
+ *
+ * Usage:
+ *   const benchmark = new Benchmark({ camera, terrainSystem, profiler: perfMonitor.profiler, label: 'v1.2' });
+ *   benchmark.addEventListener('complete', (e) => console.log(e.report));
+ *   benchmark.start();
+ *   // In render loop, before the other systems (and use its timestep as deltaTime):
+ *   if (benchmark.running) deltaTime = benchmark.update();
+ */
+export class Benchmark extends THREE.EventDispatcher {
+    /**
+     * @param {Object} options
+     * @param {THREE.Camera} options.camera
+     * @param {TerrainSystem} options.terrainSystem - Heights for the path, and the settle check
+     * @param {FrameProfiler} options.profiler
+     * @param {WaterSystem} [options.water] - Keeps the path above the water surface
+     * @param {string|Object} [options.path='default'] - Name in BENCHMARK_PATHS, or a path object
+     * @param {number} [options.timestep=1/60] - Simulated seconds per frame
+     * @param {number} [options.settleFrames=30] - Frames the terrain must stay settled before starting
+     * @param {number} [options.settleTimeout=30] - Seconds (wall time) to wait for settling at most
+     * @param {string} [options.label=''] - Stored in the report (e.g. the build being measured)
+     * @param {number} [options.lookAhead=6] - Distance along the path the camera looks at
+     */
+    constructor(options) {
+        super();
+        this.camera = options.camera;
+        this.terrainSystem = options.terrainSystem;
+        this.profiler = options.profiler;
+        this.water = options.water || null;
+
+        const path = options.path ?? 'default';
+        this.pathName = typeof path === 'string' ? path : (path.name || 'custom');
+        this.path = typeof path === 'string' ? BENCHMARK_PATHS[path] : path;
+        if (!this.path) throw new Error(`Unknown benchmark path "${path}"`);
+
+        this.timestep = options.timestep ?? 1 / 60;
+        this.settleFrames = options.settleFrames ?? 30;
+        this.settleTimeout = options.settleTimeout ?? 30;
+        this.label = options.label ?? '';
+        this.lookAhead = options.lookAhead ?? 6;
+
+        this.segments = this._buildSegments(this.path);
+        this.state = 'idle'; // idle -> settling -> running -> complete
+        this.report = null;
+
+        this._segmentIndex = -1;
+        this._segmentFrame = 0;
+        this._segmentReports = [];
+        this._settledFrames = 0;
+        this._settleStart = 0;
+        this._settleTime = 0;
+        this._startedAt = null;
+    }
+
+    _buildSegments(path) {
+        const segments = [];
+        let previous = null;
+        for (const { name, points } of path.segments) {
+            const all = previous ? [previous, ...points] : points;
+            if (all.length < 2) throw new Error(`Benchmark segment "${name}" needs at least two points`);
+
+            // x / z are the ground position, y the height above the ground
+            const curve = new THREE.CatmullRomCurve3(all.map(([x, z, h]) => new THREE.Vector3(x, h, z)), false, 'centripetal');
+            const length = curve.getLength();
+            segments.push({ name, curve, length, frames: Math.max(1, Math.ceil(length / path.speed / this.timestep)) });
+            previous = points[points.length - 1];
+        }
+        return segments;
+    }
+
+    get running() {
+        return this.state === 'settling' || this.state === 'running';
+    }
+
+    /**
+     * Total frames of the flight (excluding settling)
+     */
+    get totalFrames() {
+        return this.segments.reduce((sum, segment) => sum + segment.frames, 0);
+    }
+
+    /**
+     * 0..1 through the flight
+     */
+    get progress() {
+        if (this.state === 'complete') return 1;
+        if (this.state !== 'running') return 0;
+        let done = this._segmentFrame;
+        for (let i = 0; i < this._segmentIndex; i++) done += this.segments[i].frames;
+        return done / this.totalFrames;
+    }
+
+    start() {
+        this.state = 'settling';
+        this.report = null;
+        this._segmentIndex = -1;
+        this._segmentReports = [];
+        this._settledFrames = 0;
+        this._settleStart = performance.now();
+        this._startedAt = new Date().toISOString();
+        this._place(this.segments[0], 0);
+        console.log(`🎬 Benchmark "${this.pathName}": waiting for terrain to settle`);
+    }
+
+    /**
+     * Stop early; the segments finished so far are not reported
+     */
+    cancel() {
+        if (!this.running) return;
+        if (this.profiler.isCapturing) this.profiler.stopCapture();
+        this.state = 'idle';
+        console.log('🎬 Benchmark cancelled');
+    }
+
+    /**
+     * Advance one frame: position the camera and start/finish segment captures
+     * @returns {number} The fixed timestep, to use as this frame's deltaTime
+     */
+    update() {
+        if (this.state === 'settling') {
+            this._settledFrames = this.terrainSystem.isSettled ? this._settledFrames + 1 : 0;
+
+            const waited = (performance.now() - this._settleStart) / 1000;
+            if (this._settledFrames < this.settleFrames && waited <= this.settleTimeout) {
+                this._place(this.segments[0], 0);
+                return this.timestep;
+            }
+
+            if (waited > this.settleTimeout) console.warn(`🎬 Terrain didn't settle within ${this.settleTimeout}s, starting anyway`);
+            this._settleTime = waited;
+            this.state = 'running';
+            this._startSegment(0);
+        }
+
+        if (this.state !== 'running') return this.timestep;
+
+        let segment = this.segments[this._segmentIndex];
+        if (this._segmentFrame >= segment.frames) {
+            this._finishSegment();
+            if (this._segmentIndex + 1 >= this.segments.length) {
+                this._complete();
+                return this.timestep;
+            }
+            this._startSegment(this._segmentIndex + 1);
+            segment = this.segments[this._segmentIndex];
+        }
+
+        this._segmentFrame++;
+        this._place(segment, this._segmentFrame / segment.frames);
+        return this.timestep;
+    }
+
+    /**
+     * Camera at u (0..1) along a segment, looking lookAhead further along the path
+     */
+    _place(segment, u) {
+        this._worldPoint(segment.curve, u, _position);
+
+        const ahead = u + this.lookAhead / segment.length;
+        if (ahead <= 1) {
+            this._worldPoint(segment.curve, ahead, _target);
+        } else {
+            // Past the end: carry on along the final tangent
+            this._worldPoint(segment.curve, 1, _target);
+            segment.curve.getTangentAt(1, _tangent);
+            _target.addScaledVector(_tangent, (ahead - 1) * segment.length);
+        }
+
+        this.camera.position.copy(_position);
+        this.camera.lookAt(_target);
+    }
+
+    _worldPoint(curve, u, target) {
+        curve.getPointAt(u, target);
+        let ground = this.terrainSystem.getHeight(target.x, target.z);
+        if (this.water) ground = Math.max(ground, this.water.getWaterLevel(target.x, target.z));
+        target.y += ground;
+        return target;
+    }
+
+    _startSegment(index) {
+        this._segmentIndex = index;
+        this._segmentFrame = 0;
+        const { name } = this.segments[index];
+        this.profiler.startCapture(name);
+        this.dispatchEvent({ type: 'segmentStarted', name, index });
+    }
+
+    _finishSegment() {
+        const segment = this.segments[this._segmentIndex];
+        const capture = this.profiler.stopCapture();
+        this._segmentReports.push({ segment, capture });
+    }
+
+    _complete() {
+        this.state = 'complete';
+
+        const segments = this._segmentReports.map(({ segment, capture }) => ({
+            name: segment.name,
+            length: segment.length,
+            frames: capture.summary.frames,
+            simulatedTime: segment.frames * this.timestep,
+            wallTime: capture.duration / 1000,
+            fps: capture.summary.fps,
+            frameTime: capture.summary.frameTime,
+            scopes: capture.summary.scopes,
+            hitches: capture.hitches.length,
+            budgetWarnings: capture.budgetWarnings.map(w => w.scope),
+            renderer: summarizeRendererInfo(capture.rendererInfo),
+        }));
+
+        const frameTimes = this._segmentReports.flatMap(({ capture }) => capture.frames.map(f => f.total));
+        const frameTime = getTimeStats(frameTimes);
+        const firstCapture = this._segmentReports[0]?.capture;
+
+        this.report = {
+            format: BENCHMARK_FORMAT,
+            version: BENCHMARK_FORMAT_VERSION,
+            label: this.label,
+            path: this.pathName,
+            seed: this.terrainSystem.NOISE_SEED,
+            timestep: this.timestep,
+            startedAt: this._startedAt,
+            settleTime: this._settleTime,
+            environment: firstCapture?.environment ?? {},
+            total: {
+                frames: frameTimes.length,
+                fps: frameTime.avg > 0 ? 1000 / frameTime.avg : 0,
+                frameTime,
+                hitches: segments.reduce((sum, s) => sum + s.hitches, 0),
+            },
+            segments,
+        };
+
+        const { total } = this.report;
+        console.log(`🏁 Benchmark done: ${total.frames} frames, ${total.fps.toFixed(1)} fps, p95 ${total.frameTime.p95.toFixed(2)}ms, ${total.hitches} hitches`);
+        this.dispatchEvent({ type: 'complete', report: this.report });
+    }
+}
+
+/**
+ * Compare a benchmark report against a baseline, segment by segment and in total
+ * @param {Object} report
+ * @param {Object} baseline - An earlier report of the same path
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.1] - Relative slowdown allowed before it counts as a regression
+ * @param {number} [options.minDelta=0.5] - Milliseconds a time must grow by to count (noise floor)
+ * @param {string[]} [options.metrics=['avg', 'p95', 'p99']] - Frame time statistics compared
+ * @returns {{ passed: boolean, rows: Object[], regressions: Object[], improvements: Object[] }}
+ *   rows are { segment, metric, baseline, current, change } with change relative (0.1 = 10% slower)
+ */
+export function compareBenchmarks(report, baseline, options = {}) {
+    const tolerance = options.tolerance ?? 0.1;
+    const minDelta = options.minDelta ?? 0.5;
+    const metrics = options.metrics ?? ['avg', 'p95', 'p99'];
+
+    if (baseline.path !== report.path) {
+        console.warn(`compareBenchmarks: baseline ran path "${baseline.path}", this report "${report.path}"`);
+    }
+
+    const pairs = [['total', report.total, baseline.total]];
+    for (const segment of report.segments) {
+        const before = baseline.segments.find(s => s.name === segment.name);
+        if (before) pairs.push([segment.name, segment, before]);
+    }
+
+    const rows = [];
+    const regressions = [];
+    const improvements = [];
+    for (const [name, current, before] of pairs) {
+        for (const metric of metrics) {
+            const a = before.frameTime[metric];
+            const b = current.frameTime[metric];
+            const change = a > 0 ? (b - a) / a : 0;
+            const row = { segment: name, metric, baseline: a, current: b, change };
+            rows.push(row);
+
+            if (Math.abs(b - a) < minDelta) continue;
+            if (change > tolerance) regressions.push(row);
+            else if (change < -tolerance) improvements.push(row);
+        }
+    }
+
+    return { passed: regressions.length === 0, rows, regressions, improvements };
+}
+
+function summarizeRendererInfo(samples) {
+    if (samples.length === 0) return null;
+    const average = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+    const max = (key) => Math.max(...samples.map(s => s[key]));
+    return {
+        calls: average('calls'),
+        triangles: average('triangles'),
+        maxCalls: max('calls'),
+        maxTriangles: max('triangles'),
+        geometries: max('geometries'),
+        textures: max('textures'),
+        programs: max('programs'),
+    };
+}
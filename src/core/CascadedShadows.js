@@ -0,0 +1,294 @@
+import * as THREE from 'three';
+import { CSMFrustum } from 'three/addons/csm/CSMFrustum.js';
+import { CSMShader } from 'three/addons/csm/CSMShader.js';
+
+const _cameraToLight = new THREE.Matrix4();
+const _lightOrientation = new THREE.Matrix4();
+const _lightOrientationInverse = new THREE.Matrix4();
+const _lightSpaceFrustum = new CSMFrustum({ webGL: true });
+const _bbox = new THREE.Box3();
+const _center = new THREE.Vector3();
+const _lightDirection = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+/**
+ * CascadedShadows - Cascaded shadow maps for the sun.
+ *
+ * The view frustum (up to maxDistance) is split into slices, near slices getting more shadow
+ * texels than far ones; each slice gets its own shadow-casting DirectionalLight that copies the
+ * sun's colour, intensity and direction every frame. Lit materials pick the cascade for their
+ * view depth with the lighting chunks from three's CSM addon, so a cascade only ever lights its
+ * own slice.
+ *
+ * Against shimmering, each cascade's shadow box has a fixed size (the slice's longest diagonal,
+ * which doesn't change as the camera turns) and its centre is snapped to whole shadow texels in
+ * light space, so walking only ever shifts the map by whole texels.
+ *
+ * The sun light itself is hidden while this runs (the cascades replace it) and restored on
+ * dispose. Every lit material in the scene has to be set up: whatever is in the scene on
+ * construction and everything added to it directly afterwards (terrain, vegetation pools,
+ * buildings) is set up automatically; meshes added deeper into an object already in the scene
+ * need setupObject(). The cascade lighting is spliced into each material's own shader, so
+ * materials outside the scene (or in another engine) are untouched. Objects still need
+ * castShadow / receiveShadow set to take part.
+ *
+ * Usage:
+ *   renderer.shadowMap.enabled = true;
+ *   const shadows = new CascadedShadows(scene, camera, sunLight, { cascades: 3, shadowMapSize: 2048 });
+ *   // In render loop, after the camera moved:
+ *   shadows.update();
+ *   // After camera.updateProjectionMatrix():
+ *   shadows.updateFrustums();
+ */
+export class CascadedShadows {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {THREE.DirectionalLight} sunLight - Source of direction, colour and intensity
+     * @param {Object} [options]
+     * @param {number} [options.cascades=3]
+     * @param {number} [options.shadowMapSize=2048] - Per cascade
+     * @param {number} [options.maxDistance=40] - Shadow distance from the camera (~400m at 1:10 scale)
+     * @param {number} [options.splitLambda=0.6] - 0 = uniform splits, 1 = logarithmic
+     * @param {number} [options.lightMargin=30] - Extra depth toward the sun for casters outside the view (hills)
+     * @param {number} [options.shadowBias=-0.0001]
+     * @param {number} [options.normalBias=0.005]
+     * @param {boolean} [options.fade=true] - Blend across cascade borders
+     */
+    constructor(scene, camera, sunLight, options = {}) {
+        this.scene = scene;
+        this.camera = camera;
+        this.sunLight = sunLight;
+
+        this.cascades = options.cascades ?? 3;
+        this.shadowMapSize = options.shadowMapSize ?? 2048;
+        this.maxDistance = options.maxDistance ?? 40;
+        this.splitLambda = options.splitLambda ?? 0.6;
+        this.lightMargin = options.lightMargin ?? 30;
+        this.shadowBias = options.shadowBias ?? -0.0001;
+        this.normalBias = options.normalBias ?? 0.005;
+        this.fade = options.fade ?? true;
+
+        this.breaks = [];
+        this.mainFrustum = new CSMFrustum({ webGL: true });
+        this.frustums = [];
+        this.lights = [];
+        this.materials = new Map(); // material -> { shader, onBeforeCompile, customProgramCacheKey }
+        this._breakUniforms = [];
+
+        this._sunWasVisible = sunLight.visible;
+        sunLight.visible = false;
+
+        this._onChildAdded = (e) => this.setupObject(e.child);
+        scene.addEventListener('childadded', this._onChildAdded);
+
+        this._createLights();
+        this.updateFrustums();
+        this.setupObject(scene);
+    }
+
+    _createLights() {
+        for (let i = 0; i < this.cascades; i++) {
+            const light = new THREE.DirectionalLight(0xffffff, 0);
+            light.name = `SunCascade${i}`;
+            light.castShadow = true;
+            light.shadow.mapSize.set(this.shadowMapSize, this.shadowMapSize);
+            light.shadow.bias = this.shadowBias;
+            light.shadow.normalBias = this.normalBias;
+            light.shadow.camera.near = 0.1;
+
+            this.scene.add(light);
+            this.scene.add(light.target);
+            this.lights.push(light);
+        }
+    }
+
+    /**
+     * Recompute the cascade splits; call after the camera's fov, aspect, near or far change
+     */
+    updateFrustums() {
+        this._computeBreaks();
+
+        this.camera.updateProjectionMatrix();
+        this.mainFrustum.setFromProjectionMatrix(this.camera.projectionMatrix, this.maxDistance);
+        this.mainFrustum.split(this.breaks, this.frustums);
+
+        // Fixed-size shadow boxes: the longest diagonal of each slice fits it at any rotation
+        for (let i = 0; i < this.frustums.length; i++) {
+            const { near, far } = this.frustums[i].vertices;
+            let size = Math.max(far[0].distanceTo(far[2]), far[0].distanceTo(near[2]));
+            if (this.fade) size *= 1.1;
+
+            const shadowCamera = this.lights[i].shadow.camera;
+            shadowCamera.left = shadowCamera.bottom = -size / 2;
+            shadowCamera.right = shadowCamera.top = size / 2;
+            shadowCamera.far = size + this.lightMargin * 2;
+            shadowCamera.updateProjectionMatrix();
+        }
+
+        this._updateUniforms();
+    }
+
+    /**
+     * Practical split scheme: a blend of uniform and logarithmic splits, as fractions of the
+     * shadow distance
+     */
+    _computeBreaks() {
+        const near = this.camera.near;
+        const far = Math.min(this.camera.far, this.maxDistance);
+        this.breaks.length = 0;
+
+        for (let i = 1; i < this.cascades; i++) {
+            const uniform = near + (far - near) * i / this.cascades;
+            const logarithmic = near * (far / near) ** (i / this.cascades);
+            this.breaks.push(THREE.MathUtils.lerp(uniform, logarithmic, this.splitLambda) / far);
+        }
+        this.breaks.push(1);
+    }
+
+    /**
+     * Move the cascades with the camera and copy the sun's state. Call once per frame before rendering.
+     */
+    update() {
+        this.camera.updateMatrixWorld();
+
+        const sun = this.sunLight;
+        sun.updateMatrixWorld();
+        sun.target.updateMatrixWorld();
+        _lightDirection.setFromMatrixPosition(sun.target.matrixWorld)
+            .sub(_center.setFromMatrixPosition(sun.matrixWorld)).normalize();
+
+        // Light space: looking along the light direction
+        _lightOrientation.lookAt(_origin, _lightDirection, _up);
+        _lightOrientationInverse.copy(_lightOrientation).invert();
+        _cameraToLight.multiplyMatrices(_lightOrientationInverse, this.camera.matrixWorld);
+
+        for (let i = 0; i < this.frustums.length; i++) {
+            const light = this.lights[i];
+            light.color.copy(sun.color);
+            light.intensity = sun.intensity;
+
+            this.frustums[i].toSpace(_cameraToLight, _lightSpaceFrustum);
+            _bbox.makeEmpty();
+            for (let j = 0; j < 4; j++) {
+                _bbox.expandByPoint(_lightSpaceFrustum.vertices.near[j]);
+                _bbox.expandByPoint(_lightSpaceFrustum.vertices.far[j]);
+            }
+
+            // Centre snapped to whole texels, then pulled back toward the sun
+            const shadowCamera = light.shadow.camera;
+            const texelSize = (shadowCamera.right - shadowCamera.left) / this.shadowMapSize;
+            _bbox.getCenter(_center);
+            _center.x = Math.floor(_center.x / texelSize) * texelSize;
+            _center.y = Math.floor(_center.y / texelSize) * texelSize;
+            _center.z = _bbox.max.z + this.lightMargin;
+            _center.applyMatrix4(_lightOrientation);
+
+            light.position.copy(_center);
+            light.target.position.copy(_center).add(_lightDirection);
+        }
+    }
+
+    /**
+     * Prepare a lit material for cascade selection. Chains any existing onBeforeCompile
+     * (e.g. TerrainMaterial's) rather than replacing it, then swaps in the CSM lighting chunks.
+     * @param {THREE.Material} material
+     */
+    setupMaterial(material) {
+        if (this.materials.has(material) || !CascadedShadows.isLitMaterial(material)) return;
+
+        const entry = {
+            shader: null,
+            onBeforeCompile: Object.hasOwn(material, 'onBeforeCompile') ? material.onBeforeCompile : null,
+            customProgramCacheKey: Object.hasOwn(material, 'customProgramCacheKey') ? material.customProgramCacheKey : null,
+        };
+        this.materials.set(material, entry);
+
+        const previousCompile = material.onBeforeCompile;
+        const previousKey = material.customProgramCacheKey;
+        const defaultKey = previousKey === THREE.Material.prototype.customProgramCacheKey;
+        const breaks = this._breakUniforms;
+        const scope = this;
+
+        material.defines = material.defines || {};
+        material.defines.USE_CSM = 1;
+        material.defines.CSM_CASCADES = this.cascades;
+        if (this.fade) material.defines.CSM_FADE = '';
+
+        material.onBeforeCompile = function (shader, renderer) {
+            previousCompile.call(this, shader, renderer);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <lights_pars_begin>', CSMShader.lights_pars_begin)
+                .replace('#include <lights_fragment_begin>', CSMShader.lights_fragment_begin);
+            shader.uniforms.CSM_cascades = { value: breaks };
+            shader.uniforms.cameraNear = { value: scope.camera.near };
+            shader.uniforms.shadowFar = { value: Math.min(scope.camera.far, scope.maxDistance) };
+            entry.shader = shader;
+        };
+        // The default key is onBeforeCompile's source, which is now this wrapper for every material
+        material.customProgramCacheKey = function () {
+            return 'csm:' + (defaultKey ? previousCompile.toString() : previousKey.call(this));
+        };
+        material.needsUpdate = true;
+    }
+
+    /**
+     * Set up every lit material under an object
+     * @param {THREE.Object3D} root
+     */
+    setupObject(root) {
+        root.traverse((object) => {
+            if (!object.material) return;
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            for (const material of materials) this.setupMaterial(material);
+        });
+    }
+
+    static isLitMaterial(material) {
+        return !!(material.isMeshStandardMaterial || material.isMeshLambertMaterial ||
+            material.isMeshPhongMaterial || material.isMeshToonMaterial);
+    }
+
+    _updateUniforms() {
+        const breaks = this._breakUniforms;
+        while (breaks.length < this.breaks.length) breaks.push(new THREE.Vector2());
+        breaks.length = this.breaks.length;
+        for (let i = 0; i < this.breaks.length; i++) {
+            breaks[i].set(this.breaks[i - 1] || 0, this.breaks[i]);
+        }
+
+        const far = Math.min(this.camera.far, this.maxDistance);
+        for (const { shader } of this.materials.values()) {
+            if (!shader) continue;
+            shader.uniforms.cameraNear.value = this.camera.near;
+            shader.uniforms.shadowFar.value = far;
+        }
+    }
+
+    dispose() {
+        this.scene.removeEventListener('childadded', this._onChildAdded);
+
+        for (const light of this.lights) {
+            this.scene.remove(light);
+            this.scene.remove(light.target);
+            light.dispose();
+        }
+        this.lights = [];
+
+        for (const [material, entry] of this.materials) {
+            if (entry.onBeforeCompile) material.onBeforeCompile = entry.onBeforeCompile;
+            else delete material.onBeforeCompile;
+            if (entry.customProgramCacheKey) material.customProgramCacheKey = entry.customProgramCacheKey;
+            else delete material.customProgramCacheKey;
+
+            delete material.defines.USE_CSM;
+            delete material.defines.CSM_CASCADES;
+            delete material.defines.CSM_FADE;
+            material.needsUpdate = true;
+        }
+        this.materials.clear();
+
+        this.sunLight.visible = this._sunWasVisible;
+    }
+}
@@ -0,0 +1,372 @@
+import * as THREE from 'three';
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _wishVelocity = new THREE.Vector3();
+const _horizontal = new THREE.Vector3();
+const _downhill = new THREE.Vector3();
+const _displacement = new THREE.Vector3();
+const _stepMove = new THREE.Vector3();
+const _zero = new THREE.Vector3();
+
+/**
+ * CharacterController - Kinematic walker over TerrainSystem's heightfield.
+ *
+ * Runs gravity, jumping, ground acceleration/friction, walk/sprint/crouch speeds and a maximum
+ * walkable slope at a fixed timestep, so movement doesn't depend on the frame rate. Ground steeper
+ * than maxSlope (from TerrainSystem.getNormal) can't be climbed or jumped from and the character
+ * slides down it. Rendering should use getInterpolatedPosition(), which blends the last two
+ * physics states.
+ *
+ * With a CollisionWorld the character is an upright capsule that is blocked by, slides along and
+ * can stand on placed objects; upward-facing contacts count as ground.
+ *
+ * With a WaterSystem, water deeper than swimDepth switches to swimming: no gravity, slower
+ * movement with drag, buoyancy at the surface and ascend/descend input.
+ *
+ * All values are world units (1 unit = 10 m) and seconds.
+ */
+export class CharacterController {
+    /**
+     * @param {TerrainSystem} terrainSystem
+     * @param {Object} [options]
+     * @param {THREE.Vector3} [options.position] - Initial foot position (snapped to the ground)
+     * @param {number} [options.walkSpeed=0.5]
+     * @param {number} [options.sprintSpeed=1.2]
+     * @param {number} [options.crouchSpeed=0.2]
+     * @param {number} [options.acceleration=4] - Ground acceleration, in top speeds per second
+     * @param {number} [options.friction=6] - Ground deceleration with no input, in top speeds per second
+     * @param {number} [options.airControl=0.3] - Fraction of acceleration available in the air
+     * @param {number} [options.gravity=0.981] - 9.81 m/s²
+     * @param {number} [options.jumpHeight=0.1] - Apex height of a standing jump (1 m)
+     * @param {number} [options.maxSlope=45] - Steepest walkable ground in degrees
+     * @param {number} [options.slideFriction=0.2] - How much of the downhill pull steep ground resists
+     * @param {number} [options.stepDown=0.05] - Max drop the character stays glued to when walking downhill
+     * @param {number} [options.standHeight=0.16] - Eye height standing (~1.6 m)
+     * @param {number} [options.crouchHeight=0.1] - Eye height crouched
+     * @param {number} [options.fixedTimeStep=1/60]
+     * @param {number} [options.maxSubSteps=5] - Simulation steps per update before time is dropped
+     * @param {CollisionWorld} [options.collisionWorld] - Placed-object colliders
+     * @param {number} [options.radius=0.03] - Capsule radius against the collision world
+     * @param {number} [options.headroom=0.02] - Capsule height above the eyes
+     * @param {number} [options.stepHeight=0.03] - Ledges up to this high are stepped onto (~30 cm)
+     * @param {WaterSystem} [options.water] - Water surfaces; deep enough water switches to swimming
+     * @param {number} [options.swimSpeed=0.25]
+     * @param {number} [options.swimDepth=0.11] - Water depth at the feet where swimming starts (~1.1 m)
+     * @param {number} [options.floatHeight=0.03] - How far the eyes float above the surface
+     */
+    constructor(terrainSystem, options = {}) {
+        this.terrainSystem = terrainSystem;
+
+        this.walkSpeed = options.walkSpeed ?? 0.5;
+        this.sprintSpeed = options.sprintSpeed ?? 1.2;
+        this.crouchSpeed = options.crouchSpeed ?? 0.2;
+        this.acceleration = options.acceleration ?? 4;
+        this.friction = options.friction ?? 6;
+        this.airControl = options.airControl ?? 0.3;
+        this.gravity = options.gravity ?? 0.981;
+        this.jumpHeight = options.jumpHeight ?? 0.1;
+        this.maxSlope = THREE.MathUtils.degToRad(options.maxSlope ?? 45);
+        this.slideFriction = options.slideFriction ?? 0.2;
+        this.stepDown = options.stepDown ?? 0.05;
+        this.standHeight = options.standHeight ?? 0.16;
+        this.crouchHeight = options.crouchHeight ?? 0.1;
+        this.fixedTimeStep = options.fixedTimeStep ?? 1 / 60;
+        this.maxSubSteps = options.maxSubSteps ?? 5;
+        this.collisionWorld = options.collisionWorld || null;
+        this.radius = options.radius ?? 0.03;
+        this.headroom = options.headroom ?? 0.02;
+        this.stepHeight = options.stepHeight ?? 0.03;
+        this.water = options.water || null;
+        this.swimSpeed = options.swimSpeed ?? 0.25;
+        this.swimDepth = options.swimDepth ?? 0.11;
+        this.floatHeight = options.floatHeight ?? 0.03;
+
+        // Simulation state (position is at the feet)
+        this.position = new THREE.Vector3().copy(options.position || new THREE.Vector3());
+        this.previousPosition = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this.isGrounded = false;
+        this.isOnTerrain = false;
+        this.isSliding = false;
+        this.isCrouching = false;
+        this.isSwimming = false;
+        this.waterLevel = -Infinity;
+        this.eyeHeight = this.standHeight;
+
+        this.accumulator = 0;
+        this.jumpRequested = false;
+        this._moveResult = { position: new THREE.Vector3(), normals: [], hit: false };
+        this._stepResults = [0, 1, 2].map(() => ({ position: new THREE.Vector3(), normals: [], hit: false }));
+
+        this.position.y = this.terrainSystem.getHeight(this.position.x, this.position.z);
+        this.previousPosition.copy(this.position);
+        this._updateGround();
+    }
+
+    /**
+     * Advance the simulation by a frame's worth of fixed steps
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {Object} input
+     * @param {THREE.Vector3} input.move - World-space horizontal wish direction, length 0..1
+     * @param {boolean} [input.jump] - True on the frame jump was pressed
+     * @param {boolean} [input.sprint]
+     * @param {boolean} [input.crouch]
+     * @param {boolean} [input.ascend] - Swim up (held)
+     * @param {boolean} [input.descend] - Swim down (held)
+     */
+    update(deltaTime, input) {
+        if (input.jump) this.jumpRequested = true;
+
+        this.accumulator += deltaTime;
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+            this.previousPosition.copy(this.position);
+            this._step(this.fixedTimeStep, input);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+
+        // Too far behind (tab in background, long hitch): drop the backlog instead of spiralling
+        if (steps === this.maxSubSteps) this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+    }
+
+    /**
+     * Advance the simulation by one step, for callers running their own fixed-timestep loop
+     * (e.g. Engine) instead of update()
+     * @param {number} dt - Step length in seconds
+     * @param {Object} input - As for update()
+     */
+    fixedUpdate(dt, input) {
+        if (input.jump) this.jumpRequested = true;
+        this.previousPosition.copy(this.position);
+        this._step(dt, input);
+    }
+
+    /**
+     * Foot position blended between the last two physics steps
+     * @param {THREE.Vector3} [target]
+     * @param {number} [alpha] - 0..1 between the steps; defaults to update()'s own accumulator
+     */
+    getInterpolatedPosition(target = new THREE.Vector3(), alpha = this.accumulator / this.fixedTimeStep) {
+        return target.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+
+    /**
+     * Place the character, clearing its velocity (respawn, teleport)
+     * @param {number} [y] - Foot height (e.g. on a roof or in water); never below the ground
+     */
+    teleport(x, z, y = -Infinity) {
+        this.position.set(x, Math.max(y, this.terrainSystem.getHeight(x, z)), z);
+        this.previousPosition.copy(this.position);
+        this.velocity.set(0, 0, 0);
+        this.accumulator = 0;
+        this._updateGround();
+    }
+
+    /**
+     * @param {THREE.Vector3|null} [supportNormal] - Most upward collider contact this step
+     */
+    _updateGround(supportNormal = null) {
+        const groundHeight = this.terrainSystem.getHeight(this.position.x, this.position.z);
+        this.isOnTerrain = this.position.y <= groundHeight + 1e-4 && this.velocity.y <= 0;
+
+        if (this.isOnTerrain) {
+            this.groundNormal.copy(this.terrainSystem.getNormal(this.position.x, this.position.z));
+        } else if (supportNormal) {
+            this.groundNormal.copy(supportNormal);
+        }
+
+        this.isGrounded = this.isOnTerrain || !!supportNormal;
+        this.isSliding = this.isGrounded && this.groundNormal.angleTo(_up) > this.maxSlope;
+        return groundHeight;
+    }
+
+    _step(dt, input) {
+        const wasOnTerrain = this.isOnTerrain;
+
+        this._updateWater();
+        if (this.isSwimming) this._swim(dt, input);
+        else this._walk(dt, input);
+
+        _displacement.copy(this.velocity).multiplyScalar(dt);
+        let supportNormal = null;
+
+        if (this.collisionWorld) {
+            const height = this.eyeHeight + this.headroom;
+            let result = this.collisionWorld.moveCapsule(this.position, _displacement, this.radius, height, this._moveResult);
+            if (this.isGrounded && result.hit) {
+                result = this._tryStepUp(_displacement, height, result);
+            }
+            this.position.copy(result.position);
+
+            // Slide: drop the velocity going into each surface
+            for (const normal of result.normals) {
+                const into = this.velocity.dot(normal);
+                if (into < 0) this.velocity.addScaledVector(normal, -into);
+                if (normal.y > 0.1 && (!supportNormal || normal.y > supportNormal.y)) supportNormal = normal;
+            }
+        } else {
+            this.position.add(_displacement);
+        }
+
+        // Resolve against the heightfield
+        const groundHeight = this.terrainSystem.getHeight(this.position.x, this.position.z);
+        if (this.position.y <= groundHeight) {
+            this.position.y = groundHeight;
+            if (this.velocity.y < 0) this.velocity.y = 0;
+        } else if (wasOnTerrain && !this.isSwimming && !supportNormal && this.velocity.y <= 0 && this.position.y - groundHeight <= this.stepDown) {
+            // Stay on the ground walking downhill instead of skipping off every crest
+            this.position.y = groundHeight;
+            this.velocity.y = 0;
+        }
+
+        this._updateGround(supportNormal);
+    }
+
+    /**
+     * Ground and air movement: walk/sprint/crouch speeds, slopes, jumping and gravity
+     */
+    _walk(dt, input) {
+        // Crouch: eye height eases towards the target; speed switches immediately
+        this.isCrouching = !!input.crouch;
+        const targetEye = this.isCrouching ? this.crouchHeight : this.standHeight;
+        this.eyeHeight += (targetEye - this.eyeHeight) * Math.min(1, dt * 12);
+
+        const speed = this.isCrouching ? this.crouchSpeed : (input.sprint ? this.sprintSpeed : this.walkSpeed);
+        _wishVelocity.set(input.move.x, 0, input.move.z);
+        if (_wishVelocity.lengthSq() > 1) _wishVelocity.normalize();
+        _wishVelocity.multiplyScalar(speed);
+
+        // Steep ground: no walking uphill into it
+        if (this.isSliding) {
+            _downhill.set(this.groundNormal.x, 0, this.groundNormal.z).normalize();
+            const uphill = -_wishVelocity.dot(_downhill);
+            if (uphill > 0) _wishVelocity.addScaledVector(_downhill, uphill);
+        }
+
+        // Horizontal acceleration towards the wished velocity, or friction when idle
+        _horizontal.set(this.velocity.x, 0, this.velocity.z);
+        if (this.isGrounded && !this.isSliding) {
+            const rate = _wishVelocity.lengthSq() > 0 ? this.acceleration : this.friction;
+            moveTowards(_horizontal, _wishVelocity, rate * speed * dt);
+        } else if (_wishVelocity.lengthSq() > 0) {
+            moveTowards(_horizontal, _wishVelocity, this.acceleration * this.airControl * speed * dt);
+        }
+
+        // Sliding: gravity along the slope plane, partly resisted by friction
+        if (this.isSliding) {
+            const pull = this.gravity * this.groundNormal.y * (1 - this.slideFriction);
+            _horizontal.x += this.groundNormal.x * pull * dt;
+            _horizontal.z += this.groundNormal.z * pull * dt;
+        }
+
+        this.velocity.x = _horizontal.x;
+        this.velocity.z = _horizontal.z;
+
+        // Jump (only off walkable ground)
+        if (this.jumpRequested) {
+            if (this.isGrounded && !this.isSliding) {
+                this.velocity.y = Math.sqrt(2 * this.gravity * this.jumpHeight);
+            }
+            this.jumpRequested = false;
+        }
+
+        // Off the heightfield (airborne or standing on an object) gravity always pulls; standing on
+        // an object it is cancelled by the upward contact each step
+        if (!this.isOnTerrain || this.velocity.y > 0) {
+            this.velocity.y -= this.gravity * dt;
+        }
+    }
+
+    /**
+     * Swimming: slower, drag instead of friction, no gravity. Ascend/descend move up and down;
+     * otherwise buoyancy floats the character with its eyes just above the surface.
+     */
+    _swim(dt, input) {
+        this.isCrouching = false;
+        this.eyeHeight += (this.standHeight - this.eyeHeight) * Math.min(1, dt * 12);
+        this.jumpRequested = false;
+
+        _wishVelocity.set(input.move.x, 0, input.move.z);
+        if (_wishVelocity.lengthSq() > 1) _wishVelocity.normalize();
+        _wishVelocity.multiplyScalar(this.swimSpeed);
+
+        _horizontal.set(this.velocity.x, 0, this.velocity.z);
+        const rate = _wishVelocity.lengthSq() > 0 ? this.acceleration : this.friction * 0.5;
+        moveTowards(_horizontal, _wishVelocity, rate * this.swimSpeed * dt);
+        this.velocity.x = _horizontal.x;
+        this.velocity.z = _horizontal.z;
+
+        let targetVertical;
+        if (input.ascend) {
+            targetVertical = this.swimSpeed * 0.6;
+        } else if (input.descend) {
+            targetVertical = -this.swimSpeed * 0.6;
+        } else {
+            const restHeight = this.waterLevel - this.eyeHeight + this.floatHeight;
+            targetVertical = THREE.MathUtils.clamp((restHeight - this.position.y) * 4, -this.swimSpeed, this.swimSpeed);
+        }
+        this.velocity.y += (targetVertical - this.velocity.y) * Math.min(1, dt * 4);
+    }
+
+    /**
+     * Enter swimming once the water at the feet is deeper than swimDepth; leave it a little
+     * shallower so wading at the threshold doesn't flicker between modes
+     */
+    _updateWater() {
+        this.waterLevel = this.water ? this.water.getWaterLevel(this.position.x, this.position.z) : -Infinity;
+        const depth = this.waterLevel - this.position.y;
+
+        if (!this.isSwimming && depth > this.swimDepth) {
+            this.isSwimming = true;
+            // Entering from a fall: water absorbs most of the impact
+            if (this.velocity.y < 0) this.velocity.y *= 0.3;
+        } else if (this.isSwimming && depth < this.swimDepth * 0.8) {
+            this.isSwimming = false;
+        }
+    }
+
+    /**
+     * Blocked while walking: probe one radius ahead from stepHeight up. If that lands on walkable
+     * ground higher than the feet (kerbs, low steps, small rocks), take this step's move at the
+     * ledge height instead.
+     */
+    _tryStepUp(displacement, height, blocked) {
+        const horizontal = Math.hypot(displacement.x, displacement.z);
+        if (horizontal === 0) return blocked;
+
+        const [up, across, down] = this._stepResults;
+        const world = this.collisionWorld;
+        const probe = Math.max(horizontal, this.radius) / horizontal;
+
+        world.moveCapsule(this.position, _stepMove.set(0, this.stepHeight, 0), this.radius, height, up);
+        world.moveCapsule(up.position, _stepMove.set(displacement.x * probe, 0, displacement.z * probe), this.radius, height, across);
+        world.moveCapsule(across.position, _stepMove.set(0, -this.stepHeight, 0), this.radius, height, down);
+
+        const walkable = down.normals.some(normal => normal.angleTo(_up) <= this.maxSlope);
+        const ledgeHeight = down.position.y;
+        if (!walkable || ledgeHeight <= this.position.y + 1e-4 || ledgeHeight > this.position.y + this.stepHeight) {
+            return blocked;
+        }
+
+        // Real move at the ledge height, then settle out of whatever corner it clips
+        _stepMove.set(this.position.x + displacement.x, ledgeHeight, this.position.z + displacement.z);
+        world.moveCapsule(_stepMove, _zero, this.radius, height, up);
+        up.normals.push(...down.normals);
+        return up;
+    }
+}
+
+function moveTowards(current, target, maxDelta) {
+    const dx = target.x - current.x;
+    const dz = target.z - current.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance <= maxDelta || distance === 0) {
+        current.x = target.x;
+        current.z = target.z;
+    } else {
+        current.x += dx / distance * maxDelta;
+        current.z += dz / distance * maxDelta;
+    }
+}
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+
+/**
+ * Lighting keyed on sun elevation (degrees). Values between keys are interpolated.
+ *   skyExposure / environmentIntensity are multipliers of the sky's base exposure and the
+ *   scene's image-based lighting.
+ */
+const LIGHTING_KEYS = [
+    { elevation: -18, sunColor: 0x8090c0, sunIntensity: 0.0, ambientColor: 0x1a2440, ambientIntensity: 0.08, fogColor: 0x05070d, skyExposure: 0.15, environmentIntensity: 0.1 },
+    { elevation: -6, sunColor: 0xff7040, sunIntensity: 0.0, ambientColor: 0x4a4a6a, ambientIntensity: 0.18, fogColor: 0x2a2238, skyExposure: 0.4, environmentIntensity: 0.3 },
+    { elevation: 0, sunColor: 0xff8a4a, sunIntensity: 0.5, ambientColor: 0x8a7a8a, ambientIntensity: 0.28, fogColor: 0x6a4e4e, skyExposure: 0.8, environmentIntensity: 0.6 },
+    { elevation: 10, sunColor: 0xffc890, sunIntensity: 1.0, ambientColor: 0xc0b8c0, ambientIntensity: 0.35, fogColor: 0x8a8e9e, skyExposure: 1.0, environmentIntensity: 0.9 },
+    { elevation: 30, sunColor: 0xffffff, sunIntensity: 1.2, ambientColor: 0xffffff, ambientIntensity: 0.4, fogColor: 0xa8b8cc, skyExposure: 1.0, environmentIntensity: 1.0 },
+    { elevation: 90, sunColor: 0xffffff, sunIntensity: 1.2, ambientColor: 0xffffff, ambientIntensity: 0.4, fogColor: 0xa8b8cc, skyExposure: 1.0, environmentIntensity: 1.0 },
+].map(key => ({
+    ...key,
+    sunColor: new THREE.Color(key.sunColor),
+    ambientColor: new THREE.Color(key.ambientColor),
+    fogColor: new THREE.Color(key.fogColor),
+}));
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * DayNightCycle - Time of day driving the sun, ambient light, fog and HDRISky together.
+ *
+ * The sun follows the solar arc for a latitude and day of year (declination + hour angle), so
+ * days are long in summer, short in winter and the sun never rises in polar night. Light colour,
+ * intensities, fog and sky exposure come from LIGHTING_KEYS by sun elevation. An HDRISky
+ * crossfades night -> dawn/dusk -> day layers (dawn before noon, dusk after); a ProceduralSky
+ * is given the sun direction.
+ *
+ * A WeatherSystem assigned to `weather` scales the results (overcast dims the sun, fog tints the
+ * fog colour); WeatherSystem sets this itself when given the cycle.
+ *
+ * Axes: +X east, +Y up, -Z north.
+ *
+ * Usage:
+ *   const cycle = new DayNightCycle({ scene, sunLight, ambientLight, sky: hdriSky, time: 8 });
+ *   cycle.setSpeed(120);        // game seconds per real second
+ *   cycle.pause();
+ *   // In render loop:
+ *   cycle.update(deltaTime);
+ */
+export class DayNightCycle extends THREE.EventDispatcher {
+    /**
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene - Its fog colour and environmentIntensity are driven
+     * @param {THREE.DirectionalLight} options.sunLight
+     * @param {THREE.AmbientLight} [options.ambientLight]
+     * @param {HDRISky|ProceduralSky} [options.sky]
+     * @param {number} [options.time=9] - Hours, 0..24
+     * @param {number} [options.timeScale=60] - Game seconds per real second (60 = a day in 24 minutes)
+     * @param {number} [options.latitude=45] - Degrees, negative for the southern hemisphere
+     * @param {number} [options.dayOfYear=172] - 1..365 (172 = June solstice)
+     * @param {number} [options.sunDistance=60] - Light distance from its target along the sun direction
+     * @param {number} [options.skyExposure] - Base sky exposure at full day (default: the sky's current value)
+     * @param {boolean} [options.paused=false]
+     * @param {WeatherSystem} [options.weather]
+     */
+    constructor(options) {
+        super();
+        this.scene = options.scene;
+        this.sunLight = options.sunLight;
+        this.ambientLight = options.ambientLight || null;
+        this.sky = options.sky || null;
+        this.weather = options.weather || null;
+
+        this.time = options.time ?? 9;
+        this.timeScale = options.timeScale ?? 60;
+        this.latitude = options.latitude ?? 45;
+        this.dayOfYear = options.dayOfYear ?? 172;
+        this.sunDistance = options.sunDistance ?? 60;
+        this.baseSkyExposure = options.skyExposure ?? this.sky?.skyMesh?.material.uniforms.exposure.value ?? 0.05;
+        this.paused = options.paused ?? false;
+
+        this.sunDirection = new THREE.Vector3(0, 1, 0); // Toward the sun
+        this.sunElevation = 0; // Degrees above the horizon
+
+        this._apply();
+    }
+
+    /**
+     * @param {number} hours - Wrapped into 0..24
+     */
+    setTime(hours) {
+        this.time = ((hours % 24) + 24) % 24;
+        this._apply();
+    }
+
+    /**
+     * @param {number} timeScale - Game seconds per real second; 0 stops time like pause()
+     */
+    setSpeed(timeScale) {
+        this.timeScale = timeScale;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    get isNight() {
+        return this.sunElevation < -6;
+    }
+
+    /**
+     * @param {number} deltaTime - Real seconds
+     */
+    update(deltaTime) {
+        if (!this.paused && this.timeScale !== 0) {
+            const previous = this.time;
+            this.time = (this.time + deltaTime * this.timeScale / 3600) % 24;
+            if (this.time < previous) this.dispatchEvent({ type: 'newDay' });
+        }
+        this._apply();
+    }
+
+    /**
+     * Sun direction for any hour, without changing the cycle
+     * @param {number} hours
+     * @param {THREE.Vector3} [target]
+     */
+    getSunDirection(hours, target = new THREE.Vector3()) {
+        const latitude = this.latitude * DEG2RAD;
+        const declination = -23.44 * DEG2RAD * Math.cos(2 * Math.PI * (this.dayOfYear + 10) / 365);
+        const hourAngle = (hours - 12) * 15 * DEG2RAD;
+
+        const east = -Math.cos(declination) * Math.sin(hourAngle);
+        const north = Math.sin(declination) * Math.cos(latitude) -
+            Math.cos(declination) * Math.sin(latitude) * Math.cos(hourAngle);
+        const up = Math.sin(declination) * Math.sin(latitude) +
+            Math.cos(declination) * Math.cos(latitude) * Math.cos(hourAngle);
+
+        return target.set(east, up, -north).normalize();
+    }
+
+    _apply() {
+        this.getSunDirection(this.time, this.sunDirection);
+        this.sunElevation = Math.asin(THREE.MathUtils.clamp(this.sunDirection.y, -1, 1)) / DEG2RAD;
+
+        // Lighting keys around the current elevation
+        let i = 1;
+        while (i < LIGHTING_KEYS.length - 1 && LIGHTING_KEYS[i].elevation < this.sunElevation) i++;
+        const a = LIGHTING_KEYS[i - 1];
+        const b = LIGHTING_KEYS[i];
+        const t = THREE.MathUtils.clamp((this.sunElevation - a.elevation) / (b.elevation - a.elevation), 0, 1);
+        const lerp = (key) => a[key] + (b[key] - a[key]) * t;
+        const weather = this.weather?.modifiers;
+        const scale = (key) => (weather ? weather[key] : 1);
+
+        const light = this.sunLight;
+        light.position.copy(light.target.position).addScaledVector(this.sunDirection, this.sunDistance);
+        light.color.lerpColors(a.sunColor, b.sunColor, t);
+        // Intensity 0 rather than visible = false: toggling lights recompiles every lit material
+        light.intensity = lerp('sunIntensity') * scale('sunIntensity');
+
+        if (this.ambientLight) {
+            this.ambientLight.color.lerpColors(a.ambientColor, b.ambientColor, t);
+            this.ambientLight.intensity = lerp('ambientIntensity') * scale('ambientIntensity');
+        }
+
+        if (this.scene.fog) {
+            this.scene.fog.color.lerpColors(a.fogColor, b.fogColor, t);
+            if (this.weather) this.weather.tintFog(this.scene.fog.color);
+        }
+        this.scene.environmentIntensity = lerp('environmentIntensity') * scale('environmentIntensity');
+
+        if (this.sky) {
+            this.sky.setSkyExposure(this.baseSkyExposure * lerp('skyExposure') * scale('skyExposure'));
+            // ProceduralSky follows the sun; HDRISky crossfades its layers
+            if (this.sky.setSunDirection) this.sky.setSunDirection(this.sunDirection);
+            if (this.sky.crossfade) this._crossfadeSky();
+        }
+    }
+
+    /**
+     * night below -6 deg, night -> dawn/dusk up to 4 deg, dawn/dusk -> day up to 20 deg
+     */
+    _crossfadeSky() {
+        const twilight = this.time < 12 ? 'dawn' : 'dusk';
+        const e = this.sunElevation;
+
+        if (e <= -6) this.sky.crossfade('night', null, 0);
+        else if (e < 4) this.sky.crossfade('night', twilight, THREE.MathUtils.smoothstep(e, -6, 4));
+        else if (e < 20) this.sky.crossfade(twilight, 'day', THREE.MathUtils.smoothstep(e, 4, 20));
+        else this.sky.crossfade('day', null, 0);
+    }
+}
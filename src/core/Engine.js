@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+
+/**
+ * Engine - Renderer, scene and cameras plus an ordered set of systems run by a fixed-timestep loop.
+ *
+ * Systems are plain objects with any of these hooks, called in ascending priority (ties keep
+ * registration order); dispose runs in reverse:
+ *   init(engine)                - Once, from engine.init() (or on registration after it); may be async
+ *   fixedUpdate(step, engine)   - Zero or more times per frame with exactly fixedTimestep seconds
+ *   update(deltaTime, engine)   - Once per frame, after the fixed steps
+ *   dispose(engine)
+ *
+ * A system whose init() throws or rejects is reported and sits out: the others still initialize
+ * and run, its fixedUpdate / update are skipped (getSystemError() has the error) and its dispose
+ * still runs.
+ *
+ * Simulation (physics, character movement) goes in fixedUpdate so it doesn't depend on the frame
+ * rate; update draws it at engine.alpha (0..1), how far the frame is between the last fixed step
+ * and the next, to interpolate. When the frame rate drops so low that more than maxSubSteps
+ * steps would be needed, the backlog is dropped rather than spiralling.
+ *
+ * pause() stops simulated time: no fixed steps, update() gets a deltaTime of 0 (systems can still
+ * react to input, e.g. an editor camera) and the scene keeps rendering. step() advances a paused
+ * engine by whole fixed steps. fixedDelta makes every frame advance by the same amount whatever
+ * the wall time (benchmarks, video capture).
+ *
+ * The engine keeps no global state (its canvas, loop, resize handling and systems all live on the
+ * instance), so several can run in one page, e.g. a game view and an editor viewport; the bundled
+ * systems likewise only touch their own scene and materials (tools/check-engine.js checks this).
+ *
+ * Events:
+ *   resize { width, height }
+ *   paused / resumed
+ *
+ * Usage:
+ *   const engine = new Engine({ container: document.body });
+ *   engine.addSystem('spinner', { update: (dt) => (cube.rotation.y += dt) });
+ *   engine.addSystem('physics', { fixedUpdate: (step) => world.step(step) }, { priority: -10 });
+ *   await engine.init();
+ *   engine.start();
+ *   // Later:
+ *   engine.dispose();
+ */
+export class Engine extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.container=document.body] - Receives the canvas and sets the viewport size
+     * @param {HTMLCanvasElement} [options.canvas] - Render into an existing canvas instead of creating one
+     * @param {THREE.WebGLRenderer} [options.renderer] - Use an existing renderer (left for its owner to dispose)
+     * @param {Object} [options.rendererOptions] - Extra THREE.WebGLRenderer parameters
+     * @param {number} [options.pixelRatio=window.devicePixelRatio]
+     * @param {THREE.Scene} [options.scene] - Defaults to a new, empty scene
+     * @param {{ fov?: number, near?: number, far?: number }} [options.camera] - The 'main' perspective camera
+     * @param {number} [options.fixedTimestep=1/60] - Seconds per fixed step
+     * @param {number} [options.maxSubSteps=5] - Most fixed steps per frame
+     */
+    constructor(options = {}) {
+        super();
+        this.container = options.container || document.body;
+
+        this._ownsRenderer = !options.renderer;
+        this.renderer = options.renderer || new THREE.WebGLRenderer({
+            antialias: true,
+            powerPreference: 'high-performance',
+            canvas: options.canvas,
+            ...options.rendererOptions,
+        });
+        this.renderer.setPixelRatio(options.pixelRatio ?? window.devicePixelRatio);
+        this._ownsCanvas = this._ownsRenderer && !options.canvas;
+        if (this._ownsCanvas) this.container.appendChild(this.renderer.domElement);
+
+        this.scene = options.scene || new THREE.Scene();
+
+        // Cameras by name; `camera` is the one rendered
+        this.cameras = new Map();
+        const { fov = 75, near = 0.1, far = 1000 } = options.camera || {};
+        this.camera = this.addCamera('main', new THREE.PerspectiveCamera(fov, 1, near, far));
+
+        this.fixedTimestep = options.fixedTimestep ?? 1 / 60;
+        this.maxSubSteps = options.maxSubSteps ?? 5;
+        this.timeScale = 1;
+        this.fixedDelta = null; // Seconds per frame when set, instead of the measured frame time
+
+        // Optional collaborators: per-frame begin()/end() (PerformanceMonitor), and a FrameProfiler
+        // timing each system as a scope of its name, and rendering as 'render'
+        this.monitor = null;
+        this.profiler = null;
+
+        this.systems = []; // { name, system, priority, order }, sorted
+        this.initialized = false;
+        this.running = false;
+        this.paused = false;
+
+        this.time = 0; // Simulated seconds
+        this.frame = 0;
+        this.fixedFrame = 0;
+        this.alpha = 0;
+        this.accumulator = 0;
+        this.width = 0;
+        this.height = 0;
+
+        this._order = 0;
+        this._pendingSteps = 0;
+        this._clock = new THREE.Clock(false);
+        this._frameHandler = () => this._frame();
+
+        this._onResize = () => this.resize();
+        if (this.container === document.body) {
+            window.addEventListener('resize', this._onResize);
+        } else {
+            this._resizeObserver = new ResizeObserver(this._onResize);
+            this._resizeObserver.observe(this.container);
+        }
+        this.resize();
+    }
+
+    /**
+     * Register a camera. The first camera is the active one until setActiveCamera().
+     * @returns {THREE.Camera} The camera
+     */
+    addCamera(name, camera) {
+        this.cameras.set(name, camera);
+        if (camera.isPerspectiveCamera && this.width > 0) {
+            camera.aspect = this.width / this.height;
+            camera.updateProjectionMatrix();
+        }
+        return camera;
+    }
+
+    getCamera(name) {
+        return this.cameras.get(name);
+    }
+
+    /**
+     * @param {string|THREE.Camera} camera - A registered camera or its name
+     */
+    setActiveCamera(camera) {
+        const resolved = typeof camera === 'string' ? this.cameras.get(camera) : camera;
+        if (!resolved) throw new Error(`Engine: no camera "${camera}"`);
+        this.camera = resolved;
+    }
+
+    /**
+     * @param {string} name - Unique; also the profiler scope the system is timed under
+     * @param {Object} system - Any of init / fixedUpdate / update / dispose
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Lower runs earlier
+     * @returns {Object} The system; when the engine is already initialized its init() has been called
+     *   (await engine.getSystemReady(name) if it is async)
+     */
+    addSystem(name, system, { priority = 0 } = {}) {
+        if (this.getSystem(name)) throw new Error(`Engine: system "${name}" is already registered`);
+
+        const entry = { name, system, priority, order: this._order++, ready: null, error: null };
+        this.systems.push(entry);
+        this.systems.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+        if (this.initialized) entry.ready = this._initSystem(entry);
+        return system;
+    }
+
+    /**
+     * Unregister a system
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.dispose=true] - Call its dispose()
+     * @returns {Object|null} The system
+     */
+    removeSystem(name, { dispose = true } = {}) {
+        const index = this.systems.findIndex(entry => entry.name === name);
+        if (index === -1) return null;
+
+        const [{ system }] = this.systems.splice(index, 1);
+        if (dispose) system.dispose?.(this);
+        return system;
+    }
+
+    getSystem(name) {
+        return this.systems.find(entry => entry.name === name)?.system ?? null;
+    }
+
+    /**
+     * Resolves when a system's init() has finished, whether or not it succeeded
+     */
+    getSystemReady(name) {
+        return this.systems.find(entry => entry.name === name)?.ready ?? Promise.resolve();
+    }
+
+    /**
+     * @returns {Error|null} What the system's init() threw or rejected with, if it failed
+     */
+    getSystemError(name) {
+        return this.systems.find(entry => entry.name === name)?.error ?? null;
+    }
+
+    /**
+     * Call init() on every registered system, in priority order, waiting for each. Failures are
+     * logged and skip only the failed system.
+     */
+    async init() {
+        for (const entry of [...this.systems]) {
+            entry.ready = this._initSystem(entry);
+            await entry.ready;
+        }
+        this.initialized = true;
+        return this;
+    }
+
+    async _initSystem(entry) {
+        try {
+            await entry.system.init?.(this);
+        } catch (error) {
+            entry.error = error;
+            console.error(`Engine: system "${entry.name}" failed to initialize:`, error);
+        }
+    }
+
+    /**
+     * Start the render loop (renderer.setAnimationLoop, so it also drives WebXR sessions)
+     */
+    start() {
+        if (this.running) return this;
+        this.running = true;
+        this._clock.start();
+        this.renderer.setAnimationLoop(this._frameHandler);
+        return this;
+    }
+
+    /**
+     * Stop the render loop (nothing updates or renders until start())
+     */
+    stop() {
+        if (!this.running) return this;
+        this.running = false;
+        this._clock.stop();
+        this.renderer.setAnimationLoop(null);
+        return this;
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.accumulator = 0;
+        this.dispatchEvent({ type: 'paused' });
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this._pendingSteps = 0;
+        this.dispatchEvent({ type: 'resumed' });
+    }
+
+    /**
+     * Advance a paused engine by whole fixed steps on the next frame
+     * @param {number} [count=1]
+     */
+    step(count = 1) {
+        if (this.paused) this._pendingSteps += count;
+    }
+
+    /**
+     * Match the canvas and cameras to the container (called on window / container resize)
+     */
+    resize() {
+        const isBody = this.container === document.body;
+        const width = isBody ? window.innerWidth : this.container.clientWidth;
+        const height = isBody ? window.innerHeight : this.container.clientHeight;
+        if (width === 0 || height === 0 || (width === this.width && height === this.height)) return;
+
+        this.width = width;
+        this.height = height;
+        this.renderer.setSize(width, height);
+        for (const camera of this.cameras.values()) {
+            if (!camera.isPerspectiveCamera) continue;
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+        }
+        this.dispatchEvent({ type: 'resize', width, height });
+    }
+
+    _frame() {
+        // A long gap (tab in the background) is treated as one slow frame, not minutes of catch-up
+        const frameTime = Math.min(this._clock.getDelta(), 0.25);
+        this.monitor?.begin();
+
+        let deltaTime;
+        let steps;
+        if (this.paused) {
+            steps = this._pendingSteps;
+            this._pendingSteps = 0;
+            deltaTime = steps * this.fixedTimestep;
+            this.accumulator = 0;
+        } else {
+            deltaTime = (this.fixedDelta ?? frameTime) * this.timeScale;
+            this.accumulator += deltaTime;
+            steps = Math.min(Math.floor(this.accumulator / this.fixedTimestep), this.maxSubSteps);
+            this.accumulator -= steps * this.fixedTimestep;
+            // Too far behind: drop the backlog instead of spiralling
+            if (steps === this.maxSubSteps) this.accumulator = Math.min(this.accumulator, this.fixedTimestep);
+        }
+
+        for (let i = 0; i < steps; i++) {
+            this._runHook('fixedUpdate', this.fixedTimestep);
+            this.time += this.fixedTimestep;
+            this.fixedFrame++;
+        }
+        this.alpha = this.accumulator / this.fixedTimestep;
+
+        this._runHook('update', deltaTime);
+
+        this.profiler?.begin('render');
+        this.renderer.render(this.scene, this.camera);
+        this.profiler?.end('render');
+
+        this.frame++;
+        this.monitor?.end();
+    }
+
+    _runHook(hook, deltaTime) {
+        const profiler = this.profiler;
+        for (const { name, system, error } of this.systems) {
+            if (error || !system[hook]) continue;
+            profiler?.begin(name);
+            system[hook](deltaTime, this);
+            profiler?.end(name);
+        }
+    }
+
+    /**
+     * Stop, dispose systems in reverse priority order, then release the renderer (and the canvas)
+     * if the engine created it
+     */
+    dispose() {
+        this.stop();
+
+        for (let i = this.systems.length - 1; i >= 0; i--) {
+            this.systems[i].system.dispose?.(this);
+        }
+        this.systems = [];
+
+        window.removeEventListener('resize', this._onResize);
+        this._resizeObserver?.disconnect();
+
+        if (this._ownsRenderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+        }
+        if (this._ownsCanvas) this.renderer.domElement.remove();
+        this.cameras.clear();
+    }
+}
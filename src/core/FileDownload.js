@@ -0,0 +1,14 @@
+/**
+ * Save a Blob through the browser's download prompt
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Give the download a moment to start before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,486 @@
+import * as THREE from 'three';
+
+export const PROFILE_FORMAT = 'snapfire-profile';
+export const PROFILE_FORMAT_VERSION = 1;
+
+const RENDERER_INFO_KEYS = ['calls', 'triangles', 'points', 'lines', 'geometries', 'textures', 'programs'];
+
+/**
+ * FrameProfiler - Named timing scopes per frame, with rolling history, percentiles, hitch
+ * detection, budgets, renderer.info sampling and capture sessions for comparing builds.
+ *
+ * Scopes are timed with begin/end (or measure) on the main thread, or reported with record() for
+ * work timed elsewhere - e.g. terrain worker jobs, which are marked offThread so they never count
+ * as the cause of a main-thread hitch. Nested scopes are inclusive of their children. The frame
+ * time is from beginFrame to endFrame; time outside any scope shows up as the gap between the
+ * frame time and its scopes.
+ *
+ * A frame is a hitch when it takes hitchFactor times the recent median and at least minHitchTime;
+ * it is blamed on the main-thread scope that took longest in that frame. A budget warning fires
+ * once when a scope's average over the last budgetWindow frames goes over its budget, and again
+ * only after it has come back under.
+ *
+ * Events:
+ *   hitch { hitch }                                 - { frame, time, duration, median, scope, scopeTime }
+ *   budgetExceeded { scope, average, budget }
+ *
+ * DOM-free (PerformanceMonitor draws and downloads; see profileToJSON / profileToCSV).
+ *
+ * Usage:
+ *   const profiler = new FrameProfiler({ renderer, budgets: { frame: 16.7, render: 8 } });
+ *   // Each frame:
+ *   profiler.beginFrame();
+ *   profiler.measure('player', () => player.update(deltaTime));
+ *   profiler.begin('render'); renderer.render(scene, camera); profiler.end('render');
+ *   profiler.endFrame();
+ *   // Comparing builds:
+ *   profiler.startCapture('before');
+ *   const report = profiler.stopCapture(); // profileToJSON(report), profileToCSV(report)
+ */
+export class FrameProfiler extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {THREE.WebGLRenderer} [options.renderer] - renderer.info is sampled if given
+     * @param {number} [options.historySize=600] - Frames of rolling history per scope
+     * @param {Object<string, number>} [options.budgets] - Milliseconds per scope; 'frame' is the whole frame
+     * @param {number} [options.budgetWindow=60] - Frames averaged for budget checks
+     * @param {number} [options.hitchFactor=2.5] - Hitch when a frame takes this times the recent median...
+     * @param {number} [options.minHitchTime=33] - ...and at least this many milliseconds
+     * @param {number} [options.rendererInfoInterval=30] - Frames between renderer.info samples
+     * @param {boolean} [options.warnings=true] - console.warn hitches and budget overruns
+     */
+    constructor(options = {}) {
+        super();
+        this.renderer = options.renderer || null;
+        this.historySize = options.historySize ?? 600;
+        this.budgets = { ...options.budgets };
+        this.budgetWindow = options.budgetWindow ?? 60;
+        this.hitchFactor = options.hitchFactor ?? 2.5;
+        this.minHitchTime = options.minHitchTime ?? 33;
+        this.rendererInfoInterval = options.rendererInfoInterval ?? 30;
+        this.warnings = options.warnings ?? true;
+        this.enabled = true;
+
+        this.frame = 0; // Frames completed
+        this.frameTimes = new Float32Array(this.historySize);
+        this.scopes = new Map(); // name -> { history: Float32Array, offThread: boolean }
+        this.hitches = []; // Most recent, at most MAX_HITCHES
+        this.rendererInfo = []; // Most recent samples, at most historySize / rendererInfoInterval
+        this.capture = null;
+
+        this.MAX_HITCHES = 50;
+
+        this._startTime = now();
+        this._frameStart = null;
+        this._current = new Map(); // name -> milliseconds this frame
+        this._between = new Map(); // Recorded after endFrame, for the next frame
+        this._open = new Map(); // name -> start time
+        this._overBudget = new Set();
+    }
+
+    /**
+     * Start a frame. Scopes still open from the previous frame are dropped; time recorded between
+     * frames (e.g. worker results arriving) counts towards this one.
+     */
+    beginFrame() {
+        if (!this.enabled) return;
+        this._frameStart = now();
+        this._current = this._between;
+        this._between = new Map();
+        this._open.clear();
+    }
+
+    /**
+     * Close the frame: store its scope times and run hitch, budget and renderer.info checks.
+     * The frame time is measured from beginFrame to here.
+     */
+    endFrame() {
+        if (!this.enabled || this._frameStart === null) return;
+        const total = now() - this._frameStart;
+        this._frameStart = null;
+
+        const slot = this.frame % this.historySize;
+        const median = this.frame > 0 ? percentile(this._recentFrameTimes(this.budgetWindow), 0.5) : total;
+        this.frameTimes[slot] = total;
+        for (const [name, scope] of this.scopes) scope.history[slot] = this._current.get(name) || 0;
+        this.frame++;
+
+        if (total > this.minHitchTime && this.frame > this.budgetWindow && total > median * this.hitchFactor) {
+            this._onHitch(total, median);
+        }
+        this._checkBudgets();
+
+        if (this.renderer && this.frame % this.rendererInfoInterval === 0) this._sampleRendererInfo();
+
+        if (this.capture) {
+            this.capture.frames.push({
+                frame: this.frame,
+                time: this.elapsed,
+                total,
+                scopes: Object.fromEntries(this._current),
+            });
+        }
+    }
+
+    /**
+     * Milliseconds since the profiler was created
+     */
+    get elapsed() {
+        return now() - this._startTime;
+    }
+
+    /**
+     * Start timing a scope. Calling begin for an open scope restarts it.
+     */
+    begin(name) {
+        if (!this.enabled) return;
+        this._open.set(name, now());
+    }
+
+    /**
+     * Stop timing a scope; its time is added to the scope's total for this frame
+     * @returns {number} Milliseconds since begin(name), 0 if it wasn't open
+     */
+    end(name) {
+        if (!this.enabled) return 0;
+        const start = this._open.get(name);
+        if (start === undefined) return 0;
+        this._open.delete(name);
+
+        const time = now() - start;
+        this.record(name, time);
+        return time;
+    }
+
+    /**
+     * Time a function as a scope
+     * @returns {*} Whatever fn returns
+     */
+    measure(name, fn) {
+        this.begin(name);
+        try {
+            return fn();
+        } finally {
+            this.end(name);
+        }
+    }
+
+    /**
+     * Add time measured elsewhere to a scope for the current frame
+     * @param {string} name
+     * @param {number} time - Milliseconds
+     * @param {Object} [options]
+     * @param {boolean} [options.offThread=false] - Not main-thread time (never blamed for hitches)
+     */
+    record(name, time, { offThread = false } = {}) {
+        if (!this.enabled) return;
+        const scope = this._getScope(name);
+        if (offThread) scope.offThread = true;
+        const target = this._frameStart === null ? this._between : this._current;
+        target.set(name, (target.get(name) || 0) + time);
+    }
+
+    _getScope(name) {
+        let scope = this.scopes.get(name);
+        if (!scope) {
+            scope = { history: new Float32Array(this.historySize), offThread: false };
+            this.scopes.set(name, scope);
+        }
+        return scope;
+    }
+
+    /**
+     * Frame times of the recorded history, oldest first
+     */
+    _recentFrameTimes(count = this.historySize) {
+        return this._historySlice(this.frameTimes, count);
+    }
+
+    _historySlice(history, count) {
+        const length = Math.min(count, this.frame, this.historySize);
+        const out = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            out[i] = history[(this.frame - length + i) % this.historySize];
+        }
+        return out;
+    }
+
+    _onHitch(duration, median) {
+        let scope = null;
+        let scopeTime = 0;
+        for (const [name, time] of this._current) {
+            if (this.scopes.get(name).offThread || time <= scopeTime) continue;
+            scope = name;
+            scopeTime = time;
+        }
+
+        const hitch = { frame: this.frame, time: this.elapsed, duration, median, scope, scopeTime };
+        this.hitches.push(hitch);
+        if (this.hitches.length > this.MAX_HITCHES) this.hitches.shift();
+        this.capture?.hitches.push(hitch);
+
+        if (this.warnings) {
+            const cause = scope ? `${scope} ${scopeTime.toFixed(1)}ms` : 'outside any scope';
+            console.warn(`🐢 Hitch: frame ${this.frame} took ${duration.toFixed(1)}ms (median ${median.toFixed(1)}ms), ${cause}`);
+        }
+        this.dispatchEvent({ type: 'hitch', hitch });
+    }
+
+    _checkBudgets() {
+        if (this.frame < this.budgetWindow) return;
+
+        for (const [name, budget] of Object.entries(this.budgets)) {
+            const history = name === 'frame' ? this.frameTimes : this.scopes.get(name)?.history;
+            if (!history) continue;
+
+            const average = mean(this._historySlice(history, this.budgetWindow));
+            if (average <= budget) {
+                this._overBudget.delete(name);
+                continue;
+            }
+            if (this._overBudget.has(name)) continue;
+
+            this._overBudget.add(name);
+            const warning = { scope: name, average, budget, frame: this.frame, time: this.elapsed };
+            this.capture?.budgetWarnings.push(warning);
+            if (this.warnings) {
+                console.warn(`⏱️ Over budget: ${name} averages ${average.toFixed(2)}ms (budget ${budget}ms)`);
+            }
+            this.dispatchEvent({ type: 'budgetExceeded', scope: name, average, budget });
+        }
+    }
+
+    _sampleRendererInfo() {
+        const { render, memory, programs } = this.renderer.info;
+        const sample = {
+            frame: this.frame,
+            time: this.elapsed,
+            calls: render.calls,
+            triangles: render.triangles,
+            points: render.points,
+            lines: render.lines,
+            geometries: memory.geometries,
+            textures: memory.textures,
+            programs: programs?.length || 0,
+        };
+
+        this.rendererInfo.push(sample);
+        if (this.rendererInfo.length > Math.ceil(this.historySize / this.rendererInfoInterval)) this.rendererInfo.shift();
+        this.capture?.rendererInfo.push(sample);
+    }
+
+    /**
+     * Statistics over the rolling history (or the last `frames` frames)
+     * @param {number} [frames]
+     * @returns {{ frames: number, fps: number, frameTime: Object, scopes: Object<string, Object> }}
+     *   Each time is { avg, p50, p95, p99, max } in milliseconds; scopes also carry their budget
+     */
+    getSummary(frames = this.historySize) {
+        const frameTimes = this._recentFrameTimes(frames);
+        const scopes = {};
+        for (const [name, scope] of this.scopes) {
+            scopes[name] = this._describe(name, this._historySlice(scope.history, frames), scope.offThread);
+        }
+        return summarize(frameTimes, scopes, this.budgets.frame);
+    }
+
+    _describe(name, times, offThread) {
+        const stats = getTimeStats(times);
+        if (this.budgets[name] !== undefined) stats.budget = this.budgets[name];
+        if (offThread) stats.offThread = true;
+        return stats;
+    }
+
+    /**
+     * Start recording every frame, hitch, budget warning and renderer.info sample.
+     * A capture already running is discarded.
+     * @param {string} [label] - E.g. a build or commit, to tell reports apart
+     */
+    startCapture(label = '') {
+        this.capture = {
+            label,
+            startedAt: new Date().toISOString(),
+            startTime: this.elapsed,
+            frames: [],
+            hitches: [],
+            budgetWarnings: [],
+            rendererInfo: [],
+        };
+    }
+
+    get isCapturing() {
+        return this.capture !== null;
+    }
+
+    /**
+     * Finish the capture
+     * @returns {Object|null} Report (see profileToJSON / profileToCSV), null if none was running
+     */
+    stopCapture() {
+        const capture = this.capture;
+        if (!capture) return null;
+        this.capture = null;
+
+        const frameTimes = Float32Array.from(capture.frames, f => f.total);
+        const scopeNames = [...new Set(capture.frames.flatMap(f => Object.keys(f.scopes)))];
+        const scopes = {};
+        for (const name of scopeNames) {
+            const times = Float32Array.from(capture.frames, f => f.scopes[name] || 0);
+            scopes[name] = this._describe(name, times, this.scopes.get(name)?.offThread);
+        }
+
+        return {
+            format: PROFILE_FORMAT,
+            version: PROFILE_FORMAT_VERSION,
+            label: capture.label,
+            startedAt: capture.startedAt,
+            duration: this.elapsed - capture.startTime,
+            environment: getEnvironment(this.renderer),
+            budgets: { ...this.budgets },
+            summary: summarize(frameTimes, scopes, this.budgets.frame),
+            hitches: capture.hitches,
+            budgetWarnings: capture.budgetWarnings,
+            rendererInfo: capture.rendererInfo,
+            frames: capture.frames,
+        };
+    }
+
+    /**
+     * Forget history, hitches and samples (not the scopes' names or budgets)
+     */
+    reset() {
+        this.frame = 0;
+        this.frameTimes.fill(0);
+        for (const scope of this.scopes.values()) scope.history.fill(0);
+        this.hitches = [];
+        this.rendererInfo = [];
+        this._between.clear();
+        this._overBudget.clear();
+    }
+
+    dispose() {
+        this.capture = null;
+        this.scopes.clear();
+        this.hitches = [];
+        this.rendererInfo = [];
+    }
+}
+
+/**
+ * @param {Object} report - From stopCapture()
+ * @param {number} [indent=2]
+ * @returns {string}
+ */
+export function profileToJSON(report, indent = 2) {
+    return JSON.stringify(report, (key, value) => (typeof value === 'number' ? round(value) : value), indent);
+}
+
+/**
+ * One row per frame: frame, time, total, then a column per scope (ms), then whether the frame was
+ * a hitch and the latest renderer.info sample. Loads straight into a spreadsheet.
+ * @param {Object} report - From stopCapture()
+ * @returns {string}
+ */
+export function profileToCSV(report) {
+    const scopeNames = Object.keys(report.summary.scopes);
+    const hitchFrames = new Set(report.hitches.map(h => h.frame));
+    const header = ['frame', 'time', 'total', ...scopeNames, 'hitch', ...RENDERER_INFO_KEYS];
+    const rows = [header.map(csvField).join(',')];
+
+    let infoIndex = -1;
+    for (const frame of report.frames) {
+        while (infoIndex + 1 < report.rendererInfo.length && report.rendererInfo[infoIndex + 1].frame <= frame.frame) infoIndex++;
+        const info = report.rendererInfo[infoIndex];
+
+        rows.push([
+            frame.frame,
+            round(frame.time),
+            round(frame.total),
+            ...scopeNames.map(name => round(frame.scopes[name] || 0)),
+            hitchFrames.has(frame.frame) ? 1 : 0,
+            ...RENDERER_INFO_KEYS.map(key => (info ? info[key] : '')),
+        ].join(','));
+    }
+
+    return rows.join('\n') + '\n';
+}
+
+function summarize(frameTimes, scopes, frameBudget) {
+    const frameTime = getTimeStats(frameTimes);
+    if (frameBudget !== undefined) frameTime.budget = frameBudget;
+    return {
+        frames: frameTimes.length,
+        fps: frameTime.avg > 0 ? 1000 / frameTime.avg : 0,
+        frameTime,
+        scopes,
+    };
+}
+
+/**
+ * { avg, p50, p95, p99, max } of a list of times (nearest-rank percentiles)
+ * @param {ArrayLike<number>} times
+ * @returns {{ avg: number, p50: number, p95: number, p99: number, max: number }}
+ */
+export function getTimeStats(times) {
+    if (times.length === 0) return { avg: 0, p50: 0, p95: 0, p99: 0, max: 0 };
+    const sorted = Float32Array.from(times).sort();
+    return {
+        avg: mean(sorted),
+        p50: percentileSorted(sorted, 0.5),
+        p95: percentileSorted(sorted, 0.95),
+        p99: percentileSorted(sorted, 0.99),
+        max: sorted[sorted.length - 1],
+    };
+}
+
+function percentile(values, p) {
+    return percentileSorted(Float32Array.from(values).sort(), p);
+}
+
+function percentileSorted(sorted, p) {
+    if (sorted.length === 0) return 0;
+    // Nearest rank: the value at or below which p of the frames fall
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+function mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += values[i];
+    return values.length > 0 ? sum / values.length : 0;
+}
+
+/**
+ * Round for reports and tables
+ * @param {number} value
+ * @param {number} [digits=3] - Decimal places
+ */
+export function round(value, digits = 3) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+function csvField(text) {
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function now() {
+    return performance.now();
+}
+
+function getEnvironment(renderer) {
+    const environment = {};
+    if (typeof navigator !== 'undefined') {
+        environment.userAgent = navigator.userAgent;
+        environment.hardwareConcurrency = navigator.hardwareConcurrency;
+    }
+    if (renderer) {
+        const canvas = renderer.domElement;
+        environment.pixelRatio = renderer.getPixelRatio();
+        if (canvas) environment.canvas = [canvas.width, canvas.height];
+
+        const gl = renderer.getContext?.();
+        const debugInfo = gl?.getExtension('WEBGL_debug_renderer_info');
+        if (debugInfo) environment.gpu = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+    }
+    return environment;
+}
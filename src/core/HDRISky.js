@@ -1,15 +1,27 @@
 import * as THREE from 'three';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { AssetManager } from './AssetManager.js';
 
 /**
  * HDRISky - Manages HDRI environment and background using a custom shader sky sphere
  * for independent exposure control and proper tone mapping.
+ *
+ * Several HDRIs can be loaded as named layers (e.g. dawn/day/dusk/night) and crossfaded in the
+ * sky shader; DayNightCycle drives this. A layer that isn't loaded falls back to the first one
+ * that is, so a partial set still works (tools/check-engine.js runs a full set through a day).
  */
 export class HDRISky {
-    constructor(scene, renderer) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {AssetManager} [assetManager] - Shared cache; a private one is created if omitted
+     */
+    constructor(scene, renderer, assetManager = new AssetManager()) {
         this.scene = scene;
         this.renderer = renderer;
-        this.texture = null;
+        this.assetManager = assetManager;
+        this.layers = new Map(); // name -> { texture, path }
+        this.texture = null; // Dominant layer of the current crossfade
+        this.texturePath = null;
         this.skyMesh = null;
     }
 
@@ -19,31 +31,90 @@ export class HDRISky {
      * @returns {Promise<THREE.Texture>}
      */
     async load(path) {
-        return new Promise((resolve, reject) => {
-            const loader = new RGBELoader();
-
-            loader.load(
-                path,
-                (texture) => {
-                    texture.mapping = THREE.EquirectangularReflectionMapping;
-                    this.texture = texture;
-
-                    // Set environment for scene lighting
-                    this.scene.environment = texture;
-
-                    // Create custom sky sphere for background
-                    this._createSkySphere(texture);
-
-                    console.log('🌅 HDRI loaded with shader-based sky sphere');
-                    resolve(texture);
-                },
-                undefined,
-                (error) => {
-                    console.error('Failed to load HDRI:', error);
-                    reject(error);
-                }
-            );
+        await this.loadLayers({ default: path }, { throwOnError: true });
+        return this.texture;
+    }
+
+    /**
+     * Load named HDRIs for crossfading, replacing any loaded before
+     * @param {Object<string, string>} paths - Layer name -> HDR path, e.g. { day: '...', night: '...' }
+     * @param {Object} [options]
+     * @param {boolean} [options.throwOnError=false] - Reject if any layer fails (otherwise it is skipped)
+     * @returns {Promise<Map<string, { texture: THREE.Texture, path: string }>>}
+     */
+    async loadLayers(paths, options = {}) {
+        const entries = Object.entries(paths);
+        const results = await Promise.allSettled(
+            entries.map(([, path]) => this.assetManager.load(path, { type: 'hdr' }))
+        );
+
+        const layers = new Map();
+        let firstError = null;
+        results.forEach((result, i) => {
+            const [name, path] = entries[i];
+            if (result.status === 'fulfilled') {
+                layers.set(name, { texture: result.value, path });
+            } else {
+                console.error(`Failed to load HDRI "${name}":`, result.reason);
+                firstError ??= result.reason;
+            }
         });
+
+        if (firstError && options.throwOnError) {
+            for (const layer of layers.values()) this.assetManager.release(layer.path);
+            throw firstError;
+        }
+        if (layers.size === 0) return this.layers;
+
+        this._releaseTexture();
+        this.layers = layers;
+
+        const first = layers.values().next().value;
+        if (!this.skyMesh) this._createSkySphere(first.texture);
+        this.crossfade(layers.keys().next().value, null, 0);
+
+        console.log(`🌅 HDRI loaded with shader-based sky sphere (${[...layers.keys()].join(', ')})`);
+        return this.layers;
+    }
+
+    /**
+     * Blend the sky between two layers
+     * @param {string} from
+     * @param {string|null} to - null shows `from` alone
+     * @param {number} t - 0 = from, 1 = to
+     */
+    crossfade(from, to, t) {
+        const a = this._resolveLayer(from);
+        const b = to === null ? a : this._resolveLayer(to);
+        if (!a || !this.skyMesh) return;
+
+        const uniforms = this.skyMesh.material.uniforms;
+        uniforms.tEquirect.value = a.texture;
+        uniforms.tEquirectB.value = b.texture;
+        uniforms.blend.value = a === b ? 0 : THREE.MathUtils.clamp(t, 0, 1);
+
+        // Image-based lighting can't blend two textures; use whichever dominates
+        const dominant = uniforms.blend.value < 0.5 ? a : b;
+        this.texture = dominant.texture;
+        this.texturePath = dominant.path;
+        this.scene.environment = dominant.texture;
+    }
+
+    hasLayer(name) {
+        return this.layers.has(name);
+    }
+
+    _resolveLayer(name) {
+        return this.layers.get(name) || this.layers.values().next().value || null;
+    }
+
+    _releaseTexture() {
+        for (const layer of this.layers.values()) {
+            this.assetManager.release(layer.path);
+        }
+        this.layers.clear();
+        this.texture = null;
+        this.texturePath = null;
     }
 
     _createSkySphere(texture) {
@@ -57,6 +128,8 @@ export class HDRISky {
         const material = new THREE.ShaderMaterial({
             uniforms: {
                 tEquirect: { value: texture },
+                tEquirectB: { value: texture },
+                blend: { value: 0.0 },        // 0 = tEquirect, 1 = tEquirectB
                 exposure: { value: 0.05 },
                 brightness: { value: 0.0 }, // Offset
                 contrast: { value: 1.0 },   // Scale
@@ -72,6 +145,8 @@ export class HDRISky {
             `,
             fragmentShader: `
                 uniform sampler2D tEquirect;
+                uniform sampler2D tEquirectB;
+                uniform float blend;
                 uniform float exposure;
                 uniform float brightness;
                 uniform float contrast;
@@ -94,7 +169,7 @@ export class HDRISky {
                     // Flip y for orientation correction
                     vec2 uv = vec2(atan(direction.z, direction.x) * RECIPROCAL_PI2 + 0.5, 1.0 - acos(direction.y) * RECIPROCAL_PI);
                     
-                    vec4 texColor = texture2D(tEquirect, uv);
+                    vec4 texColor = mix(texture2D(tEquirect, uv), texture2D(tEquirectB, uv), blend);
                     
                     // 1. Exposure
                     vec3 color = texColor.rgb * exposure;
@@ -143,10 +218,7 @@ export class HDRISky {
     }
 
     dispose() {
-        if (this.texture) {
-            this.texture.dispose();
-            this.texture = null;
-        }
+        this._releaseTexture();
         if (this.skyMesh) {
             this.scene.remove(this.skyMesh);
             this.skyMesh.geometry.dispose();
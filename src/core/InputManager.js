@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+import { TouchControls } from './TouchControls.js';
+
+/**
+ * Default action bindings.
+ *
+ * Button actions take any of
+ *   { type: 'key', code }                  - KeyboardEvent.code
+ *   { type: 'mouseButton', button }        - MouseEvent.button
+ *   { type: 'gamepadButton', button }      - Standard-mapping button index
+ *   { type: 'touchButton', id }            - On-screen TouchControls button
+ * Axis actions (2D, x = right, y = forward/up) take any of
+ *   { type: 'keys', up, down, left, right } - Four KeyboardEvent.codes
+ *   { type: 'gamepadStick', stick, deadzone, invertY } - stick 0 = left (axes 0/1), 1 = right (axes 2/3)
+ *   { type: 'mouseDelta' }                 - Pointer-locked mouse movement
+ *   { type: 'touchStick', id }             - On-screen TouchControls stick
+ */
+export const DEFAULT_BINDINGS = {
+    move: [
+        { type: 'keys', up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD' },
+        { type: 'gamepadStick', stick: 0, deadzone: 0.15 },
+        { type: 'touchStick', id: 'move' },
+    ],
+    look: [
+        { type: 'mouseDelta' },
+        { type: 'gamepadStick', stick: 1, deadzone: 0.15 },
+        { type: 'touchStick', id: 'look' },
+    ],
+    jump: [{ type: 'key', code: 'Space' }, { type: 'gamepadButton', button: 0 }, { type: 'touchButton', id: 'jump' }],
+    sprint: [{ type: 'key', code: 'ShiftLeft' }, { type: 'gamepadButton', button: 10 }],
+    crouch: [{ type: 'key', code: 'KeyC' }, { type: 'gamepadButton', button: 1 }, { type: 'touchButton', id: 'crouch' }],
+    toggleCamera: [{ type: 'key', code: 'KeyV' }, { type: 'gamepadButton', button: 3 }, { type: 'touchButton', id: 'camera' }],
+    showStats: [{ type: 'key', code: 'KeyP' }, { type: 'gamepadButton', button: 8 }],
+    toggleCapture: [{ type: 'key', code: 'KeyO' }],
+    togglePause: [{ type: 'key', code: 'Pause' }, { type: 'gamepadButton', button: 9 }],
+    stepFrame: [{ type: 'key', code: 'Period' }],
+    quickSave: [{ type: 'key', code: 'KeyK' }],
+    quickLoad: [{ type: 'key', code: 'KeyL' }],
+};
+
+const AXIS_ACTIONS = new Set(['move', 'look']);
+
+/**
+ * InputManager - Maps keyboard, mouse, gamepad and touch input to named actions.
+ *
+ * Call update(deltaTime) once per frame before reading. Button actions are read with
+ * isDown / wasPressed / wasReleased; axis actions with getAxis():
+ *   move - Analog direction, each component -1..1 (x = strafe right, y = forward)
+ *   look - Rotation this frame in radians (x = yaw right, y = pitch up); mouse deltas and
+ *          stick rates are both converted, so callers don't care which device it came from
+ *
+ * Bindings can be changed at runtime (rebind / captureBinding) and persist in localStorage.
+ *
+ * Events (THREE.EventDispatcher):
+ *   actionPressed  { action }
+ *   actionReleased { action }
+ *
+ * Usage:
+ *   const input = new InputManager();
+ *   input.addEventListener('actionPressed', (e) => { if (e.action === 'toggleCamera') ... });
+ *   // In render loop:
+ *   input.update(deltaTime);
+ *   const move = input.getAxis('move');
+ */
+export class InputManager extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.bindings=DEFAULT_BINDINGS] - Used when nothing is saved
+     * @param {string|null} [options.storageKey='snapfire.inputBindings'] - null disables persistence
+     * @param {boolean|'auto'} [options.touch='auto'] - On-screen controls; 'auto' shows them on touch devices
+     * @param {number} [options.mouseSensitivity=0.003] - Radians per pixel
+     * @param {number} [options.stickLookSpeed=2.5] - Radians per second at full stick deflection
+     */
+    constructor(options = {}) {
+        super();
+        this.defaultBindings = options.bindings || DEFAULT_BINDINGS;
+        this.storageKey = options.storageKey === undefined ? 'snapfire.inputBindings' : options.storageKey;
+        this.mouseSensitivity = options.mouseSensitivity ?? 0.003;
+        this.stickLookSpeed = options.stickLookSpeed ?? 2.5;
+
+        this.bindings = this._loadBindings() || structuredClone(this.defaultBindings);
+
+        // Raw device state
+        this.keys = new Set();
+        this.mouseButtons = new Set();
+        this.mouseDelta = new THREE.Vector2();
+        this.gamepadIndex = null;
+
+        // Action state
+        this.state = new Map(); // action -> { down, pressed, released }
+        this.axes = new Map(); // action -> THREE.Vector2
+        for (const action in this.bindings) {
+            if (AXIS_ACTIONS.has(action)) this.axes.set(action, new THREE.Vector2());
+            else this.state.set(action, { down: false, pressed: false, released: false });
+        }
+
+        this._capture = null; // Pending captureBinding()
+
+        const touch = options.touch ?? 'auto';
+        const hasTouch = typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+        this.touchControls = touch === true || (touch === 'auto' && hasTouch) ? new TouchControls() : null;
+
+        this._setupListeners();
+    }
+
+    _setupListeners() {
+        this._keydown = (e) => {
+            if (this._capture) {
+                e.preventDefault();
+                this._finishCapture({ type: 'key', code: e.code });
+                return;
+            }
+            this.keys.add(e.code);
+        };
+        this._keyup = (e) => this.keys.delete(e.code);
+        this._mousedown = (e) => {
+            if (this._capture && this._capture.allowMouse) {
+                this._finishCapture({ type: 'mouseButton', button: e.button });
+                return;
+            }
+            this.mouseButtons.add(e.button);
+        };
+        this._mouseup = (e) => this.mouseButtons.delete(e.button);
+        this._mousemove = (e) => {
+            if (document.pointerLockElement) {
+                this.mouseDelta.x += e.movementX;
+                this.mouseDelta.y += e.movementY;
+            }
+        };
+        // Released keys are never reported once the window loses focus
+        this._blur = () => {
+            this.keys.clear();
+            this.mouseButtons.clear();
+        };
+        this._gamepadconnected = (e) => {
+            this.gamepadIndex ??= e.gamepad.index;
+            console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+        };
+        this._gamepaddisconnected = (e) => {
+            if (this.gamepadIndex === e.gamepad.index) this.gamepadIndex = null;
+        };
+
+        window.addEventListener('keydown', this._keydown);
+        window.addEventListener('keyup', this._keyup);
+        window.addEventListener('mousedown', this._mousedown);
+        window.addEventListener('mouseup', this._mouseup);
+        window.addEventListener('mousemove', this._mousemove);
+        window.addEventListener('blur', this._blur);
+        window.addEventListener('gamepadconnected', this._gamepadconnected);
+        window.addEventListener('gamepaddisconnected', this._gamepaddisconnected);
+    }
+
+    _getGamepad() {
+        if (this.gamepadIndex === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+
+    /**
+     * Sample every device and update action states. Call once per frame.
+     * @param {number} deltaTime - Seconds, for converting stick rates into look angles
+     */
+    update(deltaTime) {
+        const gamepad = this._getGamepad();
+        if (this._capture && gamepad) this._captureGamepadButton(gamepad);
+
+        for (const [action, state] of this.state) {
+            const down = this.bindings[action].some(binding => this._isBindingDown(binding, gamepad));
+            state.pressed = down && !state.down;
+            state.released = !down && state.down;
+            state.down = down;
+        }
+
+        for (const [action, axis] of this.axes) {
+            axis.set(0, 0);
+            for (const binding of this.bindings[action]) {
+                this._accumulateAxis(action, binding, gamepad, deltaTime, axis);
+            }
+            if (action !== 'look' && axis.lengthSq() > 1) axis.normalize();
+        }
+        this.mouseDelta.set(0, 0);
+
+        // Events after all states are current, so listeners can read any action
+        for (const [action, state] of this.state) {
+            if (state.pressed) this.dispatchEvent({ type: 'actionPressed', action });
+            if (state.released) this.dispatchEvent({ type: 'actionReleased', action });
+        }
+    }
+
+    _isBindingDown(binding, gamepad) {
+        switch (binding.type) {
+            case 'key': return this.keys.has(binding.code);
+            case 'mouseButton': return this.mouseButtons.has(binding.button);
+            case 'gamepadButton': return !!gamepad?.buttons[binding.button]?.pressed;
+            case 'touchButton': return !!this.touchControls?.isButtonDown(binding.id);
+            default: return false;
+        }
+    }
+
+    _accumulateAxis(action, binding, gamepad, deltaTime, out) {
+        // Analog sources (sticks) are rates for look; direct sources (mouse) are already per-frame
+        const lookRate = action === 'look' ? this.stickLookSpeed * deltaTime : 1;
+
+        switch (binding.type) {
+            case 'keys':
+                out.x += (this.keys.has(binding.right) ? 1 : 0) - (this.keys.has(binding.left) ? 1 : 0);
+                out.y += (this.keys.has(binding.up) ? 1 : 0) - (this.keys.has(binding.down) ? 1 : 0);
+                break;
+            case 'gamepadStick': {
+                if (!gamepad) break;
+                const x = gamepad.axes[binding.stick * 2] ?? 0;
+                const y = gamepad.axes[binding.stick * 2 + 1] ?? 0;
+                const magnitude = Math.hypot(x, y);
+                const deadzone = binding.deadzone ?? 0.15;
+                if (magnitude <= deadzone) break;
+
+                // Rescale so output starts at 0 just past the deadzone
+                const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+                out.x += x * scale * lookRate;
+                // Stick up is -1; forward/up is +1
+                out.y += -y * scale * lookRate * (binding.invertY ? -1 : 1);
+                break;
+            }
+            case 'mouseDelta':
+                if (action === 'look') {
+                    out.x += this.mouseDelta.x * this.mouseSensitivity;
+                    out.y += -this.mouseDelta.y * this.mouseSensitivity;
+                }
+                break;
+            case 'touchStick': {
+                const stick = this.touchControls?.getStick(binding.id);
+                if (stick) {
+                    out.x += stick.x * lookRate;
+                    out.y += stick.y * lookRate;
+                }
+                break;
+            }
+        }
+    }
+
+    isDown(action) {
+        return this.state.get(action)?.down ?? false;
+    }
+
+    wasPressed(action) {
+        return this.state.get(action)?.pressed ?? false;
+    }
+
+    wasReleased(action) {
+        return this.state.get(action)?.released ?? false;
+    }
+
+    /**
+     * @returns {THREE.Vector2} Live vector (don't keep references across frames)
+     */
+    getAxis(action) {
+        return this.axes.get(action) ?? new THREE.Vector2();
+    }
+
+    /**
+     * Replace one binding of an action (or append when index is past the end), and save
+     * @param {string} action
+     * @param {number} index
+     * @param {Object} binding
+     */
+    rebind(action, index, binding) {
+        const bindings = this.bindings[action];
+        if (!bindings) throw new Error(`InputManager: unknown action "${action}"`);
+
+        bindings[index] = binding;
+        this._saveBindings();
+    }
+
+    /**
+     * Wait for the next key, mouse button (optional) or gamepad button and bind it
+     * @param {string} action - A button action
+     * @param {number} index
+     * @param {{ allowMouse?: boolean }} [options]
+     * @returns {Promise<Object|null>} The new binding, or null when the capture was cancelled
+     *   (cancelCapture(), a newer captureBinding() or dispose()); the binding is then unchanged
+     */
+    captureBinding(action, index, options = {}) {
+        if (AXIS_ACTIONS.has(action)) {
+            return Promise.reject(new Error(`InputManager: "${action}" is an axis; use rebind()`));
+        }
+
+        this.cancelCapture();
+        return new Promise((resolve) => {
+            this._capture = { action, index, resolve, allowMouse: !!options.allowMouse, gamepadButtons: null };
+        });
+    }
+
+    /**
+     * Stop a pending captureBinding(); its promise resolves with null
+     */
+    cancelCapture() {
+        if (!this._capture) return;
+        const { resolve } = this._capture;
+        this._capture = null;
+        resolve(null);
+    }
+
+    _captureGamepadButton(gamepad) {
+        const pressed = gamepad.buttons.map(button => button.pressed);
+        // Ignore buttons that were already held when the capture started
+        if (!this._capture.gamepadButtons) {
+            this._capture.gamepadButtons = pressed;
+            return;
+        }
+        const button = pressed.findIndex((down, i) => down && !this._capture.gamepadButtons[i]);
+        if (button !== -1) this._finishCapture({ type: 'gamepadButton', button });
+    }
+
+    _finishCapture(binding) {
+        const { action, index, resolve } = this._capture;
+        this._capture = null;
+        this.rebind(action, index, binding);
+        resolve(binding);
+    }
+
+    /**
+     * Restore DEFAULT_BINDINGS (or the constructor's bindings) and forget saved ones
+     */
+    resetBindings() {
+        this.bindings = structuredClone(this.defaultBindings);
+        if (this.storageKey) {
+            try {
+                localStorage.removeItem(this.storageKey);
+            } catch {
+                // Storage unavailable (private mode, sandboxed iframe)
+            }
+        }
+    }
+
+    _loadBindings() {
+        if (!this.storageKey) return null;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved) return null;
+            // Actions added since the bindings were saved keep their defaults
+            return { ...structuredClone(this.defaultBindings), ...saved };
+        } catch {
+            return null;
+        }
+    }
+
+    _saveBindings() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('InputManager: could not save bindings', error);
+        }
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this._keydown);
+        window.removeEventListener('keyup', this._keyup);
+        window.removeEventListener('mousedown', this._mousedown);
+        window.removeEventListener('mouseup', this._mouseup);
+        window.removeEventListener('mousemove', this._mousemove);
+        window.removeEventListener('blur', this._blur);
+        window.removeEventListener('gamepadconnected', this._gamepadconnected);
+        window.removeEventListener('gamepaddisconnected', this._gamepaddisconnected);
+
+        this.cancelCapture();
+        this.touchControls?.dispose();
+        this.touchControls = null;
+    }
+}
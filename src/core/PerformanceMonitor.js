@@ -1,34 +1,49 @@
 import Stats from 'three/addons/libs/stats.module.js';
+import { FrameProfiler, profileToJSON, profileToCSV, round } from './FrameProfiler.js';
+import { downloadBlob } from './FileDownload.js';
 
 /**
  * Performance monitoring utility for Three.js
- * Shows FPS, MS, and MB panels side by side
+ * Shows FPS, MS, and MB panels side by side, and drives a FrameProfiler (`profiler`) for
+ * per-system timings: P logs a report, O starts/stops a capture and downloads it as JSON.
  * 
  * Usage:
- *   const perfMonitor = new PerformanceMonitor(renderer).init();
+ *   const perfMonitor = new PerformanceMonitor(renderer, input, { budgets: { render: 8 } }).init();
  *   // In render loop:
  *   perfMonitor.begin();
- *   renderer.render(scene, camera);
+ *   perfMonitor.measure('player', () => player.update(deltaTime));
+ *   perfMonitor.measure('render', () => renderer.render(scene, camera));
  *   perfMonitor.end();
  * 
  * No need to modify this file when adding assets - it auto-tracks everything!
  */
 class PerformanceMonitor {
-    constructor(renderer) {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {InputManager} [input] - Detailed stats on its 'showStats' action and captures on
+     *   'toggleCapture'; plain P / O keys if omitted
+     * @param {Object} [profilerOptions] - FrameProfiler options (budgets, hitch thresholds, ...)
+     */
+    constructor(renderer, input = null, profilerOptions = {}) {
         this.renderer = renderer;
+        this.input = input;
         this.statsPanels = [];
+        this.container = null; // Holds the panels once init() has run
         this.enabled = true;
+        this.profiler = new FrameProfiler({ renderer, ...profilerOptions });
+        this.lastReport = null;
     }
 
     /**
      * Initialize all stats panels (FPS, MS, MB) side by side
      */
     init() {
-        // Create container for all panels
+        // Create container for all panels (a class rather than an id: each engine can have its own)
         const container = document.createElement('div');
-        container.id = 'perf-monitor';
+        container.className = 'perf-monitor';
         container.style.cssText = 'position:absolute;top:0;left:0;display:flex;z-index:10000;';
         document.body.appendChild(container);
+        this.container = container;
 
         // Panel 0 = FPS, Panel 1 = MS, Panel 2 = MB
         for (let i = 0; i < 3; i++) {
@@ -39,13 +54,22 @@ class PerformanceMonitor {
             this.statsPanels.push(stats);
         }
 
-        // Handle keydown for detailed reporting
-        this._keydownHandler = (e) => {
-            if (e.key === 'p' || e.key === 'P') this.logDetailed();
-        };
-        window.addEventListener('keydown', this._keydownHandler);
+        // Detailed reporting on demand
+        if (this.input) {
+            this._actionHandler = (e) => {
+                if (e.action === 'showStats') this.logDetailed();
+                else if (e.action === 'toggleCapture') this.toggleCapture();
+            };
+            this.input.addEventListener('actionPressed', this._actionHandler);
+        } else {
+            this._keydownHandler = (e) => {
+                if (e.key === 'p' || e.key === 'P') this.logDetailed();
+                else if (e.key === 'o' || e.key === 'O') this.toggleCapture();
+            };
+            window.addEventListener('keydown', this._keydownHandler);
+        }
 
-        console.log('📊 Performance Monitor initialized (Press P for detailed stats)');
+        console.log('📊 Performance Monitor initialized (Press P for detailed stats, O to capture a profile)');
         return this;
     }
 
@@ -56,17 +80,65 @@ class PerformanceMonitor {
         for (const stats of this.statsPanels) {
             stats.begin();
         }
+        this.profiler.beginFrame();
     }
 
     /**
      * Call at the end of your render loop
      */
     end() {
+        this.profiler.endFrame();
         for (const stats of this.statsPanels) {
             stats.end();
         }
     }
 
+    /**
+     * Time a function as a named profiler scope
+     * @returns {*} Whatever fn returns
+     */
+    measure(name, fn) {
+        return this.profiler.measure(name, fn);
+    }
+
+    /**
+     * Start a capture, or stop the running one, log its summary and download it
+     * @param {string} [label] - Stored in the report (e.g. the build being measured)
+     * @returns {Object|null} The finished report when stopping
+     */
+    toggleCapture(label) {
+        if (!this.profiler.isCapturing) {
+            this.profiler.startCapture(label);
+            console.log('⏺️ Profile capture started (press O again to stop)');
+            return null;
+        }
+
+        const report = this.profiler.stopCapture();
+        this.lastReport = report;
+        const { frames, fps, frameTime } = report.summary;
+        console.log(`⏹️ Profile captured: ${frames} frames, ${fps.toFixed(1)} fps, p95 ${frameTime.p95.toFixed(2)}ms, ${report.hitches.length} hitches`);
+        logSummary(report.summary);
+        this.downloadReport('json', report);
+        return report;
+    }
+
+    /**
+     * Save a capture report as a file
+     * @param {'json'|'csv'} [format='json']
+     * @param {Object} [report] - Defaults to the last capture
+     */
+    downloadReport(format = 'json', report = this.lastReport) {
+        if (!report) {
+            console.warn('No profile captured yet (press O to start one)');
+            return;
+        }
+
+        const text = format === 'csv' ? profileToCSV(report) : profileToJSON(report);
+        const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const stamp = report.startedAt.replace(/[:.]/g, '-');
+        downloadBlob(blob, `profile${report.label ? '-' + report.label : ''}-${stamp}.${format}`);
+    }
+
     /**
      * Log detailed renderer info to console
      */
@@ -88,6 +160,24 @@ class PerformanceMonitor {
             'Textures (memory)': info.memory.textures,
             'Shader Programs': info.programs?.length || 0
         });
+
+        const summary = this.profiler.getSummary();
+        if (summary.frames > 0) {
+            console.log(`Last ${summary.frames} frames: ${summary.fps.toFixed(1)} fps`);
+            logSummary(summary);
+        }
+
+        const hitches = this.profiler.hitches.slice(-5);
+        if (hitches.length > 0) {
+            console.log('Recent hitches:');
+            console.table(hitches.map(h => ({
+                'Frame': h.frame,
+                'Duration (ms)': round(h.duration, 2),
+                'Median (ms)': round(h.median, 2),
+                'Scope': h.scope ?? '-',
+                'Scope (ms)': round(h.scopeTime, 2),
+            })));
+        }
     }
 
     /**
@@ -97,12 +187,34 @@ class PerformanceMonitor {
         if (this._keydownHandler) {
             window.removeEventListener('keydown', this._keydownHandler);
         }
-        const container = document.getElementById('perf-monitor');
-        if (container) {
-            container.remove();
+        if (this._actionHandler) {
+            this.input.removeEventListener('actionPressed', this._actionHandler);
         }
+        this.profiler.dispose();
+        this.container?.remove();
+        this.container = null;
         this.statsPanels = [];
     }
 }
 
+/**
+ * Frame and scope timings as a console table
+ */
+function logSummary(summary) {
+    const rows = { frame: summary.frameTime, ...summary.scopes };
+    const table = {};
+    for (const [name, stats] of Object.entries(rows)) {
+        table[name] = {
+            'avg': round(stats.avg, 2),
+            'p50': round(stats.p50, 2),
+            'p95': round(stats.p95, 2),
+            'p99': round(stats.p99, 2),
+            'max': round(stats.max, 2),
+            'budget': stats.budget ?? '',
+            'thread': stats.offThread ? 'worker' : 'main',
+        };
+    }
+    console.table(table);
+}
+
 export { PerformanceMonitor };
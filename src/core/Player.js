@@ -1,15 +1,31 @@
 import * as THREE from 'three';
+import { CharacterController } from './CharacterController.js';
+import { InputManager } from './InputManager.js';
 
 export class Player {
-    constructor(scene, camera, terrainSystem) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {TerrainSystem} terrainSystem
+     * @param {CollisionWorld} [collisionWorld] - Placed objects to collide with
+     * @param {InputManager} [input] - Shared action mapping; a private one is created if omitted
+     */
+    constructor(scene, camera, terrainSystem, collisionWorld = null, input = null) {
         this.scene = scene;
         this.camera = camera;
         this.terrainSystem = terrainSystem;
+        this.input = input || new InputManager();
+        this.ownsInput = !input;
 
-        this.speed = 10.0;
         this.height = 0.16; // Eye height (~1.6m at 1:10 scale)
         this.radius = 0.05; // Sphere size (~0.5m at 1:10 scale)
-        this.position = new THREE.Vector3(0, this.height, 0);
+        this.position = new THREE.Vector3(0, this.height, 0); // Eye position
+
+        // Gravity, jumping, slopes (fixed timestep)
+        this.controller = new CharacterController(terrainSystem, { standHeight: this.height, collisionWorld });
+        this.moveInput = new THREE.Vector3();
+        this.controlInput = { move: this.moveInput, jump: false, sprint: false, crouch: false, ascend: false, descend: false };
+        this.feetPosition = new THREE.Vector3();
 
         // Visible representation
         const geometry = new THREE.SphereGeometry(this.radius, 32, 32);
@@ -22,54 +38,33 @@ export class Player {
         this.mesh.castShadow = true;
         this.scene.add(this.mesh);
 
-        // Mouse look
+        // Look angles (driven by the 'look' action: mouse, right stick or touch stick)
         this.pitch = 0;
         this.yaw = 0;
-        this.sensitivity = 0.003;
-
-        // Movement keys
-        this.keys = { forward: false, backward: false, left: false, right: false };
+        this.enabled = false;
+        this.firstPerson = true; // False when a follow camera (ThirdPersonCamera) drives the view
 
-        this._setupInput();
+        this._forward = new THREE.Vector3();
+        this._left = new THREE.Vector3();
+        this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
     }
 
-    _setupInput() {
-        this._keydown = (e) => {
-            switch (e.code) {
-                case 'KeyW': this.keys.forward = true; break;
-                case 'KeyS': this.keys.backward = true; break;
-                case 'KeyA': this.keys.left = true; break;
-                case 'KeyD': this.keys.right = true; break;
-            }
-        };
-
-        this._keyup = (e) => {
-            switch (e.code) {
-                case 'KeyW': this.keys.forward = false; break;
-                case 'KeyS': this.keys.backward = false; break;
-                case 'KeyA': this.keys.left = false; break;
-                case 'KeyD': this.keys.right = false; break;
-            }
-        };
-
-        this._mousemove = (e) => {
-            if (document.pointerLockElement) {
-                this.yaw -= e.movementX * this.sensitivity;
-                this.pitch -= e.movementY * this.sensitivity;
-                this.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.pitch));
-            }
-        };
+    /**
+     * @param {boolean} enabled - Take input and control the character
+     * @param {Object} [options]
+     * @param {boolean} [options.firstPerson=true] - Drive the camera from the eye; otherwise leave
+     *   the camera to a follow camera and keep the mesh visible
+     */
+    setEnabled(enabled, options = {}) {
+        this.enabled = enabled;
+        this.firstPerson = options.firstPerson ?? true;
+        this.input.touchControls?.setSticksEnabled(enabled);
 
-        window.addEventListener('keydown', this._keydown);
-        window.addEventListener('keyup', this._keyup);
-        window.addEventListener('mousemove', this._mousemove);
-    }
-
-    setEnabled(enabled) {
         if (enabled) {
-            document.body.requestPointerLock();
+            // Gamepad and touch players have no mouse to lock; they still get full control
+            if (!this.input.touchControls) document.body.requestPointerLock();
             // Hide mesh in first-person to avoid camera clipping
-            this.mesh.visible = false;
+            this.mesh.visible = !this.firstPerson;
         } else {
             if (document.pointerLockElement) {
                 document.exitPointerLock();
@@ -78,33 +73,70 @@ export class Player {
         }
     }
 
-    update(deltaTime) {
-        if (document.pointerLockElement) {
-            const forward = new THREE.Vector3(Math.sin(this.yaw), 0, Math.cos(this.yaw));
-            const right = new THREE.Vector3(Math.sin(this.yaw + Math.PI / 2), 0, Math.cos(this.yaw + Math.PI / 2));
+    /**
+     * Reads actions from this.input, so a shared InputManager must be updated first this frame
+     * (a private one is updated here)
+     * @param {number} deltaTime
+     * @param {number} [alpha] - Interpolation factor from a caller that steps the physics itself
+     *   with fixedUpdate() (Engine's alpha); omit to step the physics here
+     */
+    update(deltaTime, alpha) {
+        if (this.ownsInput) this.input.update(deltaTime);
+        this.moveInput.set(0, 0, 0);
+        const input = this.input;
+
+        if (this.enabled) {
+            const look = input.getAxis('look');
+            this.yaw -= look.x;
+            this.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.pitch + look.y));
+
+            // Analog move: y walks along the view direction, x strafes (right is -left)
+            const move = input.getAxis('move');
+            this._forward.set(Math.sin(this.yaw), 0, Math.cos(this.yaw));
+            this._left.set(Math.sin(this.yaw + Math.PI / 2), 0, Math.cos(this.yaw + Math.PI / 2));
+            this.moveInput.addScaledVector(this._forward, move.y).addScaledVector(this._left, -move.x);
+        }
 
-            if (this.keys.forward) this.position.addScaledVector(forward, this.speed * deltaTime);
-            if (this.keys.backward) this.position.addScaledVector(forward, -this.speed * deltaTime);
-            if (this.keys.left) this.position.addScaledVector(right, this.speed * deltaTime);
-            if (this.keys.right) this.position.addScaledVector(right, -this.speed * deltaTime);
+        const controls = this.controlInput;
+        // A press is kept until a physics step has seen it (there may be none this frame)
+        controls.jump = controls.jump || (this.enabled && input.wasPressed('jump'));
+        controls.sprint = this.enabled && input.isDown('sprint');
+        controls.crouch = this.enabled && input.isDown('crouch');
+        // Swimming: jump and crouch held swim up and down
+        controls.ascend = this.enabled && input.isDown('jump');
+        controls.descend = this.enabled && input.isDown('crouch');
+
+        if (alpha === undefined) {
+            this.controller.update(deltaTime, controls);
+            controls.jump = false;
         }
 
-        // Always snap to terrain so we don't "fall through" visually
-        const terrainHeight = this.terrainSystem.getHeight(this.position.x, this.position.z);
-        this.position.y = terrainHeight + this.height;
+        // Render from the interpolated physics state
+        const feet = this.controller.getInterpolatedPosition(this.feetPosition, alpha);
+        this.position.set(feet.x, feet.y + this.controller.eyeHeight, feet.z);
 
-        // Update mesh position (centered on terrain, base touches ground)
-        this.mesh.position.set(this.position.x, terrainHeight + this.radius, this.position.z);
+        // Update mesh position (base touches the ground under the feet)
+        this.mesh.position.set(feet.x, feet.y + this.radius, feet.z);
 
         // Update camera (at eye height)
-        this.camera.position.copy(this.position);
-        this.camera.quaternion.setFromEuler(new THREE.Euler(this.pitch, this.yaw + Math.PI, 0, 'YXZ'));
+        if (this.firstPerson) {
+            this.camera.position.copy(this.position);
+            this.camera.quaternion.setFromEuler(this._euler.set(this.pitch, this.yaw + Math.PI, 0));
+        }
+    }
+
+    /**
+     * One physics step with the input read by the last update(), for a caller running a
+     * fixed-timestep loop (Engine); pair with update(deltaTime, alpha)
+     * @param {number} step - Seconds
+     */
+    fixedUpdate(step) {
+        this.controller.fixedUpdate(step, this.controlInput);
+        this.controlInput.jump = false;
     }
 
     dispose() {
-        window.removeEventListener('keydown', this._keydown);
-        window.removeEventListener('keyup', this._keyup);
-        window.removeEventListener('mousemove', this._mousemove);
+        if (this.ownsInput) this.input.dispose();
 
         if (this.mesh) {
             this.scene.remove(this.mesh);
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { Sky } from 'three/addons/objects/Sky.js';
+
+/**
+ * ProceduralSky - Analytic atmospheric sky (Preetham model) as an alternative to HDRISky.
+ *
+ * Follows the sun instead of showing a baked image, and can bake itself into a PMREM
+ * environment map for scene.environment so image-based lighting on the terrain matches what
+ * is on screen. Baking is on demand (updateEnvironment) and automatic when the sun has moved
+ * more than envUpdateAngle, exposure changed by over 10% or a parameter changed - a bake costs
+ * a few ms, so it is not redone every frame.
+ *
+ * Exposes the same setSkyExposure() as HDRISky, so DayNightCycle can drive either.
+ *
+ * Usage:
+ *   const sky = new ProceduralSky(scene, renderer, { turbidity: 3 });
+ *   sky.setSunDirection(new THREE.Vector3(0.5, 0.3, -0.8));
+ */
+export class ProceduralSky {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {Object} [options]
+     * @param {number} [options.turbidity=2.5] - Haze; 2 = clear, 10 = hazy
+     * @param {number} [options.rayleigh=1.5] - Air scattering (blue sky, red sunsets)
+     * @param {number} [options.mieCoefficient=0.005] - Aerosol scattering
+     * @param {number} [options.mieDirectionalG=0.8] - Size of the glow around the sun
+     * @param {number} [options.exposure=0.5]
+     * @param {boolean} [options.environment=true] - Bake and assign scene.environment
+     * @param {number} [options.envUpdateAngle=2] - Degrees the sun moves before a re-bake
+     */
+    constructor(scene, renderer, options = {}) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.environment = options.environment ?? true;
+        this.envUpdateAngle = options.envUpdateAngle ?? 2;
+
+        this.skyMesh = new Sky();
+        this.skyMesh.scale.setScalar(4000);
+        this._addExposure(this.skyMesh.material);
+        this.scene.add(this.skyMesh);
+        this.scene.background = null;
+
+        this.uniforms = this.skyMesh.material.uniforms;
+        this.uniforms.turbidity.value = options.turbidity ?? 2.5;
+        this.uniforms.rayleigh.value = options.rayleigh ?? 1.5;
+        this.uniforms.mieCoefficient.value = options.mieCoefficient ?? 0.005;
+        this.uniforms.mieDirectionalG.value = options.mieDirectionalG ?? 0.8;
+        this.uniforms.exposure.value = options.exposure ?? 0.5;
+
+        this.sunDirection = new THREE.Vector3(0, 1, 0);
+        this.uniforms.sunPosition.value.copy(this.sunDirection);
+
+        // The baked scene shares the sky's geometry and material
+        this.pmremGenerator = null;
+        this.envTarget = null;
+        this.envScene = new THREE.Scene();
+        this.envScene.add(new THREE.Mesh(this.skyMesh.geometry, this.skyMesh.material));
+        this._bakedSunDirection = new THREE.Vector3();
+        this._bakedExposure = 0;
+        this._envDirty = true;
+    }
+
+    /**
+     * Sky.js writes raw scattering; add exposure and the same ACES curve HDRISky uses
+     */
+    _addExposure(material) {
+        material.uniforms.exposure = { value: 0.5 };
+        material.fragmentShader = material.fragmentShader
+            .replace('uniform float mieDirectionalG;', `uniform float mieDirectionalG;
+            uniform float exposure;
+
+            vec3 skyACESFilm(vec3 x) {
+                return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+            }`)
+            .replace('gl_FragColor = vec4( retColor, 1.0 );', 'gl_FragColor = vec4( skyACESFilm( retColor * exposure ), 1.0 );');
+    }
+
+    /**
+     * @param {THREE.Vector3} direction - Toward the sun (normalized)
+     */
+    setSunDirection(direction) {
+        this.sunDirection.copy(direction).normalize();
+        this.uniforms.sunPosition.value.copy(this.sunDirection);
+        this._updateEnvironmentIfNeeded();
+    }
+
+    /**
+     * Change scattering parameters (any subset of turbidity, rayleigh, mieCoefficient, mieDirectionalG)
+     * @param {Object} params
+     */
+    setParameters(params) {
+        for (const key of ['turbidity', 'rayleigh', 'mieCoefficient', 'mieDirectionalG']) {
+            if (params[key] !== undefined) this.uniforms[key].value = params[key];
+        }
+        this._envDirty = true;
+        this._updateEnvironmentIfNeeded();
+    }
+
+    setTurbidity(value) {
+        this.setParameters({ turbidity: value });
+    }
+
+    setSkyExposure(value) {
+        this.uniforms.exposure.value = value;
+        this._updateEnvironmentIfNeeded();
+    }
+
+    _updateEnvironmentIfNeeded() {
+        if (!this.environment) return;
+
+        // DayNightCycle nudges exposure every frame; only a noticeable change is worth a bake
+        const exposure = this.uniforms.exposure.value;
+        const exposureChanged = Math.abs(exposure - this._bakedExposure) > this._bakedExposure * 0.1;
+        const sunMoved = this._bakedSunDirection.angleTo(this.sunDirection) * THREE.MathUtils.RAD2DEG > this.envUpdateAngle;
+
+        if (this._envDirty || exposureChanged || sunMoved) this.updateEnvironment();
+    }
+
+    /**
+     * Bake the current sky into a PMREM map and assign it to scene.environment
+     * @returns {THREE.Texture}
+     */
+    updateEnvironment() {
+        if (!this.pmremGenerator) this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+
+        const previous = this.envTarget;
+        this.envTarget = this.pmremGenerator.fromScene(this.envScene, 0, 0.1, 100);
+        if (previous) previous.dispose();
+
+        this._bakedSunDirection.copy(this.sunDirection);
+        this._bakedExposure = this.uniforms.exposure.value;
+        this._envDirty = false;
+
+        if (this.environment) this.scene.environment = this.envTarget.texture;
+        return this.envTarget.texture;
+    }
+
+    dispose() {
+        this.scene.remove(this.skyMesh);
+        this.skyMesh.geometry.dispose();
+        this.skyMesh.material.dispose();
+
+        if (this.envTarget) {
+            if (this.scene.environment === this.envTarget.texture) this.scene.environment = null;
+            this.envTarget.dispose();
+            this.envTarget = null;
+        }
+        if (this.pmremGenerator) {
+            this.pmremGenerator.dispose();
+            this.pmremGenerator = null;
+        }
+    }
+}
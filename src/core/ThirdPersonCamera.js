@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+
+const _look = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _point = new THREE.Vector3();
+
+/**
+ * ThirdPersonCamera - Over-the-shoulder follow camera for the Player.
+ *
+ * Orbits around the player's eye using the same yaw/pitch the first-person view uses, so the
+ * 'look' action steers the camera and 'move' walks toward where it points. The pivot follows
+ * the player with exponential damping. When terrain or a collider sits between the pivot and
+ * the wanted camera position, the camera pulls in at once (no clipping) and eases back out.
+ *
+ * Usage:
+ *   const thirdPerson = new ThirdPersonCamera(camera, player, terrainSystem, { collisionWorld });
+ *   player.setEnabled(true, { firstPerson: false });
+ *   // In render loop, after player.update():
+ *   thirdPerson.update(deltaTime);
+ */
+export class ThirdPersonCamera {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {Player} player
+     * @param {TerrainSystem} terrainSystem
+     * @param {Object} [options]
+     * @param {number} [options.distance=0.4] - Distance behind the pivot (~4m at 1:10 scale)
+     * @param {number} [options.minDistance=0.06] - Closest the camera pulls in
+     * @param {number} [options.heightOffset=0.03] - Pivot height above the player's eye
+     * @param {number} [options.shoulderOffset=0.05] - Sideways pivot offset (positive = right shoulder)
+     * @param {number} [options.followDamping=12] - Pivot follow rate (1/s); higher is stiffer
+     * @param {number} [options.zoomOutDamping=3] - Rate at which the camera recovers distance after a pull-in
+     * @param {number} [options.clearance=0.015] - Camera sphere radius kept clear of terrain and colliders
+     * @param {CollisionWorld} [options.collisionWorld] - Placed objects that block the view
+     */
+    constructor(camera, player, terrainSystem, options = {}) {
+        this.camera = camera;
+        this.player = player;
+        this.terrainSystem = terrainSystem;
+        this.collisionWorld = options.collisionWorld || null;
+
+        this.distance = options.distance ?? 0.4;
+        this.minDistance = options.minDistance ?? 0.06;
+        this.heightOffset = options.heightOffset ?? 0.03;
+        this.shoulderOffset = options.shoulderOffset ?? 0.05;
+        this.followDamping = options.followDamping ?? 12;
+        this.zoomOutDamping = options.zoomOutDamping ?? 3;
+        this.clearance = options.clearance ?? 0.015;
+
+        this.pivot = new THREE.Vector3();
+        this.currentDistance = this.distance;
+        this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+        this._initialized = false;
+    }
+
+    /**
+     * Jump to the wanted position without damping (e.g. when switching into this mode)
+     */
+    reset() {
+        this._initialized = false;
+    }
+
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        const { yaw, pitch } = this.player;
+
+        // Same orientation as the first-person view
+        _look.set(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), Math.cos(yaw) * Math.cos(pitch));
+        _right.set(-Math.cos(yaw), 0, Math.sin(yaw));
+
+        // Pivot: above the eye and off to the shoulder
+        _point.copy(this.player.position).addScaledVector(_right, this.shoulderOffset);
+        _point.y += this.heightOffset;
+
+        if (!this._initialized) {
+            this.pivot.copy(_point);
+            this.currentDistance = this.distance;
+            this._initialized = true;
+        } else {
+            this.pivot.lerp(_point, 1 - Math.exp(-this.followDamping * deltaTime));
+        }
+
+        // Anything between the pivot and the wanted position pulls the camera in
+        _direction.copy(_look).negate();
+        const free = Math.max(this.minDistance, this._freeDistance(this.pivot, _direction, this.distance));
+        if (free < this.currentDistance) {
+            this.currentDistance = free;
+        } else {
+            this.currentDistance += (free - this.currentDistance) * (1 - Math.exp(-this.zoomOutDamping * deltaTime));
+        }
+
+        this.camera.position.copy(this.pivot).addScaledVector(_direction, this.currentDistance);
+        this.camera.quaternion.setFromEuler(this._euler.set(pitch, yaw + Math.PI, 0));
+    }
+
+    /**
+     * How far a camera-sized sphere can travel from the pivot before touching terrain or a collider
+     */
+    _freeDistance(origin, direction, maxDistance) {
+        let free = maxDistance;
+        if (this.collisionWorld) {
+            free = this.collisionWorld.castSphere(origin, direction, free, this.clearance);
+        }
+
+        // Terrain: march the segment, refine the first point below the surface
+        const step = this.clearance;
+        let previous = 0;
+        for (let t = step; previous < free; t += step) {
+            t = Math.min(t, free);
+            if (this._belowTerrain(origin, direction, t)) {
+                let lo = previous;
+                let hi = t;
+                for (let i = 0; i < 6; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (this._belowTerrain(origin, direction, mid)) hi = mid;
+                    else lo = mid;
+                }
+                return lo;
+            }
+            previous = t;
+        }
+        return free;
+    }
+
+    _belowTerrain(origin, direction, t) {
+        _point.copy(origin).addScaledVector(direction, t);
+        return _point.y < this.terrainSystem.getHeight(_point.x, _point.z) + this.clearance;
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * TouchControls - On-screen sticks and buttons for touch devices.
+ *
+ * A touch on the left half of the screen spawns the 'move' stick where the finger lands, the
+ * right half spawns the 'look' stick; buttons sit above the right thumb. InputManager reads
+ * them through 'touchStick' / 'touchButton' bindings. Sticks are off until setSticksEnabled(true),
+ * so the overlay doesn't swallow touches meant for OrbitControls in free-camera mode.
+ */
+const STICK_RADIUS = 60; // px of travel for full deflection
+
+const DEFAULT_BUTTONS = [
+    { id: 'jump', label: '⤒', right: 24, bottom: 150 },
+    { id: 'crouch', label: '⤓', right: 96, bottom: 110 },
+    { id: 'camera', label: '👁', right: 24, bottom: 230 },
+];
+
+export class TouchControls {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.parent=document.body]
+     * @param {Array<{ id: string, label: string, right: number, bottom: number }>} [options.buttons]
+     */
+    constructor(options = {}) {
+        this.sticks = {
+            move: { x: 0, y: 0, pointerId: null, originX: 0, originY: 0, base: null, knob: null },
+            look: { x: 0, y: 0, pointerId: null, originX: 0, originY: 0, base: null, knob: null },
+        };
+        this.buttons = new Map(); // id -> { down, element }
+
+        this.container = document.createElement('div');
+        this.container.id = 'touch-controls';
+        this.container.style.cssText = 'position:absolute;inset:0;z-index:9000;touch-action:none;user-select:none;' +
+            'pointer-events:none;';
+        (options.parent || document.body).appendChild(this.container);
+
+        for (const stick of Object.values(this.sticks)) {
+            stick.base = this._createCircle(STICK_RADIUS * 2, 'rgba(255,255,255,0.12)');
+            stick.knob = this._createCircle(STICK_RADIUS, 'rgba(255,255,255,0.35)');
+        }
+
+        for (const button of options.buttons || DEFAULT_BUTTONS) {
+            this._createButton(button);
+        }
+
+        this._pointerdown = (e) => this._onPointerDown(e);
+        this._pointermove = (e) => this._onPointerMove(e);
+        this._pointerup = (e) => this._onPointerUp(e);
+        this.container.addEventListener('pointerdown', this._pointerdown);
+        window.addEventListener('pointermove', this._pointermove);
+        window.addEventListener('pointerup', this._pointerup);
+        window.addEventListener('pointercancel', this._pointerup);
+    }
+
+    _createCircle(size, background) {
+        const element = document.createElement('div');
+        element.style.cssText = `position:absolute;width:${size}px;height:${size}px;margin:${-size / 2}px 0 0 ${-size / 2}px;` +
+            `border-radius:50%;background:${background};pointer-events:none;display:none;`;
+        this.container.appendChild(element);
+        return element;
+    }
+
+    _createButton({ id, label, right, bottom }) {
+        const element = document.createElement('div');
+        element.textContent = label;
+        element.style.cssText = `position:absolute;right:${right}px;bottom:${bottom}px;width:64px;height:64px;` +
+            'border-radius:50%;background:rgba(255,255,255,0.2);color:#fff;font-size:28px;' +
+            'display:flex;align-items:center;justify-content:center;pointer-events:auto;';
+
+        const button = { down: false, pointerId: null, element };
+        element.addEventListener('pointerdown', (e) => {
+            e.stopPropagation();
+            button.down = true;
+            button.pointerId = e.pointerId;
+            element.style.background = 'rgba(255,255,255,0.4)';
+        });
+
+        this.container.appendChild(element);
+        this.buttons.set(id, button);
+    }
+
+    _onPointerDown(e) {
+        const stick = e.clientX < window.innerWidth / 2 ? this.sticks.move : this.sticks.look;
+        if (stick.pointerId !== null) return;
+
+        stick.pointerId = e.pointerId;
+        stick.originX = e.clientX;
+        stick.originY = e.clientY;
+        for (const element of [stick.base, stick.knob]) {
+            element.style.left = `${e.clientX}px`;
+            element.style.top = `${e.clientY}px`;
+            element.style.display = 'block';
+        }
+    }
+
+    _onPointerMove(e) {
+        for (const stick of Object.values(this.sticks)) {
+            if (stick.pointerId !== e.pointerId) continue;
+
+            let dx = e.clientX - stick.originX;
+            let dy = e.clientY - stick.originY;
+            const distance = Math.hypot(dx, dy);
+            if (distance > STICK_RADIUS) {
+                dx *= STICK_RADIUS / distance;
+                dy *= STICK_RADIUS / distance;
+            }
+
+            stick.x = dx / STICK_RADIUS;
+            stick.y = -dy / STICK_RADIUS; // Screen down is +y; forward/up is +1
+            stick.knob.style.left = `${stick.originX + dx}px`;
+            stick.knob.style.top = `${stick.originY + dy}px`;
+        }
+    }
+
+    _onPointerUp(e) {
+        for (const stick of Object.values(this.sticks)) {
+            if (stick.pointerId === e.pointerId) this._releaseStick(stick);
+        }
+        for (const button of this.buttons.values()) {
+            if (button.pointerId !== e.pointerId) continue;
+            button.down = false;
+            button.pointerId = null;
+            button.element.style.background = 'rgba(255,255,255,0.2)';
+        }
+    }
+
+    /**
+     * Let touches on the screen spawn sticks (buttons always respond)
+     * @param {boolean} enabled
+     */
+    setSticksEnabled(enabled) {
+        this.container.style.pointerEvents = enabled ? 'auto' : 'none';
+        if (!enabled) {
+            for (const stick of Object.values(this.sticks)) this._releaseStick(stick);
+        }
+    }
+
+    _releaseStick(stick) {
+        stick.pointerId = null;
+        stick.x = stick.y = 0;
+        stick.base.style.display = 'none';
+        stick.knob.style.display = 'none';
+    }
+
+    /**
+     * @param {string} id - 'move' or 'look'
+     * @returns {{ x: number, y: number }|null} Deflection, each component -1..1
+     */
+    getStick(id) {
+        return this.sticks[id] || null;
+    }
+
+    isButtonDown(id) {
+        return this.buttons.get(id)?.down ?? false;
+    }
+
+    dispose() {
+        this.container.removeEventListener('pointerdown', this._pointerdown);
+        window.removeEventListener('pointermove', this._pointermove);
+        window.removeEventListener('pointerup', this._pointerup);
+        window.removeEventListener('pointercancel', this._pointerup);
+        this.container.remove();
+        this.buttons.clear();
+    }
+}
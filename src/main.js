@@ -1,21 +1,49 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { TerrainSystem } from './terrain/TerrainSystem.js';
+import { TerrainMaterial } from './terrain/TerrainMaterial.js';
 import { PerformanceMonitor } from './core/PerformanceMonitor.js';
 import { HDRISky } from './core/HDRISky.js';
+import { ProceduralSky } from './core/ProceduralSky.js';
+import { DayNightCycle } from './core/DayNightCycle.js';
+import { CascadedShadows } from './core/CascadedShadows.js';
+import { WeatherSystem } from './weather/WeatherSystem.js';
 import { Player } from './core/Player.js';
+import { ThirdPersonCamera } from './core/ThirdPersonCamera.js';
+import { InputManager } from './core/InputManager.js';
+import { VegetationSystem } from './vegetation/VegetationSystem.js';
+import { AssetManager } from './core/AssetManager.js';
+import { FarmsteadGenerator } from './settlements/FarmsteadGenerator.js';
+import { CollisionWorld } from './physics/CollisionWorld.js';
+import { WaterSystem } from './water/WaterSystem.js';
+import { saveWorld, loadWorld } from './world/WorldSerializer.js';
+import { IndexedDBBackend, LocalStorageBackend, FileBackend } from './world/WorldStorage.js';
+import { Benchmark, compareBenchmarks } from './core/Benchmark.js';
+import { round } from './core/FrameProfiler.js';
+import { downloadBlob } from './core/FileDownload.js';
+import { Engine } from './core/Engine.js';
 
-// Scene setup
-const scene = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.005, 200);
-const renderer = new THREE.WebGLRenderer({
-    antialias: true,
-    powerPreference: "high-performance"
-});
+// ?benchmark[=path]&seed=n&label=name&baseline=url runs the scripted flythrough (see Benchmark.js)
+const params = new URLSearchParams(window.location.search);
+const BENCHMARK_MODE = params.has('benchmark');
+
+// ?seed=n, or undefined (the default seed) when missing or not a number; a bare ?seed isn't 0
+function getSeedParam() {
+    if (!params.has('seed')) return undefined;
+    const text = params.get('seed').trim();
+    const seed = Number(text);
+    if (text === '' || !Number.isFinite(seed)) {
+        console.warn(`Ignoring ?seed="${params.get('seed')}": not a number, using the default seed`);
+        return undefined;
+    }
+    return seed;
+}
 
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.body.appendChild(renderer.domElement);
+// Engine: renderer, scene, main camera and the fixed-timestep loop the systems below run in
+const engine = new Engine({ camera: { fov: 75, near: 0.005, far: 200 } });
+const { scene, renderer, camera } = engine;
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
 // Controls
 const controls = new OrbitControls(camera, renderer.domElement);
@@ -25,86 +53,301 @@ controls.enableDamping = true;
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
 scene.add(ambientLight);
 
+// Sun position, colour and intensity are driven by the day-night cycle below
 const sunLight = new THREE.DirectionalLight(0xffffff, 1.2);
-sunLight.position.set(20, 50, 20);
 scene.add(sunLight);
 
-// Fog
-// Fog (100m world now feels like 1km, so fog should be tighter)
+// Shadows: cascades follow the camera and take over the sun (configurable count / resolution)
+const shadows = new CascadedShadows(scene, camera, sunLight, { cascades: 3, shadowMapSize: 2048 });
+engine.addEventListener('resize', () => shadows.updateFrustums());
+
+// Fog (100m world now feels like 1km, so fog should be tighter); these are the clear-weather
+// distances, colour and density change with the day-night cycle and weather
 scene.fog = new THREE.Fog(0x1a1a2e, 15, 80);
 
-// HDRI Sky
-const hdriSky = new HDRISky(scene, renderer);
-hdriSky.load('/assets/HDRI/belfast_sunset_puresky_1k.hdr');
+// Shared asset cache
+const assets = new AssetManager();
+
+// Sky: analytic atmosphere that follows the sun, or the baked HDRI (only a sunset is shipped)
+const USE_PROCEDURAL_SKY = true;
+let sky;
+if (USE_PROCEDURAL_SKY) {
+    sky = new ProceduralSky(scene, renderer);
+} else {
+    sky = new HDRISky(scene, renderer, assets);
+    // Layers missing here (dawn/day/night) fall back to the first loaded one
+    sky.loadLayers({
+        dusk: '/assets/HDRI/belfast_sunset_puresky_1k.hdr',
+    });
+}
+
+// Benchmarks hold time of day and weather still so every run renders the same scene
+const dayNight = new DayNightCycle({ scene, sunLight, ambientLight, sky, time: 18.5, paused: BENCHMARK_MODE });
+const weather = new WeatherSystem({ scene, sky, dayNight, auto: !BENCHMARK_MODE });
+weather.addEventListener('weatherChanging', (e) => console.log(`🌦️ Weather: ${e.from} → ${e.to}`));
 
 // Systems
-const perfMonitor = new PerformanceMonitor(renderer).init();
-const terrainSystem = new TerrainSystem(scene);
-const player = new Player(scene, camera, terrainSystem);
+const input = new InputManager();
+// O starts/stops a profile capture; budgets warn in the console when a system runs over
+const perfMonitor = new PerformanceMonitor(renderer, input, {
+    budgets: { frame: 16.7, render: 8, terrain: 3, vegetation: 2 },
+});
+const profiler = perfMonitor.profiler;
+engine.monitor = perfMonitor;
+engine.profiler = profiler;
+const terrainMaterial = new TerrainMaterial({ useVertexColors: true });
+const terrainSystem = new TerrainSystem(scene, terrainMaterial, {
+    biomes: true,
+    seed: getSeedParam(),
+});
+if (terrainSystem.workerPool) terrainSystem.workerPool.profiler = profiler;
+const collisionWorld = new CollisionWorld();
+const player = new Player(scene, camera, terrainSystem, collisionWorld, input);
+// Sea at -0.5 floods the lowest valleys; lakes can be added with water.addLake()
+const water = new WaterSystem(scene, terrainSystem, { seaLevel: -0.5, sunLight, ambientLight });
+player.controller.water = water;
+const thirdPersonCamera = new ThirdPersonCamera(camera, player, terrainSystem, { collisionWorld });
+const vegetation = new VegetationSystem(scene, terrainSystem, assets);
+vegetation.collisionWorld = collisionWorld;
+vegetation.init();
+
+// A couple of farmsteads near the spawn point
+const farmsteads = new FarmsteadGenerator(scene, terrainSystem, assets);
+farmsteads.collisionWorld = collisionWorld;
+const farmsteadsReady = farmsteads.init().then(() => {
+    for (const site of farmsteads.findSites(0, 0, 150, 2)) {
+        const farmstead = farmsteads.generate(site);
+        vegetation.addExclusionZone(farmstead.yardZone);
+    }
+}).catch((error) => {
+    // The world just has no farms; everything waiting on farmsteadsReady still goes ahead
+    console.error('Failed to load farmsteads:', error);
+});
 
 // Camera position - free camera mode (close to tiny player)
 camera.position.set(5, 5, 5);
 controls.target.set(0, 0, 0);
 controls.update();
 
-// Mode toggle
-let isFirstPerson = false;
+// Camera modes, cycled by the toggleCamera action: free (orbit) -> first person -> third person
+const CAMERA_MODES = ['free', 'firstPerson', 'thirdPerson'];
+let cameraMode = 'free';
+
+function setCameraMode(mode) {
+    if (!CAMERA_MODES.includes(mode)) return;
+    cameraMode = mode;
+    controls.enabled = cameraMode === 'free';
+    player.setEnabled(cameraMode !== 'free', { firstPerson: cameraMode === 'firstPerson' });
+    if (cameraMode === 'thirdPerson') thirdPersonCamera.reset();
+}
+
+// World save/load: K quick-saves, L quick-loads (IndexedDB, localStorage where unavailable)
+const worldSystems = {
+    terrainSystem, farmsteads, vegetation, water, dayNight, weather, sky, player,
+    cameraMode: { get: () => cameraMode, set: setCameraMode },
+};
+const worldStorage = IndexedDBBackend.isSupported() ? new IndexedDBBackend() : new LocalStorageBackend();
 
-window.addEventListener('keydown', (e) => {
-    if (e.code === 'KeyV') {
-        isFirstPerson = !isFirstPerson;
-        controls.enabled = !isFirstPerson;
-        player.setEnabled(isFirstPerson);
+async function quickSave() {
+    await worldStorage.save('quicksave', saveWorld(worldSystems));
+    console.log('💾 World saved');
+}
+
+async function quickLoad() {
+    const world = await worldStorage.load('quicksave');
+    if (!world) {
+        console.log('💾 No saved world yet');
+        return;
+    }
+    await farmsteadsReady;
+    await loadWorld(worldSystems, world);
+    console.log(`📂 World loaded (saved ${world.savedAt})`);
+}
+
+input.addEventListener('actionPressed', (e) => {
+    if (e.action === 'toggleCamera') {
+        setCameraMode(CAMERA_MODES[(CAMERA_MODES.indexOf(cameraMode) + 1) % CAMERA_MODES.length]);
+    } else if (e.action === 'quickSave') {
+        quickSave().catch(error => console.error('World save failed:', error));
+    } else if (e.action === 'quickLoad') {
+        quickLoad().catch(error => console.error('World load failed:', error));
     }
 });
 
-// Animation loop
-const clock = new THREE.Clock();
-let animationId = null;
+// Benchmark flythrough: starts once the farmsteads are in, reports per segment when done and
+// compares against ?baseline=url or the baseline saved with saveBenchmarkBaseline()
+const BENCHMARK_BASELINE_KEY = 'snapfire.benchmarkBaseline';
+let benchmark = null;
 
-function animate() {
-    animationId = requestAnimationFrame(animate);
-    const deltaTime = clock.getDelta();
-    perfMonitor.begin();
+if (BENCHMARK_MODE) {
+    benchmark = new Benchmark({
+        camera, terrainSystem, water,
+        profiler,
+        path: params.get('benchmark') || 'default',
+        label: params.get('label') || '',
+    });
+    controls.enabled = false;
 
-    if (isFirstPerson) {
-        player.update(deltaTime);
-    } else {
-        controls.update();
+    benchmark.addEventListener('segmentStarted', (e) => console.log(`🎬 Segment ${e.index + 1}/${benchmark.segments.length}: ${e.name}`));
+    benchmark.addEventListener('complete', (e) => {
+        engine.fixedDelta = null;
+        controls.enabled = cameraMode === 'free';
+        onBenchmarkComplete(e.report).catch(error => console.error('Benchmark report failed:', error));
+    });
+    // Runs whether or not the farmsteads loaded, so an unattended run always finishes
+    farmsteadsReady
+        .catch(error => console.error('Farmsteads failed, benchmarking without them:', error))
+        .then(() => {
+            // Every frame advances the same simulated time, however long it took
+            engine.fixedDelta = benchmark.timestep;
+            benchmark.start();
+        })
+        .catch(error => console.error('Benchmark failed to start:', error));
+}
+
+async function loadBenchmarkBaseline() {
+    if (params.has('baseline')) {
+        const response = await fetch(params.get('baseline'));
+        if (!response.ok) throw new Error(`Baseline ${params.get('baseline')}: HTTP ${response.status}`);
+        return response.json();
     }
+    const saved = localStorage.getItem(BENCHMARK_BASELINE_KEY);
+    return saved ? JSON.parse(saved) : null;
+}
 
-    terrainSystem.update(camera.position, camera);
-    renderer.render(scene, camera);
+async function onBenchmarkComplete(report) {
+    console.table(Object.fromEntries(report.segments.map(s => [s.name, {
+        'frames': s.frames,
+        'fps': round(s.fps, 2),
+        'avg (ms)': round(s.frameTime.avg, 2),
+        'p95 (ms)': round(s.frameTime.p95, 2),
+        'p99 (ms)': round(s.frameTime.p99, 2),
+        'hitches': s.hitches,
+        'draw calls': s.renderer ? Math.round(s.renderer.calls) : '-',
+    }])));
+
+    const baseline = await loadBenchmarkBaseline();
+    if (baseline) {
+        const comparison = compareBenchmarks(report, baseline);
+        console.table(comparison.rows.map(row => ({ ...row, change: `${(row.change * 100).toFixed(1)}%` })));
+        if (comparison.passed) {
+            console.log(`✅ No regressions against baseline "${baseline.label || baseline.startedAt}"`);
+        } else {
+            console.warn(`❌ ${comparison.regressions.length} regressions against baseline "${baseline.label || baseline.startedAt}"`);
+        }
+    } else {
+        console.log('No benchmark baseline yet: saveBenchmarkBaseline() stores this run as one');
+    }
 
-    perfMonitor.end();
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `benchmark-${report.label || report.path}.json`);
 }
 
-// Resize handler
-function onResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Systems, in update order (lower priority first; disposed in reverse). Player physics runs in
+// fixed steps and is drawn interpolated; each system is timed as a profiler scope of its name.
+engine.addSystem('perfMonitor', perfMonitor, { priority: -300 });
+engine.addSystem('assets', assets, { priority: -200 });
+engine.addSystem('collision', collisionWorld, { priority: -200 });
+engine.addSystem('terrainMaterial', terrainMaterial, { priority: -200 });
+engine.addSystem('worldStorage', worldStorage, { priority: -200 });
+
+engine.addSystem('input', {
+    update: (deltaTime) => input.update(deltaTime),
+    dispose: () => input.dispose(),
+}, { priority: -100 });
+
+if (benchmark) {
+    engine.addSystem('benchmark', {
+        // A paused engine only advances when stepped (deltaTime is then the stepped time)
+        update: (deltaTime) => {
+            if (benchmark.running && (!engine.paused || deltaTime > 0)) benchmark.update();
+        },
+        dispose: () => benchmark.cancel(),
+    }, { priority: -90 });
 }
-window.addEventListener('resize', onResize);
-
-// Cleanup
-function disposeEngine() {
-    if (animationId) cancelAnimationFrame(animationId);
-    window.removeEventListener('resize', onResize);
-
-    player.dispose();
-    terrainSystem.dispose();
-    hdriSky.dispose();
-    perfMonitor.dispose();
-    renderer.dispose();
-    renderer.forceContextLoss();
-
-    if (renderer.domElement?.parentNode) {
-        renderer.domElement.parentNode.removeChild(renderer.domElement);
+
+engine.addSystem('player', {
+    fixedUpdate: (step) => {
+        if (cameraMode !== 'free' && !benchmark?.running) player.fixedUpdate(step);
+    },
+    update: (deltaTime) => {
+        if (benchmark?.running) return;
+        if (cameraMode === 'free') {
+            controls.update();
+        } else {
+            player.update(deltaTime, engine.alpha);
+            if (cameraMode === 'thirdPerson') thirdPersonCamera.update(deltaTime);
+        }
+    },
+    dispose: () => player.dispose(),
+}, { priority: -50 });
+
+engine.addSystem('environment', {
+    update: (deltaTime) => {
+        weather.update(deltaTime, camera);
+        dayNight.update(deltaTime);
+        shadows.update();
+    },
+    dispose: () => {
+        weather.dispose();
+        sky.dispose();
+        shadows.dispose();
+    },
+}, { priority: 0 });
+
+engine.addSystem('terrain', {
+    update: () => terrainSystem.update(camera.position, camera),
+    dispose: () => terrainSystem.dispose(),
+}, { priority: 10 });
+
+engine.addSystem('farmsteads', { dispose: () => farmsteads.dispose() }, { priority: 15 });
+
+engine.addSystem('vegetation', {
+    update: () => vegetation.update(),
+    dispose: () => vegetation.dispose(),
+}, { priority: 20 });
+
+engine.addSystem('water', {
+    update: (deltaTime) => water.update(deltaTime, camera),
+    dispose: () => water.dispose(),
+}, { priority: 30 });
+
+// Pause freezes simulated time (the camera still moves in free mode); '.' steps one fixed step
+input.addEventListener('actionPressed', (e) => {
+    if (e.action === 'togglePause') {
+        if (engine.paused) engine.resume();
+        else engine.pause();
+        console.log(engine.paused ? '⏸️ Paused' : '▶️ Resumed');
+    } else if (e.action === 'stepFrame') {
+        engine.step();
     }
-}
+});
+
+// Console access to the engine: engine.pause() / engine.step() / engine.dispose()
+window.engine = engine;
+
+// Console access to world files: downloadWorld('name') / uploadWorld() (the picker needs a click)
+const worldFiles = new FileBackend();
+window.downloadWorld = (name = 'world') => worldFiles.save(name, saveWorld(worldSystems));
+window.uploadWorld = async () => {
+    const world = await worldFiles.load();
+    if (!world) return;
+    await farmsteadsReady;
+    await loadWorld(worldSystems, world);
+};
 
-window.disposeEngine = disposeEngine;
+// Console access to profiles: downloadProfile('csv') saves the last capture (O) as CSV
+window.downloadProfile = (format = 'json') => perfMonitor.downloadReport(format);
+
+// Console access to benchmarks: saveBenchmarkBaseline() keeps the last ?benchmark run as the baseline
+window.saveBenchmarkBaseline = () => {
+    if (!benchmark?.report) {
+        console.warn('No benchmark report yet (open the page with ?benchmark)');
+        return;
+    }
+    localStorage.setItem(BENCHMARK_BASELINE_KEY, JSON.stringify(benchmark.report));
+    console.log('📌 Benchmark baseline saved');
+};
 
-// Start
-animate();
+// Start (a system that fails to initialize is reported and skipped; the rest of the world still runs)
+engine.init().then(() => engine.start());
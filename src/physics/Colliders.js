@@ -0,0 +1,248 @@
+import * as THREE from 'three';
+import { TriangleBVH } from './TriangleBVH.js';
+
+const _local = new THREE.Vector3();
+const _vertex = new THREE.Vector3();
+const _box = new THREE.Box3();
+
+/**
+ * Static collider shapes for CollisionWorld.
+ *
+ * Every shape has world-space `bounds` (THREE.Box3) for the broad phase and calls back with
+ * convex pieces from forEachConvex(): the box and capsule are one piece each, a mesh yields
+ * the triangles near the query. A convex piece implements
+ *   closestPoint(point, target) - Nearest point of the solid (the point itself when inside)
+ *   outwardNormal(point, target) - Escape direction for a point inside or on the surface
+ */
+
+/**
+ * Oriented box, e.g. a building footprint
+ */
+export class BoxCollider {
+    /**
+     * @param {THREE.Vector3} center
+     * @param {THREE.Vector3} halfExtents
+     * @param {THREE.Quaternion} [quaternion]
+     */
+    constructor(center, halfExtents, quaternion = new THREE.Quaternion()) {
+        this.type = 'box';
+        this.center = center.clone();
+        this.halfExtents = halfExtents.clone();
+        this.quaternion = quaternion.clone();
+        this.inverseQuaternion = quaternion.clone().invert();
+        this.userData = {};
+
+        this.bounds = new THREE.Box3();
+        const h = this.halfExtents;
+        for (let i = 0; i < 8; i++) {
+            _vertex.set(i & 1 ? h.x : -h.x, i & 2 ? h.y : -h.y, i & 4 ? h.z : -h.z)
+                .applyQuaternion(this.quaternion).add(this.center);
+            this.bounds.expandByPoint(_vertex);
+        }
+    }
+
+    forEachConvex(box, callback) {
+        callback(this);
+    }
+
+    closestPoint(point, target) {
+        _local.copy(point).sub(this.center).applyQuaternion(this.inverseQuaternion);
+        const h = this.halfExtents;
+        target.set(
+            THREE.MathUtils.clamp(_local.x, -h.x, h.x),
+            THREE.MathUtils.clamp(_local.y, -h.y, h.y),
+            THREE.MathUtils.clamp(_local.z, -h.z, h.z)
+        );
+        return target.applyQuaternion(this.quaternion).add(this.center);
+    }
+
+    outwardNormal(point, target) {
+        // Face with the least penetration
+        _local.copy(point).sub(this.center).applyQuaternion(this.inverseQuaternion);
+        const h = this.halfExtents;
+        const dx = h.x - Math.abs(_local.x);
+        const dy = h.y - Math.abs(_local.y);
+        const dz = h.z - Math.abs(_local.z);
+
+        if (dx <= dy && dx <= dz) target.set(Math.sign(_local.x) || 1, 0, 0);
+        else if (dy <= dz) target.set(0, Math.sign(_local.y) || 1, 0);
+        else target.set(0, 0, Math.sign(_local.z) || 1);
+        return target.applyQuaternion(this.quaternion);
+    }
+}
+
+/**
+ * Upright capsule, e.g. a tree trunk
+ */
+export class CapsuleCollider {
+    /**
+     * @param {THREE.Vector3} base - Bottom of the capsule (on the ground)
+     * @param {number} height - Total height, caps included
+     * @param {number} radius
+     */
+    constructor(base, height, radius) {
+        this.type = 'capsule';
+        this.base = base.clone();
+        this.height = Math.max(height, radius * 2);
+        this.radius = radius;
+        this.userData = {};
+
+        this.bounds = new THREE.Box3(
+            new THREE.Vector3(base.x - radius, base.y, base.z - radius),
+            new THREE.Vector3(base.x + radius, base.y + this.height, base.z + radius)
+        );
+    }
+
+    forEachConvex(box, callback) {
+        callback(this);
+    }
+
+    _axisPoint(point, target) {
+        const bottom = this.base.y + this.radius;
+        const top = this.base.y + this.height - this.radius;
+        return target.set(this.base.x, THREE.MathUtils.clamp(point.y, bottom, top), this.base.z);
+    }
+
+    closestPoint(point, target) {
+        this._axisPoint(point, target);
+        const dx = point.x - target.x;
+        const dy = point.y - target.y;
+        const dz = point.z - target.z;
+        const distance = Math.hypot(dx, dy, dz);
+        if (distance <= this.radius) return target.copy(point);
+
+        const s = this.radius / distance;
+        return target.set(target.x + dx * s, target.y + dy * s, target.z + dz * s);
+    }
+
+    outwardNormal(point, target) {
+        this._axisPoint(point, target);
+        target.subVectors(point, target);
+        if (target.lengthSq() < 1e-12) target.set(1, 0, 0);
+        return target.normalize();
+    }
+}
+
+/**
+ * One triangle of a MeshCollider, exposed as a convex piece
+ */
+class TrianglePiece {
+    constructor() {
+        this.triangle = new THREE.Triangle();
+        this.normal = new THREE.Vector3();
+    }
+
+    set(vertices, index) {
+        const o = index * 9;
+        this.triangle.a.fromArray(vertices, o);
+        this.triangle.b.fromArray(vertices, o + 3);
+        this.triangle.c.fromArray(vertices, o + 6);
+        this.triangle.getNormal(this.normal);
+        return this;
+    }
+
+    closestPoint(point, target) {
+        return this.triangle.closestPointToPoint(point, target);
+    }
+
+    outwardNormal(point, target) {
+        // Triangles are two-sided: escape to whichever side the point is on
+        const side = _local.subVectors(point, this.triangle.a).dot(this.normal);
+        return target.copy(this.normal).multiplyScalar(side < 0 ? -1 : 1);
+    }
+}
+
+/**
+ * Triangle mesh (BVH accelerated), for shapes a box fits badly - open barns, towers on legs
+ */
+export class MeshCollider {
+    /**
+     * @param {Float32Array} triangles - World-space vertices, 9 floats per triangle
+     */
+    constructor(triangles) {
+        this.type = 'mesh';
+        this.bvh = new TriangleBVH(triangles);
+        this.userData = {};
+        this._piece = new TrianglePiece();
+
+        this.bounds = new THREE.Box3();
+        for (let i = 0; i < triangles.length; i += 3) {
+            this.bounds.expandByPoint(_vertex.fromArray(triangles, i));
+        }
+    }
+
+    /**
+     * Collect the world-space triangles of every mesh under an object
+     * @param {THREE.Object3D} object
+     */
+    static fromObject(object) {
+        object.updateMatrixWorld(true);
+        const chunks = [];
+        let total = 0;
+
+        object.traverse((child) => {
+            if (!child.isMesh || child.isInstancedMesh || child.isBatchedMesh) return;
+            const position = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            const triangleCount = index ? index.count / 3 : position.count / 3;
+            const data = new Float32Array(triangleCount * 9);
+
+            for (let t = 0; t < triangleCount; t++) {
+                for (let v = 0; v < 3; v++) {
+                    const vertexIndex = index ? index.getX(t * 3 + v) : t * 3 + v;
+                    _vertex.fromBufferAttribute(position, vertexIndex).applyMatrix4(child.matrixWorld);
+                    _vertex.toArray(data, t * 9 + v * 3);
+                }
+            }
+
+            chunks.push(data);
+            total += data.length;
+        });
+
+        const triangles = new Float32Array(total);
+        let offset = 0;
+        for (const data of chunks) {
+            triangles.set(data, offset);
+            offset += data.length;
+        }
+        return new MeshCollider(triangles);
+    }
+
+    forEachConvex(box, callback) {
+        this.bvh.queryBox(box, (index) => {
+            callback(this._piece.set(this.bvh.triangles, index));
+        });
+    }
+}
+
+/**
+ * Oriented box fitted to an object's geometry in its own rotated frame (tighter than a world AABB
+ * for rotated buildings)
+ * @param {THREE.Object3D} object
+ * @returns {BoxCollider}
+ */
+export function boxColliderFromObject(object) {
+    object.updateMatrixWorld(true);
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    object.matrixWorld.decompose(position, quaternion, scale);
+
+    // Bounds in the object's frame, scale applied
+    const toLocal = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1)).invert();
+    const childToLocal = new THREE.Matrix4();
+    _box.makeEmpty();
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const geometry = child.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        childToLocal.multiplyMatrices(toLocal, child.matrixWorld);
+        _box.union(geometry.boundingBox.clone().applyMatrix4(childToLocal));
+    });
+
+    const localCenter = _box.getCenter(new THREE.Vector3());
+    const halfExtents = _box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+    const center = localCenter.applyQuaternion(quaternion).add(position);
+    return new BoxCollider(center, halfExtents, quaternion);
+}
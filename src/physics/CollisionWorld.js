@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { SpatialHash } from './SpatialHash.js';
+import { BoxCollider, CapsuleCollider, MeshCollider, boxColliderFromObject } from './Colliders.js';
+
+const _segmentA = new THREE.Vector3();
+const _segmentB = new THREE.Vector3();
+const _onSegment = new THREE.Vector3();
+const _onShape = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _step = new THREE.Vector3();
+const _queryBox = new THREE.Box3();
+const _line = new THREE.Line3();
+const _castBottom = new THREE.Vector3();
+
+/**
+ * CollisionWorld - Static colliders for placed objects (buildings, fences, trees) and
+ * capsule sweeps against them.
+ *
+ * Colliders sit in a SpatialHash, so a sweep only looks at the few cells around the capsule
+ * however many objects the world holds. moveCapsule() advances in sub-steps no longer than half
+ * the capsule radius (so thin walls can't be tunnelled) and pushes the capsule out of anything it
+ * overlaps; the remaining motion slides along the contact surfaces. The heightfield itself is
+ * not part of this world - CharacterController resolves it against TerrainSystem.
+ *
+ * Usage:
+ *   const collisions = new CollisionWorld();
+ *   collisions.addObject(barn);                       // oriented box fitted to the model
+ *   collisions.addObject(openBarn, { type: 'mesh' }); // triangle BVH
+ *   collisions.addCapsule(new THREE.Vector3(x, y, z), 0.6, 0.04);
+ */
+export class CollisionWorld {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.cellSize=4] - Spatial hash cell size in world units
+     * @param {number} [options.iterations=4] - Depenetration passes per sub-step
+     */
+    constructor(options = {}) {
+        this.hash = new SpatialHash(options.cellSize ?? 4);
+        this.iterations = options.iterations ?? 4;
+        this._candidates = [];
+    }
+
+    get colliderCount() {
+        return this.hash.size;
+    }
+
+    /**
+     * Register a collider (BoxCollider, CapsuleCollider or MeshCollider)
+     * @returns The collider, as a handle for remove()
+     */
+    add(collider) {
+        const b = collider.bounds;
+        this.hash.insert(collider, { minX: b.min.x, minZ: b.min.z, maxX: b.max.x, maxZ: b.max.z });
+        return collider;
+    }
+
+    remove(collider) {
+        return this.hash.remove(collider);
+    }
+
+    addBox(center, halfExtents, quaternion) {
+        return this.add(new BoxCollider(center, halfExtents, quaternion));
+    }
+
+    addCapsule(base, height, radius) {
+        return this.add(new CapsuleCollider(base, height, radius));
+    }
+
+    /**
+     * Collider for a placed object, in its current world transform
+     * @param {THREE.Object3D} object
+     * @param {Object} [options]
+     * @param {'box'|'mesh'} [options.type='box'] - Fitted oriented box, or the object's own triangles
+     */
+    addObject(object, options = {}) {
+        const collider = options.type === 'mesh'
+            ? MeshCollider.fromObject(object)
+            : boxColliderFromObject(object);
+        collider.userData.object = object;
+        return this.add(collider);
+    }
+
+    /**
+     * Colliders whose bounds overlap a box
+     * @param {THREE.Box3} box
+     * @param {Array} [out]
+     */
+    query(box, out = []) {
+        const start = out.length;
+        this.hash.query({ minX: box.min.x, minZ: box.min.z, maxX: box.max.x, maxZ: box.max.z }, out);
+
+        // The hash is 2D; drop colliders entirely above or below the box
+        let write = start;
+        for (let i = start; i < out.length; i++) {
+            if (out[i].bounds.intersectsBox(box)) out[write++] = out[i];
+        }
+        out.length = write;
+        return out;
+    }
+
+    /**
+     * Move an upright capsule, sliding along colliders
+     * @param {THREE.Vector3} position - Bottom of the capsule (feet)
+     * @param {THREE.Vector3} displacement - Desired motion
+     * @param {number} radius
+     * @param {number} height - Total height, caps included
+     * @param {{ position: THREE.Vector3, normals: THREE.Vector3[], hit: boolean }} [result]
+     * @returns {{ position: THREE.Vector3, normals: THREE.Vector3[], hit: boolean }}
+     *   Final position and the normals of every surface touched on the way
+     */
+    moveCapsule(position, displacement, radius, height, result = { position: new THREE.Vector3(), normals: [], hit: false }) {
+        result.position.copy(position);
+        result.normals.length = 0;
+        result.hit = false;
+
+        const distance = displacement.length();
+        const steps = Math.min(32, Math.max(1, Math.ceil(distance / (radius * 0.5))));
+        _step.copy(displacement).divideScalar(steps);
+
+        for (let i = 0; i < steps; i++) {
+            result.position.add(_step);
+            this._depenetrate(result.position, radius, height, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Whether an upright capsule at a position overlaps any collider
+     */
+    testCapsule(position, radius, height) {
+        const candidates = this._gatherCandidates(position, radius, height);
+        for (const collider of candidates) {
+            let overlapping = false;
+            collider.forEachConvex(_queryBox, (piece) => {
+                if (!overlapping && this._closestPair(piece) < radius * radius) overlapping = true;
+            });
+            if (overlapping) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Sweep a sphere along a ray and return how far it gets before touching a collider
+     * (marched in half-radius steps, then refined)
+     * @param {THREE.Vector3} origin - Sphere centre at the start
+     * @param {THREE.Vector3} direction - Normalized
+     * @param {number} maxDistance
+     * @param {number} radius
+     * @returns {number} Free distance; maxDistance when nothing is hit
+     */
+    castSphere(origin, direction, maxDistance, radius) {
+        const blocked = (t) => {
+            _castBottom.copy(origin).addScaledVector(direction, t);
+            _castBottom.y -= radius;
+            return this.testCapsule(_castBottom, radius, radius * 2);
+        };
+
+        const step = radius * 0.5;
+        let previous = 0;
+        for (let t = step; previous < maxDistance; t += step) {
+            t = Math.min(t, maxDistance);
+            if (blocked(t)) {
+                let lo = previous;
+                let hi = t;
+                for (let i = 0; i < 6; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (blocked(mid)) hi = mid;
+                    else lo = mid;
+                }
+                return lo;
+            }
+            previous = t;
+        }
+        return maxDistance;
+    }
+
+    _gatherCandidates(position, radius, height) {
+        _segmentA.set(position.x, position.y + radius, position.z);
+        _segmentB.set(position.x, position.y + Math.max(height - radius, radius), position.z);
+        _line.set(_segmentA, _segmentB);
+
+        _queryBox.min.set(position.x - radius, position.y, position.z - radius);
+        _queryBox.max.set(position.x + radius, position.y + Math.max(height, radius * 2), position.z + radius);
+
+        this._candidates.length = 0;
+        return this.query(_queryBox, this._candidates);
+    }
+
+    /**
+     * Squared distance between the capsule's core segment and a convex piece (alternating
+     * projection; exact enough for boxes, capsules and triangles in a few rounds).
+     * Leaves the pair in _onSegment / _onShape.
+     */
+    _closestPair(piece) {
+        _line.getCenter(_onSegment);
+        // A sphere (height = 2 * radius) has a zero-length segment, which Line3 can't project onto
+        if (_line.distanceSq() < 1e-12) {
+            piece.closestPoint(_onSegment, _onShape);
+            return _onSegment.distanceToSquared(_onShape);
+        }
+        for (let i = 0; i < 4; i++) {
+            piece.closestPoint(_onSegment, _onShape);
+            _line.closestPointToPoint(_onShape, true, _onSegment);
+        }
+        return _onSegment.distanceToSquared(_onShape);
+    }
+
+    _depenetrate(position, radius, height, result) {
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            const candidates = this._gatherCandidates(position, radius, height);
+            let pushed = false;
+
+            for (const collider of candidates) {
+                collider.forEachConvex(_queryBox, (piece) => {
+                    const distanceSq = this._closestPair(piece);
+                    if (distanceSq >= radius * radius) return;
+
+                    const distance = Math.sqrt(distanceSq);
+                    if (distance > 1e-6) {
+                        _normal.subVectors(_onSegment, _onShape).divideScalar(distance);
+                    } else {
+                        piece.outwardNormal(_onSegment, _normal);
+                    }
+
+                    const depth = radius - distance;
+                    position.addScaledVector(_normal, depth);
+                    _segmentA.addScaledVector(_normal, depth);
+                    _segmentB.addScaledVector(_normal, depth);
+                    _line.set(_segmentA, _segmentB);
+
+                    result.hit = true;
+                    result.normals.push(_normal.clone());
+                    pushed = true;
+                });
+            }
+
+            if (!pushed) break;
+        }
+    }
+
+    clear() {
+        this.hash.clear();
+    }
+
+    dispose() {
+        this.clear();
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * SpatialHash - Uniform XZ grid for broad-phase lookups.
+ *
+ * Items are registered under every cell their bounds overlap, so a query only visits the
+ * cells around it and its cost doesn't grow with the size of the world. The grid is 2D:
+ * the world is a heightfield, so vertical stacking is rare enough to check in the narrow phase.
+ */
+export class SpatialHash {
+    /**
+     * @param {number} [cellSize=4] - World units per cell; roughly the size of a typical collider
+     */
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> Set of items
+        this.itemCells = new Map(); // item -> [cell keys]
+        this.queryStamp = 0;
+        this.stamps = new Map(); // item -> last query that returned it
+    }
+
+    static cellKey(ix, iz) {
+        return (ix + 32768) * 65536 + (iz + 32768);
+    }
+
+    get size() {
+        return this.itemCells.size;
+    }
+
+    /**
+     * @param {*} item
+     * @param {{ minX: number, minZ: number, maxX: number, maxZ: number }} bounds
+     */
+    insert(item, bounds) {
+        if (this.itemCells.has(item)) this.remove(item);
+
+        const keys = [];
+        this._forEachCell(bounds, (key) => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(item);
+            keys.push(key);
+        });
+        this.itemCells.set(item, keys);
+    }
+
+    remove(item) {
+        const keys = this.itemCells.get(item);
+        if (!keys) return false;
+
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            cell.delete(item);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+        this.itemCells.delete(item);
+        this.stamps.delete(item);
+        return true;
+    }
+
+    /**
+     * Items whose cells overlap the bounds (each at most once)
+     * @param {{ minX: number, minZ: number, maxX: number, maxZ: number }} bounds
+     * @param {Array} [out]
+     * @returns {Array}
+     */
+    query(bounds, out = []) {
+        const stamp = ++this.queryStamp;
+        this._forEachCell(bounds, (key) => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            for (const item of cell) {
+                if (this.stamps.get(item) === stamp) continue;
+                this.stamps.set(item, stamp);
+                out.push(item);
+            }
+        });
+        return out;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+        this.stamps.clear();
+    }
+
+    _forEachCell(bounds, callback) {
+        const size = this.cellSize;
+        const minX = Math.floor(bounds.minX / size);
+        const maxX = Math.floor(bounds.maxX / size);
+        const minZ = Math.floor(bounds.minZ / size);
+        const maxZ = Math.floor(bounds.maxZ / size);
+
+        for (let iz = minZ; iz <= maxZ; iz++) {
+            for (let ix = minX; ix <= maxX; ix++) {
+                callback(SpatialHash.cellKey(ix, iz));
+            }
+        }
+    }
+}
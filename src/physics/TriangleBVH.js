@@ -0,0 +1,135 @@
+/**
+ * TriangleBVH - Bounding volume hierarchy over a static triangle soup, for mesh colliders.
+ *
+ * Triangles are given as a flat Float32Array (9 floats each: ax ay az bx by bz cx cy cz).
+ * Built once with median splits on the longest centroid axis; queries return the triangles
+ * whose bounds overlap a box.
+ */
+const MAX_LEAF_TRIANGLES = 8;
+
+export class TriangleBVH {
+    /**
+     * @param {Float32Array} triangles - World-space vertices, 9 floats per triangle
+     */
+    constructor(triangles) {
+        this.triangles = triangles;
+        const count = triangles.length / 9;
+
+        this.order = new Uint32Array(count);
+        for (let i = 0; i < count; i++) this.order[i] = i;
+
+        // Per-triangle bounds and centroids, used while building
+        const bounds = new Float32Array(count * 6);
+        const centroids = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const t = i * 9;
+            for (let axis = 0; axis < 3; axis++) {
+                const a = triangles[t + axis];
+                const b = triangles[t + 3 + axis];
+                const c = triangles[t + 6 + axis];
+                bounds[i * 6 + axis] = Math.min(a, b, c);
+                bounds[i * 6 + 3 + axis] = Math.max(a, b, c);
+                centroids[i * 3 + axis] = (a + b + c) / 3;
+            }
+        }
+
+        // Nodes: bounds (6 floats) + [left child or first triangle, right child or triangle count, isLeaf]
+        const maxNodes = Math.max(1, 2 * Math.ceil(count / MAX_LEAF_TRIANGLES) * 2);
+        this.nodeBounds = new Float32Array(maxNodes * 6);
+        this.nodeData = new Uint32Array(maxNodes * 3);
+        this.nodeCount = 0;
+
+        this._build(0, count, bounds, centroids);
+
+        this.nodeBounds = this.nodeBounds.slice(0, this.nodeCount * 6);
+        this.nodeData = this.nodeData.slice(0, this.nodeCount * 3);
+    }
+
+    get triangleCount() {
+        return this.order.length;
+    }
+
+    _build(start, end, bounds, centroids) {
+        const node = this.nodeCount++;
+        if (node * 6 >= this.nodeBounds.length) this._growNodes();
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        let cMinX = Infinity, cMinY = Infinity, cMinZ = Infinity;
+        let cMaxX = -Infinity, cMaxY = -Infinity, cMaxZ = -Infinity;
+
+        for (let i = start; i < end; i++) {
+            const tri = this.order[i];
+            const b = tri * 6;
+            minX = Math.min(minX, bounds[b]); minY = Math.min(minY, bounds[b + 1]); minZ = Math.min(minZ, bounds[b + 2]);
+            maxX = Math.max(maxX, bounds[b + 3]); maxY = Math.max(maxY, bounds[b + 4]); maxZ = Math.max(maxZ, bounds[b + 5]);
+            const c = tri * 3;
+            cMinX = Math.min(cMinX, centroids[c]); cMinY = Math.min(cMinY, centroids[c + 1]); cMinZ = Math.min(cMinZ, centroids[c + 2]);
+            cMaxX = Math.max(cMaxX, centroids[c]); cMaxY = Math.max(cMaxY, centroids[c + 1]); cMaxZ = Math.max(cMaxZ, centroids[c + 2]);
+        }
+
+        const nb = node * 6;
+        this.nodeBounds[nb] = minX; this.nodeBounds[nb + 1] = minY; this.nodeBounds[nb + 2] = minZ;
+        this.nodeBounds[nb + 3] = maxX; this.nodeBounds[nb + 4] = maxY; this.nodeBounds[nb + 5] = maxZ;
+
+        const nd = node * 3;
+        if (end - start <= MAX_LEAF_TRIANGLES) {
+            this.nodeData[nd] = start;
+            this.nodeData[nd + 1] = end - start;
+            this.nodeData[nd + 2] = 1;
+            return node;
+        }
+
+        // Median split along the widest centroid axis
+        const extents = [cMaxX - cMinX, cMaxY - cMinY, cMaxZ - cMinZ];
+        const axis = extents.indexOf(Math.max(...extents));
+        const slice = Array.from(this.order.subarray(start, end));
+        slice.sort((a, b) => centroids[a * 3 + axis] - centroids[b * 3 + axis]);
+        this.order.set(slice, start);
+        const mid = (start + end) >> 1;
+
+        const left = this._build(start, mid, bounds, centroids);
+        const right = this._build(mid, end, bounds, centroids);
+        this.nodeData[nd] = left;
+        this.nodeData[nd + 1] = right;
+        this.nodeData[nd + 2] = 0;
+        return node;
+    }
+
+    _growNodes() {
+        const bounds = new Float32Array(this.nodeBounds.length * 2);
+        bounds.set(this.nodeBounds);
+        this.nodeBounds = bounds;
+        const data = new Uint32Array(this.nodeData.length * 2);
+        data.set(this.nodeData);
+        this.nodeData = data;
+    }
+
+    /**
+     * Call back with the index of every triangle whose bounds overlap the box
+     * @param {{ min: {x, y, z}, max: {x, y, z} }} box - e.g. THREE.Box3
+     * @param {(triangleIndex: number) => void} callback
+     */
+    queryBox(box, callback) {
+        const stack = [0];
+        const nb = this.nodeBounds;
+        const nd = this.nodeData;
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const b = node * 6;
+            if (nb[b] > box.max.x || nb[b + 3] < box.min.x ||
+                nb[b + 1] > box.max.y || nb[b + 4] < box.min.y ||
+                nb[b + 2] > box.max.z || nb[b + 5] < box.min.z) continue;
+
+            const d = node * 3;
+            if (nd[d + 2] === 1) {
+                const first = nd[d];
+                const count = nd[d + 1];
+                for (let i = first; i < first + count; i++) callback(this.order[i]);
+            } else {
+                stack.push(nd[d], nd[d + 1]);
+            }
+        }
+    }
+}
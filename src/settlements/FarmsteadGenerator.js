@@ -0,0 +1,406 @@
+import * as THREE from 'three';
+import { createSeededRandom, hashSeed } from '../vegetation/PoissonDisk.js';
+
+const FARM_PACK = '/assets/pack/Farm buildings';
+
+export const FARM_MODELS = {
+    Barn: `${FARM_PACK}/Barn.glb`,
+    BigBarn: `${FARM_PACK}/BigBarn.glb`,
+    SmallBarn: `${FARM_PACK}/SmallBarn.glb`,
+    OpenBarn: `${FARM_PACK}/OpenBarn.glb`,
+    ChickenCoop: `${FARM_PACK}/ChickenCoop.glb`,
+    Silo: `${FARM_PACK}/Silo.glb`,
+    Silo_House: `${FARM_PACK}/Silo_House.glb`,
+    WaterTower: `${FARM_PACK}/WaterTower.glb`,
+    Windmill: `${FARM_PACK}/Windmill.glb`,
+    TowerWindmill: `${FARM_PACK}/TowerWindmill.glb`,
+    Well: `${FARM_PACK}/Well.glb`,
+    Fence: `${FARM_PACK}/Fence.glb`,
+    Fence2: `${FARM_PACK}/Fence2.glb`,
+};
+
+/**
+ * Farmstead layout template. Distances are world units (1 unit = 10 m); the yard is
+ * centred on the site with its gate on the local +Z side, which is also where the
+ * buildings' doors face.
+ */
+export const DEFAULT_FARMSTEAD_TEMPLATE = {
+    scale: 0.15, // Models are authored in metres
+    yard: { halfWidth: 4, halfDepth: 3.5 },
+    mainBuilding: ['Barn', 'BigBarn'],
+    outbuildings: {
+        models: ['SmallBarn', 'OpenBarn', 'ChickenCoop', 'Silo', 'Silo_House', 'WaterTower', 'Windmill', 'TowerWindmill'],
+        min: 2,
+        max: 4,
+    },
+    well: 'Well',
+    fences: ['Fence', 'Fence2'],
+    fenceOffset: 0.4, // Fence line sits this far outside the yard edge
+    gateWidth: 1.5,
+    spacing: 0.4, // Minimum gap between footprints
+    padMargin: 0.3, // Flattened margin around each footprint
+    padBlend: 1.5, // Distance over which pads ease back into the terrain
+    maxHeightRange: 1.5, // Reject sites whose yard varies more than this
+    meshColliders: ['OpenBarn', 'WaterTower', 'Windmill', 'TowerWindmill'], // Open or on legs; the rest get boxes
+};
+
+/**
+ * FarmsteadGenerator - Finds flat sites and lays out seeded farmsteads from the Farm buildings pack.
+ *
+ * Each building gets a 'flatten' height modifier at the mean terrain height under its footprint,
+ * so it sits on a pad that eases back into the surrounding hills.
+ *
+ * Usage:
+ *   const farms = new FarmsteadGenerator(scene, terrainSystem, assetManager);
+ *   farms.collisionWorld = collisionWorld; // Optional: make buildings and fences solid
+ *   await farms.init();
+ *   for (const site of farms.findSites(0, 0, 150, 2)) farms.generate(site);
+ */
+export class FarmsteadGenerator {
+    constructor(scene, terrainSystem, assetManager, template = DEFAULT_FARMSTEAD_TEMPLATE) {
+        this.scene = scene;
+        this.terrainSystem = terrainSystem;
+        this.assetManager = assetManager;
+        this.template = template;
+
+        this.models = new Map(); // name -> { scene, halfWidth, halfDepth }
+        this.farmsteads = [];
+        this.collisionWorld = null;
+    }
+
+    _getModelNames() {
+        const t = this.template;
+        return [...new Set([...t.mainBuilding, ...t.outbuildings.models, t.well, ...t.fences])];
+    }
+
+    async init() {
+        await Promise.all(this._getModelNames().map(async (name) => {
+            const gltf = await this.assetManager.load(FARM_MODELS[name]);
+            const box = new THREE.Box3().setFromObject(gltf.scene);
+
+            // Symmetric half extents about the model origin (which is where it is placed)
+            const scale = this.template.scale;
+            this.models.set(name, {
+                scene: gltf.scene,
+                halfWidth: Math.max(-box.min.x, box.max.x) * scale,
+                halfDepth: Math.max(-box.min.z, box.max.z) * scale,
+                length: (box.max.x - box.min.x) * scale,
+            });
+        }));
+
+        console.log(`🏚️ Farmstead models loaded (${this.models.size})`);
+        return this;
+    }
+
+    /**
+     * Find flat, well-spaced farm sites around a point
+     * @param {number} centerX
+     * @param {number} centerZ
+     * @param {number} searchRadius
+     * @param {number} count - Maximum number of sites
+     * @returns {Array<{ x: number, z: number, yaw: number, seed: number }>} Best first
+     */
+    findSites(centerX, centerZ, searchRadius, count) {
+        const terrain = this.terrainSystem;
+        const { yard, maxHeightRange } = this.template;
+        const random = createSeededRandom(hashSeed(terrain.NOISE_SEED, Math.round(centerX), Math.round(centerZ)));
+        const reach = Math.hypot(yard.halfWidth, yard.halfDepth) + this.template.padBlend;
+
+        const candidates = [];
+        for (let i = 0; i < count * 24; i++) {
+            const angle = random() * Math.PI * 2;
+            const distance = Math.sqrt(random()) * searchRadius;
+            const x = centerX + Math.cos(angle) * distance;
+            const z = centerZ + Math.sin(angle) * distance;
+            const yaw = random() * Math.PI * 2;
+            const seed = Math.floor(random() * 0xffffffff);
+
+            // Flatness: height range over a grid covering the yard in any orientation
+            let min = Infinity;
+            let max = -Infinity;
+            for (let gz = -2; gz <= 2; gz++) {
+                for (let gx = -2; gx <= 2; gx++) {
+                    const h = terrain.getHeight(x + gx * reach / 2, z + gz * reach / 2);
+                    min = Math.min(min, h);
+                    max = Math.max(max, h);
+                }
+            }
+            const range = max - min;
+            if (range > maxHeightRange) continue;
+
+            // Farms belong in farmland when the terrain has biomes
+            const biome = terrain.getBiomeAt(x, z);
+            const farmland = biome ? (biome.weights.farmland ?? 0) : 1;
+            if (biome && farmland < 0.25) continue;
+
+            candidates.push({ x, z, yaw, seed, score: range - farmland });
+        }
+
+        candidates.sort((a, b) => a.score - b.score);
+
+        const sites = [];
+        const minSpacing = reach * 3;
+        const overlapsExisting = (c) => [...sites, ...this.farmsteads.map(f => f.site)]
+            .some(s => Math.hypot(s.x - c.x, s.z - c.z) < minSpacing);
+
+        for (const candidate of candidates) {
+            if (sites.length >= count) break;
+            if (overlapsExisting(candidate)) continue;
+            const { score, ...site } = candidate;
+            sites.push(site);
+        }
+
+        return sites;
+    }
+
+    /**
+     * Lay out a farmstead on a site, flatten the terrain under it and add it to the scene
+     * @param {{ x: number, z: number, yaw: number, seed: number }} site
+     * @param {Object} [options]
+     * @param {number[]} [options.padHeights] - Saved pad heights per building (restoring a world);
+     *   measured from the terrain otherwise
+     */
+    generate(site, { padHeights } = {}) {
+        const random = createSeededRandom(site.seed);
+        const layout = this._layout(random);
+
+        // World transform of the whole farm
+        const cos = Math.cos(site.yaw);
+        const sin = Math.sin(site.yaw);
+        const toWorld = (lx, lz) => ({ x: site.x + lx * cos + lz * sin, z: site.z - lx * sin + lz * cos });
+
+        // Pads first, so everything placed afterwards reads the flattened heights
+        const terrain = this.terrainSystem;
+        const modifiers = layout.buildings.map((building, i) => {
+            const { x, z } = toWorld(building.x, building.z);
+            const rotation = site.yaw + building.rotation;
+            const halfWidth = building.halfWidth + this.template.padMargin;
+            const halfDepth = building.halfDepth + this.template.padMargin;
+            return {
+                type: 'flatten',
+                x,
+                z,
+                halfWidth,
+                halfDepth,
+                rotation,
+                height: padHeights?.[i] ?? this._averageHeight(x, z, halfWidth, halfDepth, rotation),
+                blend: this.template.padBlend,
+            };
+        });
+        terrain.addHeightModifiers(modifiers);
+
+        const group = new THREE.Group();
+        group.name = 'Farmstead';
+
+        layout.buildings.forEach((building, i) => {
+            const object = this._instantiate(building.model);
+            object.position.set(modifiers[i].x, modifiers[i].height, modifiers[i].z);
+            object.rotation.y = modifiers[i].rotation;
+            group.add(object);
+        });
+
+        for (const fence of layout.fences) {
+            const { x, z } = toWorld(fence.x, fence.z);
+            const object = this._instantiate(fence.model);
+            object.position.set(x, terrain.getHeight(x, z), z);
+            object.rotation.y = site.yaw + fence.rotation;
+            group.add(object);
+        }
+
+        this.scene.add(group);
+
+        const colliders = [];
+        if (this.collisionWorld) {
+            group.updateMatrixWorld(true);
+            for (const object of group.children) {
+                const type = this.template.meshColliders?.includes(object.name) ? 'mesh' : 'box';
+                colliders.push(this.collisionWorld.addObject(object, { type }));
+            }
+        }
+
+        const { halfWidth, halfDepth } = this.template.yard;
+        const { fenceOffset } = this.template;
+        const farmstead = {
+            site,
+            group,
+            modifiers,
+            colliders,
+            buildings: layout.buildings.map((b, i) => ({ model: b.model, modifier: modifiers[i] })),
+            // Yard footprint (fence line included), same shape as a flatten modifier
+            yardZone: {
+                x: site.x,
+                z: site.z,
+                halfWidth: halfWidth + fenceOffset,
+                halfDepth: halfDepth + fenceOffset,
+                rotation: site.yaw,
+            },
+        };
+
+        this.farmsteads.push(farmstead);
+        return farmstead;
+    }
+
+    /**
+     * Seeded local layout: main building at the back, well beside its door,
+     * outbuildings scattered without overlap and a fence ring with a front gate.
+     */
+    _layout(random) {
+        const t = this.template;
+        const { halfWidth: yardW, halfDepth: yardD } = t.yard;
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const buildings = [];
+
+        const footprint = (model, rotation) => {
+            const info = this.models.get(model);
+            const quarterTurn = Math.round(rotation / (Math.PI / 2)) % 2 !== 0;
+            return quarterTurn
+                ? { halfWidth: info.halfDepth, halfDepth: info.halfWidth }
+                : { halfWidth: info.halfWidth, halfDepth: info.halfDepth };
+        };
+
+        const overlaps = (candidate) => buildings.some(b =>
+            Math.abs(b.x - candidate.x) < b.halfWidth + candidate.halfWidth + t.spacing &&
+            Math.abs(b.z - candidate.z) < b.halfDepth + candidate.halfDepth + t.spacing
+        );
+
+        // Main building against the back of the yard, door facing the gate
+        const mainModel = pick(t.mainBuilding);
+        const mainSize = footprint(mainModel, 0);
+        const main = {
+            model: mainModel,
+            rotation: 0,
+            x: (random() - 0.5) * (yardW - mainSize.halfWidth),
+            z: -yardD + mainSize.halfDepth,
+            ...mainSize,
+        };
+        buildings.push(main);
+
+        // Well just in front of the main building, to one side of its door
+        const wellSize = footprint(t.well, 0);
+        const wellSide = random() < 0.5 ? -1 : 1;
+        buildings.push({
+            model: t.well,
+            rotation: 0,
+            x: main.x + wellSide * (main.halfWidth * 0.6),
+            z: main.z + main.halfDepth + t.spacing + wellSize.halfDepth,
+            ...wellSize,
+        });
+
+        // Outbuildings anywhere free, keeping the gate lane clear
+        const outbuildingCount = t.outbuildings.min + Math.floor(random() * (t.outbuildings.max - t.outbuildings.min + 1));
+        for (let i = 0; i < outbuildingCount; i++) {
+            const model = pick(t.outbuildings.models);
+            for (let attempt = 0; attempt < 30; attempt++) {
+                const rotation = Math.floor(random() * 4) * (Math.PI / 2);
+                const size = footprint(model, rotation);
+                const candidate = {
+                    model,
+                    rotation,
+                    x: (random() * 2 - 1) * (yardW - size.halfWidth),
+                    z: (random() * 2 - 1) * (yardD - size.halfDepth),
+                    ...size,
+                };
+
+                const inGateLane = Math.abs(candidate.x) < t.gateWidth / 2 + candidate.halfWidth &&
+                    candidate.z > main.z + main.halfDepth;
+                if (inGateLane || overlaps(candidate)) continue;
+
+                buildings.push(candidate);
+                break;
+            }
+        }
+
+        return { buildings, fences: this._layoutFences(random) };
+    }
+
+    _layoutFences(random) {
+        const t = this.template;
+        const halfW = t.yard.halfWidth + t.fenceOffset;
+        const halfD = t.yard.halfDepth + t.fenceOffset;
+        const model = t.fences[Math.floor(random() * t.fences.length)];
+        const length = this.models.get(model).length;
+        const fences = [];
+
+        // [start, end] of each side in local coords, walked so segments tile end to end
+        const sides = [
+            [[-halfW, -halfD], [halfW, -halfD]],
+            [[halfW, -halfD], [halfW, halfD]],
+            [[halfW, halfD], [-halfW, halfD]],
+            [[-halfW, halfD], [-halfW, -halfD]],
+        ];
+
+        sides.forEach(([[x0, z0], [x1, z1]], sideIndex) => {
+            const sideLength = Math.hypot(x1 - x0, z1 - z0);
+            const segments = Math.max(1, Math.round(sideLength / length));
+            const rotation = Math.atan2(-(z1 - z0), x1 - x0);
+
+            for (let i = 0; i < segments; i++) {
+                const t0 = (i + 0.5) / segments;
+                const x = x0 + (x1 - x0) * t0;
+                const z = z0 + (z1 - z0) * t0;
+
+                // Front side (+Z) leaves a gap for the gate
+                if (sideIndex === 2 && Math.abs(x) < t.gateWidth / 2) continue;
+
+                fences.push({ model, x, z, rotation });
+            }
+        });
+
+        return fences;
+    }
+
+    _averageHeight(x, z, halfWidth, halfDepth, rotation) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        let total = 0;
+        let samples = 0;
+
+        for (let gz = -1; gz <= 1; gz++) {
+            for (let gx = -1; gx <= 1; gx++) {
+                const lx = gx * halfWidth;
+                const lz = gz * halfDepth;
+                total += this.terrainSystem.getHeight(x + lx * cos + lz * sin, z - lx * sin + lz * cos);
+                samples++;
+            }
+        }
+
+        return total / samples;
+    }
+
+    _instantiate(name) {
+        // clone() shares geometry and materials with the cached asset
+        const object = this.models.get(name).scene.clone();
+        object.name = name;
+        object.scale.setScalar(this.template.scale);
+        object.traverse((child) => {
+            if (child.isMesh) child.castShadow = child.receiveShadow = true;
+        });
+        return object;
+    }
+
+    /**
+     * Remove a farmstead and restore the terrain under it
+     */
+    remove(farmstead) {
+        const index = this.farmsteads.indexOf(farmstead);
+        if (index === -1) return;
+
+        this.farmsteads.splice(index, 1);
+        this.scene.remove(farmstead.group);
+        this.terrainSystem.removeHeightModifiers(farmstead.modifiers);
+        for (const collider of farmstead.colliders) {
+            this.collisionWorld?.remove(collider);
+        }
+    }
+
+    dispose() {
+        for (const farmstead of [...this.farmsteads]) {
+            this.remove(farmstead);
+        }
+
+        for (const name of this.models.keys()) {
+            this.assetManager.release(FARM_MODELS[name]);
+        }
+        this.models.clear();
+    }
+}
@@ -0,0 +1,206 @@
+import { Noise } from './Noise.js';
+import { compileNoiseGraph } from './NoiseGraph.js';
+
+/**
+ * BiomeMap - Temperature/moisture climate fields that classify the world into biomes.
+ *
+ * Each biome sits at a point in (temperature, moisture) space. A sample's weights come from
+ * its distance to those points: the nearest biome dominates and anything within `blendWidth`
+ * of the nearest distance fades in, so borders blend while biome interiors stay pure.
+ *
+ * Like ChunkGenerator this is DOM- and THREE-free and built from a serializable config so
+ * terrain workers can construct an identical copy.
+ */
+
+export const DEFAULT_BIOME_CONFIG = {
+    temperatureFrequency: 0.0025,
+    moistureFrequency: 0.003,
+    blendWidth: 0.12,
+    biomes: [
+        {
+            id: 'desert',
+            temperature: 0.85,
+            moisture: 0.15,
+            color: 0xc2a36b,
+            height: {
+                scale: 0.4,
+                offset: -1,
+                // Low dunes
+                graph: { type: 'scale', scale: 1.5, source: { type: 'ridged', basis: 'simplex', frequency: 0.04, octaves: 2 } },
+            },
+        },
+        {
+            id: 'forest',
+            temperature: 0.5,
+            moisture: 0.8,
+            color: 0x3a5a40,
+            height: { scale: 1.2, offset: 1 },
+        },
+        {
+            id: 'snow',
+            temperature: 0.1,
+            moisture: 0.5,
+            color: 0xe8eef2,
+            height: {
+                scale: 1.5,
+                offset: 6,
+                graph: { type: 'scale', scale: 14, source: { type: 'ridged', basis: 'simplex', frequency: 0.01, octaves: 4, seed: 5 } },
+            },
+        },
+        {
+            id: 'farmland',
+            temperature: 0.6,
+            moisture: 0.45,
+            color: 0x7a9a3a,
+            height: { scale: 0.3, offset: 0 },
+        },
+    ],
+};
+
+export class BiomeMap {
+    /**
+     * @param {Object} config - See DEFAULT_BIOME_CONFIG
+     * @param {number} seed - World seed (climate fields use fixed offsets from it)
+     */
+    constructor(config, seed) {
+        if (!config.biomes || config.biomes.length === 0) {
+            throw new Error('BiomeMap: config.biomes must contain at least one biome');
+        }
+
+        this.biomes = config.biomes;
+        this.blendWidth = config.blendWidth ?? 0.1;
+        this.temperatureFrequency = config.temperatureFrequency ?? 0.0025;
+        this.moistureFrequency = config.moistureFrequency ?? 0.003;
+
+        this.temperatureNoise = new Noise(seed + 101);
+        this.moistureNoise = new Noise(seed + 202);
+
+        // Per-biome height modifiers and linear-space surface colours
+        this.heightGraphs = this.biomes.map(b => (b.height?.graph ? compileNoiseGraph(b.height.graph, seed) : null));
+        this.colors = this.biomes.map(b => hexToLinear(b.color ?? 0x808080));
+
+        // Last sample cache: chunk generation asks for height and colour at the same point back to back
+        this.weights = new Float64Array(this.biomes.length);
+        this._lastX = NaN;
+        this._lastZ = NaN;
+        this.temperature = 0;
+        this.moisture = 0;
+    }
+
+    /**
+     * Fill this.weights / this.temperature / this.moisture for (x, z)
+     */
+    sample(x, z) {
+        if (x === this._lastX && z === this._lastZ) return this.weights;
+        this._lastX = x;
+        this._lastZ = z;
+
+        this.temperature = toUnit(this._fbm(this.temperatureNoise, x, z, this.temperatureFrequency));
+        this.moisture = toUnit(this._fbm(this.moistureNoise, x, z, this.moistureFrequency));
+
+        const weights = this.weights;
+        let nearest = Infinity;
+        for (let i = 0; i < this.biomes.length; i++) {
+            const dt = this.temperature - this.biomes[i].temperature;
+            const dm = this.moisture - this.biomes[i].moisture;
+            weights[i] = Math.sqrt(dt * dt + dm * dm);
+            nearest = Math.min(nearest, weights[i]);
+        }
+
+        let total = 0;
+        for (let i = 0; i < weights.length; i++) {
+            const t = Math.max(0, 1 - (weights[i] - nearest) / this.blendWidth);
+            weights[i] = t * t * (3 - 2 * t);
+            total += weights[i];
+        }
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] /= total;
+        }
+
+        return weights;
+    }
+
+    /**
+     * Blend the per-biome height modifiers over a base height
+     */
+    applyHeight(x, z, baseHeight) {
+        const weights = this.sample(x, z);
+        let height = 0;
+
+        for (let i = 0; i < weights.length; i++) {
+            if (weights[i] === 0) continue;
+            const modifier = this.biomes[i].height || {};
+            let h = baseHeight * (modifier.scale ?? 1) + (modifier.offset ?? 0);
+            if (this.heightGraphs[i]) h += this.heightGraphs[i](x, z);
+            height += h * weights[i];
+        }
+
+        return height;
+    }
+
+    /**
+     * Blended linear-space surface colour
+     * @param {Float32Array|number[]} out - Receives r, g, b at out[offset..offset+2]
+     */
+    getColor(x, z, out, offset = 0) {
+        const weights = this.sample(x, z);
+        let r = 0, g = 0, b = 0;
+
+        for (let i = 0; i < weights.length; i++) {
+            const w = weights[i];
+            if (w === 0) continue;
+            r += this.colors[i][0] * w;
+            g += this.colors[i][1] * w;
+            b += this.colors[i][2] * w;
+        }
+
+        out[offset] = r;
+        out[offset + 1] = g;
+        out[offset + 2] = b;
+    }
+
+    /**
+     * Query the biome at a world position (allocates - not for per-vertex use)
+     * @returns {{ biome: string, temperature: number, moisture: number, weights: Object<string, number> }}
+     */
+    getBiomeAt(x, z) {
+        const weights = this.sample(x, z);
+        const result = { biome: null, temperature: this.temperature, moisture: this.moisture, weights: {} };
+
+        let best = -1;
+        for (let i = 0; i < weights.length; i++) {
+            result.weights[this.biomes[i].id] = weights[i];
+            if (weights[i] > best) {
+                best = weights[i];
+                result.biome = this.biomes[i].id;
+            }
+        }
+
+        return result;
+    }
+
+    _fbm(noise, x, z, frequency) {
+        let total = 0;
+        let amplitude = 1;
+        let maxValue = 0;
+        for (let i = 0; i < 3; i++) {
+            total += noise.simplex2(x * frequency, z * frequency) * amplitude;
+            maxValue += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+        return total / maxValue;
+    }
+}
+
+// Climate fbm sits mostly in -0.65..0.65; stretch it over 0..1
+function toUnit(n) {
+    return Math.max(0, Math.min(1, n * 0.75 + 0.5));
+}
+
+function hexToLinear(hex) {
+    return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255].map(c => {
+        const s = c / 255;
+        return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+}
@@ -0,0 +1,196 @@
+import { compileNoiseGraph, DEFAULT_HEIGHT_GRAPH } from './NoiseGraph.js';
+import { BiomeMap } from './BiomeMap.js';
+import { applyHeightModifiers } from './HeightModifiers.js';
+import { createHeightmapSource } from './Heightmap.js';
+
+/**
+ * Chunk generation shared by TerrainSystem (main thread) and terrain.worker.js.
+ * Everything in here must stay DOM- and THREE-free so it can run inside a worker.
+ */
+
+/**
+ * Build the terrain sampler described by a serializable generator config.
+ * @param {{ seed: number, heightGraph?: Object, biomes?: Object, heightmap?: Object, heightModifiers?: Object[] }} config
+ *   heightGraph defaults to DEFAULT_HEIGHT_GRAPH; biomes is a BiomeMap config or null;
+ *   heightmap is a heightmap source (see createHeightmapSource) that replaces the noise and biome
+ *   heights, or is added on top of them with `blend: 'add'`; heightModifiers are applied last
+ *   (see HeightModifiers.js)
+ * @returns {{ getHeight: (x: number, z: number) => number, getColor: Function|null, biomeMap: BiomeMap|null }}
+ */
+export function createTerrainSampler(config) {
+    const noiseHeight = compileNoiseGraph(config.heightGraph || DEFAULT_HEIGHT_GRAPH, config.seed);
+    const biomeMap = config.biomes ? new BiomeMap(config.biomes, config.seed) : null;
+
+    let baseHeight = biomeMap
+        ? (x, z) => biomeMap.applyHeight(x, z, noiseHeight(x, z))
+        : noiseHeight;
+
+    if (config.heightmap) {
+        const heightmapHeight = createHeightmapSource(config.heightmap);
+        if (config.heightmap.blend === 'add') {
+            const generatedHeight = baseHeight;
+            baseHeight = (x, z) => generatedHeight(x, z) + heightmapHeight(x, z);
+        } else {
+            baseHeight = heightmapHeight;
+        }
+    }
+
+    if (!biomeMap) {
+        return { getHeight: applyHeightModifiers(baseHeight, config.heightModifiers), getColor: null, biomeMap: null };
+    }
+
+    return {
+        getHeight: applyHeightModifiers(baseHeight, config.heightModifiers),
+        getColor: (x, z, out, offset) => biomeMap.getColor(x, z, out, offset),
+        biomeMap,
+    };
+}
+
+/**
+ * Vertex/index counts generateChunkData() produces, for sizing BatchedMesh reservations
+ */
+export function getChunkBufferSizes(segments, withSkirts = true) {
+    const width = segments + 1;
+    return {
+        vertexCount: width * width + (withSkirts ? width * 4 : 0),
+        indexCount: segments * segments * 6 + (withSkirts ? segments * 4 * 6 : 0),
+    };
+}
+
+/**
+ * Generate positions/normals/uvs/indices (and colors when the sampler has getColor) for one chunk.
+ * @param {{ getHeight: Function, getColor?: Function|null }} sampler - World-space terrain sampler
+ * @param {number} x - Chunk centre X
+ * @param {number} z - Chunk centre Z
+ * @param {number} size - Chunk edge length
+ * @param {number} segments - Grid resolution per edge
+ * @param {number} [skirtDepth=0] - Depth of the edge skirts that hide cracks between LOD levels (0 = none)
+ */
+export function generateChunkData(sampler, x, z, size, segments, skirtDepth = 0) {
+    const { getHeight, getColor } = sampler;
+    const width = segments + 1;
+    const gridVertexCount = width * width;
+    const skirtVertexCount = skirtDepth > 0 ? width * 4 : 0;
+    const vertexCount = gridVertexCount + skirtVertexCount;
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const colors = getColor ? new Float32Array(vertexCount * 3) : null;
+
+    const step = size / segments;
+    const halfSize = size / 2;
+
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+
+    let idx = 0;
+    for (let iz = 0; iz <= segments; iz++) {
+        for (let ix = 0; ix <= segments; ix++) {
+            const localX = ix * step - halfSize;
+            const localZ = iz * step - halfSize;
+            const worldX = localX + x;
+            const worldZ = localZ + z;
+
+            const height = getHeight(worldX, worldZ);
+
+            positions[idx] = localX;
+            positions[idx + 1] = height;
+            positions[idx + 2] = localZ;
+
+            if (colors) getColor(worldX, worldZ, colors, idx);
+
+            const uvIdx = (iz * width + ix) * 2;
+            uvs[uvIdx] = ix / segments;
+            uvs[uvIdx + 1] = iz / segments;
+
+            minHeight = Math.min(minHeight, height);
+            maxHeight = Math.max(maxHeight, height);
+            idx += 3;
+        }
+    }
+
+    // Compute Normals (border samples come from the height function so neighbours shade seamlessly)
+    const gridHeight = (gx, gz) => {
+        if (gx < 0 || gx > segments || gz < 0 || gz > segments) {
+            return getHeight(gx * step - halfSize + x, gz * step - halfSize + z);
+        }
+        return positions[(gz * width + gx) * 3 + 1];
+    };
+    for (let iz = 0; iz <= segments; iz++) {
+        for (let ix = 0; ix <= segments; ix++) {
+            const nIdx = (iz * width + ix) * 3;
+            const hL = gridHeight(ix - 1, iz);
+            const hR = gridHeight(ix + 1, iz);
+            const hD = gridHeight(ix, iz - 1);
+            const hU = gridHeight(ix, iz + 1);
+            const nx = (hL - hR) / (2 * step);
+            const nz = (hD - hU) / (2 * step);
+            const ny = 1.0;
+            const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            normals[nIdx] = nx / len;
+            normals[nIdx + 1] = ny / len;
+            normals[nIdx + 2] = nz / len;
+        }
+    }
+
+    // Generate Indices
+    const skirtIndexCount = skirtDepth > 0 ? segments * 4 * 6 : 0;
+    const indexCount = segments * segments * 6 + skirtIndexCount;
+    const indices = new Uint32Array(indexCount);
+    let iIdx = 0;
+    for (let iz = 0; iz < segments; iz++) {
+        for (let ix = 0; ix < segments; ix++) {
+            const a = iz * width + ix;
+            const b = iz * width + ix + 1;
+            const c = (iz + 1) * width + ix;
+            const d = (iz + 1) * width + ix + 1;
+            indices[iIdx++] = a; indices[iIdx++] = c; indices[iIdx++] = b;
+            indices[iIdx++] = c; indices[iIdx++] = d; indices[iIdx++] = b;
+        }
+    }
+
+    // Skirts: each border edge is duplicated skirtDepth lower and joined with a vertical strip.
+    // Edges are walked so the outside is always on the left, which keeps the strips front-facing.
+    if (skirtDepth > 0) {
+        const edges = [
+            (i) => i,                                   // North (iz = 0, +x)
+            (i) => i * width + segments,                // East  (ix = segments, +z)
+            (i) => segments * width + (segments - i),   // South (iz = segments, -x)
+            (i) => (segments - i) * width,              // West  (ix = 0, -z)
+        ];
+
+        let skirtVertex = gridVertexCount;
+        for (const edgeVertex of edges) {
+            const skirtStart = skirtVertex;
+
+            for (let i = 0; i <= segments; i++) {
+                const src = edgeVertex(i);
+                positions[skirtVertex * 3] = positions[src * 3];
+                positions[skirtVertex * 3 + 1] = positions[src * 3 + 1] - skirtDepth;
+                positions[skirtVertex * 3 + 2] = positions[src * 3 + 2];
+                normals[skirtVertex * 3] = normals[src * 3];
+                normals[skirtVertex * 3 + 1] = normals[src * 3 + 1];
+                normals[skirtVertex * 3 + 2] = normals[src * 3 + 2];
+                uvs[skirtVertex * 2] = uvs[src * 2];
+                uvs[skirtVertex * 2 + 1] = uvs[src * 2 + 1];
+                if (colors) {
+                    colors[skirtVertex * 3] = colors[src * 3];
+                    colors[skirtVertex * 3 + 1] = colors[src * 3 + 1];
+                    colors[skirtVertex * 3 + 2] = colors[src * 3 + 2];
+                }
+                skirtVertex++;
+            }
+
+            for (let i = 0; i < segments; i++) {
+                const e0 = edgeVertex(i);
+                const e1 = edgeVertex(i + 1);
+                const s0 = skirtStart + i;
+                const s1 = skirtStart + i + 1;
+                indices[iIdx++] = e0; indices[iIdx++] = e1; indices[iIdx++] = s0;
+                indices[iIdx++] = e1; indices[iIdx++] = s1; indices[iIdx++] = s0;
+            }
+        }
+    }
+
+    return { positions, normals, uvs, colors, indices, minHeight, maxHeight };
+}
@@ -0,0 +1,129 @@
+/**
+ * HeightDeltaLayer - Sparse grid of height offsets added on top of the generated terrain.
+ *
+ * Deltas live at the corners of a regular grid (`cellSize` apart) and are stored in square
+ * tiles of `tileSize` x `tileSize` samples that are only allocated once something is sculpted
+ * there. sample() interpolates bilinearly, so an empty layer costs one size check.
+ *
+ * DOM- and THREE-free: terrain workers keep a mirror that is patched with setTiles().
+ */
+export class HeightDeltaLayer {
+    constructor(cellSize = 0.5, tileSize = 32) {
+        this.cellSize = cellSize;
+        this.tileSize = tileSize;
+        this.tiles = new Map(); // numeric tile key -> Float32Array(tileSize * tileSize)
+    }
+
+    static tileKey(tx, tz) {
+        return (tx + 32768) * 65536 + (tz + 32768);
+    }
+
+    get isEmpty() {
+        return this.tiles.size === 0;
+    }
+
+    /**
+     * Delta stored at grid sample (ix, iz)
+     */
+    getCell(ix, iz) {
+        const size = this.tileSize;
+        const tx = Math.floor(ix / size);
+        const tz = Math.floor(iz / size);
+        const tile = this.tiles.get(HeightDeltaLayer.tileKey(tx, tz));
+        if (!tile) return 0;
+        return tile[(iz - tz * size) * size + (ix - tx * size)];
+    }
+
+    /**
+     * Set the delta at grid sample (ix, iz), allocating its tile if needed
+     * @returns {number} Key of the tile that changed
+     */
+    setCell(ix, iz, value) {
+        const size = this.tileSize;
+        const tx = Math.floor(ix / size);
+        const tz = Math.floor(iz / size);
+        const key = HeightDeltaLayer.tileKey(tx, tz);
+
+        let tile = this.tiles.get(key);
+        if (!tile) {
+            if (value === 0) return key;
+            tile = new Float32Array(size * size);
+            this.tiles.set(key, tile);
+        }
+
+        tile[(iz - tz * size) * size + (ix - tx * size)] = value;
+        return key;
+    }
+
+    /**
+     * Bilinearly interpolated delta at a world position
+     */
+    sample(x, z) {
+        if (this.tiles.size === 0) return 0;
+
+        const fx = x / this.cellSize;
+        const fz = z / this.cellSize;
+        const ix = Math.floor(fx);
+        const iz = Math.floor(fz);
+        const tx = fx - ix;
+        const tz = fz - iz;
+
+        const h00 = this.getCell(ix, iz);
+        const h10 = this.getCell(ix + 1, iz);
+        const h01 = this.getCell(ix, iz + 1);
+        const h11 = this.getCell(ix + 1, iz + 1);
+
+        const top = h00 + (h10 - h00) * tx;
+        const bottom = h01 + (h11 - h01) * tx;
+        return top + (bottom - top) * tz;
+    }
+
+    /**
+     * Copies of the given tiles, for sending to workers
+     * @param {Iterable<number>} keys
+     * @returns {Array<[number, Float32Array]>}
+     */
+    getTiles(keys) {
+        const entries = [];
+        for (const key of keys) {
+            const tile = this.tiles.get(key);
+            if (tile) entries.push([key, tile.slice()]);
+        }
+        return entries;
+    }
+
+    /**
+     * Replace tiles wholesale (worker mirror / deserialization)
+     * @param {Array<[number, Float32Array]>} entries
+     */
+    setTiles(entries) {
+        for (const [key, data] of entries) {
+            this.tiles.set(key, data);
+        }
+    }
+
+    clear() {
+        this.tiles.clear();
+    }
+
+    /**
+     * Plain-object form for saving
+     */
+    serialize() {
+        const tiles = [];
+        for (const [key, data] of this.tiles) {
+            const tx = Math.floor(key / 65536) - 32768;
+            const tz = (key % 65536) - 32768;
+            tiles.push({ tx, tz, data: Array.from(data) });
+        }
+        return { cellSize: this.cellSize, tileSize: this.tileSize, tiles };
+    }
+
+    static deserialize(json) {
+        const layer = new HeightDeltaLayer(json.cellSize, json.tileSize);
+        for (const { tx, tz, data } of json.tiles) {
+            layer.tiles.set(HeightDeltaLayer.tileKey(tx, tz), Float32Array.from(data));
+        }
+        return layer;
+    }
+}
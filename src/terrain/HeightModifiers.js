@@ -0,0 +1,80 @@
+/**
+ * Height modifiers - serializable local edits layered over the generated height.
+ *
+ * Like ChunkGenerator this is DOM- and THREE-free so terrain workers can apply the
+ * same modifiers to the chunks they build.
+ *
+ * Supported modifiers:
+ *   { type: 'flatten', x, z, halfWidth, halfDepth, rotation, height, blend }
+ *     Rotated rectangle pinned to `height`, easing back to the natural terrain over `blend` units.
+ */
+
+/**
+ * World-space AABB a modifier can affect
+ * @returns {{ minX: number, minZ: number, maxX: number, maxZ: number }}
+ */
+export function getModifierBounds(modifier) {
+    switch (modifier.type) {
+        case 'flatten': {
+            // Radius of the rotated rectangle's corners, plus the blend ring
+            const reach = Math.hypot(modifier.halfWidth, modifier.halfDepth) + (modifier.blend ?? 0);
+            return {
+                minX: modifier.x - reach,
+                minZ: modifier.z - reach,
+                maxX: modifier.x + reach,
+                maxZ: modifier.z + reach,
+            };
+        }
+        default:
+            throw new Error(`HeightModifiers: unknown modifier type "${modifier.type}"`);
+    }
+}
+
+/**
+ * Distance from (x, z) to the modifier's core shape (0 inside)
+ */
+export function getModifierDistance(modifier, x, z) {
+    const dx = x - modifier.x;
+    const dz = z - modifier.z;
+    const cos = Math.cos(modifier.rotation ?? 0);
+    const sin = Math.sin(modifier.rotation ?? 0);
+
+    // Into the rectangle's local frame
+    const localX = dx * cos - dz * sin;
+    const localZ = dx * sin + dz * cos;
+
+    const outX = Math.max(0, Math.abs(localX) - modifier.halfWidth);
+    const outZ = Math.max(0, Math.abs(localZ) - modifier.halfDepth);
+    return Math.sqrt(outX * outX + outZ * outZ);
+}
+
+/**
+ * Wrap a height function so the modifiers are applied in order
+ * @param {(x: number, z: number) => number} getHeight
+ * @param {Object[]} modifiers
+ */
+export function applyHeightModifiers(getHeight, modifiers) {
+    if (!modifiers || modifiers.length === 0) return getHeight;
+
+    const entries = modifiers.map(modifier => ({ modifier, bounds: getModifierBounds(modifier) }));
+
+    return (x, z) => {
+        let height = getHeight(x, z);
+
+        for (const { modifier, bounds } of entries) {
+            if (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ) continue;
+
+            const distance = getModifierDistance(modifier, x, z);
+            const blend = modifier.blend ?? 0;
+            if (distance === 0) {
+                height = modifier.height;
+            } else if (distance < blend) {
+                let t = distance / blend;
+                t = t * t * (3 - 2 * t);
+                height = modifier.height + (height - modifier.height) * t;
+            }
+        }
+
+        return height;
+    };
+}
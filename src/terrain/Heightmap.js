@@ -0,0 +1,152 @@
+/**
+ * Heightmap - A grid of height samples that can drive TerrainSystem instead of (or on top of)
+ * the noise graph.
+ *
+ * Samples are stored row-major (z rows of x samples) in a Float32Array. Imported 16-bit PNG and
+ * uint16 raw files are normalised to 0..1, float32 raw files keep their values; a heightmap
+ * source config scales them into world units (see createHeightmapSource).
+ *
+ * DOM- and THREE-free so terrain workers can sample it.
+ */
+export class Heightmap {
+    /**
+     * @param {number} width - Samples along X
+     * @param {number} height - Samples along Z
+     * @param {Float32Array} [data]
+     */
+    constructor(width, height, data = new Float32Array(width * height)) {
+        if (data.length !== width * height) {
+            throw new Error(`Heightmap: expected ${width * height} samples, got ${data.length}`);
+        }
+        this.width = width;
+        this.height = height;
+        this.data = data;
+    }
+
+    /**
+     * Sample at integer coordinates, clamped or wrapped at the edges
+     * @param {'clamp'|'repeat'} [wrap='clamp']
+     */
+    get(ix, iz, wrap = 'clamp') {
+        const w = this.width;
+        const h = this.height;
+        if (wrap === 'repeat') {
+            ix = ((ix % w) + w) % w;
+            iz = ((iz % h) + h) % h;
+        } else {
+            ix = ix < 0 ? 0 : (ix >= w ? w - 1 : ix);
+            iz = iz < 0 ? 0 : (iz >= h ? h - 1 : iz);
+        }
+        return this.data[iz * w + ix];
+    }
+
+    /**
+     * Interpolated sample at fractional pixel coordinates
+     * @param {number} px - 0 is the first column, width - 1 the last
+     * @param {number} pz
+     * @param {'bilinear'|'bicubic'} [filter='bilinear']
+     * @param {'clamp'|'repeat'} [wrap='clamp']
+     */
+    sample(px, pz, filter = 'bilinear', wrap = 'clamp') {
+        const ix = Math.floor(px);
+        const iz = Math.floor(pz);
+        const tx = px - ix;
+        const tz = pz - iz;
+
+        if (filter === 'bicubic') {
+            const r0 = catmullRom(this.get(ix - 1, iz - 1, wrap), this.get(ix, iz - 1, wrap), this.get(ix + 1, iz - 1, wrap), this.get(ix + 2, iz - 1, wrap), tx);
+            const r1 = catmullRom(this.get(ix - 1, iz, wrap), this.get(ix, iz, wrap), this.get(ix + 1, iz, wrap), this.get(ix + 2, iz, wrap), tx);
+            const r2 = catmullRom(this.get(ix - 1, iz + 1, wrap), this.get(ix, iz + 1, wrap), this.get(ix + 1, iz + 1, wrap), this.get(ix + 2, iz + 1, wrap), tx);
+            const r3 = catmullRom(this.get(ix - 1, iz + 2, wrap), this.get(ix, iz + 2, wrap), this.get(ix + 1, iz + 2, wrap), this.get(ix + 2, iz + 2, wrap), tx);
+            return catmullRom(r0, r1, r2, r3, tz);
+        }
+
+        const h00 = this.get(ix, iz, wrap);
+        const h10 = this.get(ix + 1, iz, wrap);
+        const h01 = this.get(ix, iz + 1, wrap);
+        const h11 = this.get(ix + 1, iz + 1, wrap);
+        const top = h00 + (h10 - h00) * tx;
+        const bottom = h01 + (h11 - h01) * tx;
+        return top + (bottom - top) * tz;
+    }
+
+    /**
+     * @returns {{ min: number, max: number }}
+     */
+    getRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < this.data.length; i++) {
+            const v = this.data[i];
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        return { min, max };
+    }
+
+    /**
+     * Sample a height function over a square-celled grid (used to export generated/sculpted terrain)
+     * @param {(x: number, z: number) => number} getHeight
+     * @param {Object} region
+     * @param {number} region.minX - World X of the first column
+     * @param {number} region.minZ - World Z of the first row
+     * @param {number} region.width - Samples along X
+     * @param {number} region.height - Samples along Z
+     * @param {number} region.cellSize - World units between samples
+     */
+    static fromFunction(getHeight, { minX, minZ, width, height, cellSize }) {
+        const map = new Heightmap(width, height);
+        for (let iz = 0; iz < height; iz++) {
+            const z = minZ + iz * cellSize;
+            for (let ix = 0; ix < width; ix++) {
+                map.data[iz * width + ix] = getHeight(minX + ix * cellSize, z);
+            }
+        }
+        return map;
+    }
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * (
+        2 * p1 +
+        (p2 - p0) * t +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+        (3 * p1 - p0 - 3 * p2 + p3) * t3
+    );
+}
+
+/**
+ * Build a world-space height function from a heightmap source config.
+ * The heightmap may be a Heightmap or its structured-clone ({ width, height, data }) after
+ * crossing into a worker.
+ * @param {Object} source
+ * @param {{ width: number, height: number, data: Float32Array }} source.heightmap
+ * @param {number} [source.worldScale=1] - World units between samples
+ * @param {number} [source.verticalScale=1] - Multiplier from sample value to world height
+ * @param {number} [source.heightOffset=0] - Added after scaling
+ * @param {number} [source.originX] - World X of the first column (default centres the map on 0)
+ * @param {number} [source.originZ] - World Z of the first row (default centres the map on 0)
+ * @param {'bilinear'|'bicubic'} [source.filter='bilinear']
+ * @param {'clamp'|'repeat'} [source.wrap='clamp'] - 'repeat' tiles the map endlessly across chunks
+ * @returns {(x: number, z: number) => number}
+ */
+export function createHeightmapSource(source) {
+    const { width, height, data } = source.heightmap;
+    const map = new Heightmap(width, height, data);
+    const worldScale = source.worldScale ?? 1;
+    const verticalScale = source.verticalScale ?? 1;
+    const heightOffset = source.heightOffset ?? 0;
+    const originX = source.originX ?? -(width - 1) * worldScale / 2;
+    const originZ = source.originZ ?? -(height - 1) * worldScale / 2;
+    const filter = source.filter || 'bilinear';
+    // A repeating map wraps after `width` samples so the last column blends into the first
+    const wrap = source.wrap || 'clamp';
+
+    return (x, z) => {
+        const px = (x - originX) / worldScale;
+        const pz = (z - originZ) / worldScale;
+        return map.sample(px, pz, filter, wrap) * verticalScale + heightOffset;
+    };
+}
@@ -0,0 +1,279 @@
+import { unzlibSync, zlibSync } from 'three/addons/libs/fflate.module.js';
+import { Heightmap } from './Heightmap.js';
+
+/**
+ * Heightmap file formats: 16-bit grayscale PNG and headerless raw float32/uint16.
+ *
+ * PNG and uint16 values map 0..65535 to 0..1 on import. On export a height range is mapped onto
+ * 0..65535 (the heightmap's own min/max unless given); use verticalScale = max - min and
+ * heightOffset = min in the heightmap source to get the same world heights back.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a non-interlaced 8- or 16-bit PNG into a 0..1 heightmap.
+ * Grayscale is expected; for colour images the red channel is used.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Heightmap}
+ */
+export function decodeHeightmapPNG(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error('decodeHeightmapPNG: not a PNG file');
+    }
+
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    const idat = [];
+    let idatLength = 0;
+
+    let offset = 8;
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+        const data = offset + 8;
+
+        if (type === 'IHDR') {
+            width = view.getUint32(data);
+            height = view.getUint32(data + 4);
+            bitDepth = bytes[data + 8];
+            colorType = bytes[data + 9];
+            interlace = bytes[data + 12];
+        } else if (type === 'IDAT') {
+            idat.push(bytes.subarray(data, data + length));
+            idatLength += length;
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset = data + length + 4; // Skip CRC
+    }
+
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+    if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+        throw new Error(`decodeHeightmapPNG: unsupported PNG (color type ${colorType}, ${bitDepth}-bit)`);
+    }
+    if (interlace !== 0) {
+        throw new Error('decodeHeightmapPNG: interlaced PNGs are not supported');
+    }
+
+    const compressed = new Uint8Array(idatLength);
+    let write = 0;
+    for (const part of idat) {
+        compressed.set(part, write);
+        write += part.length;
+    }
+    const raw = unzlibSync(compressed);
+
+    // Undo the per-scanline filters
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    const pixels = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        const prev = row - stride;
+
+        for (let i = 0; i < stride; i++) {
+            const a = i >= bytesPerPixel ? pixels[row + i - bytesPerPixel] : 0;
+            const b = y > 0 ? pixels[prev + i] : 0;
+            const c = y > 0 && i >= bytesPerPixel ? pixels[prev + i - bytesPerPixel] : 0;
+            let value = raw[src + i];
+            switch (filter) {
+                case 0: break;
+                case 1: value += a; break;
+                case 2: value += b; break;
+                case 3: value += (a + b) >> 1; break;
+                case 4: value += paeth(a, b, c); break;
+                default: throw new Error(`decodeHeightmapPNG: bad filter type ${filter}`);
+            }
+            pixels[row + i] = value;
+        }
+    }
+
+    const map = new Heightmap(width, height);
+    for (let i = 0; i < width * height; i++) {
+        const p = i * bytesPerPixel;
+        map.data[i] = bitDepth === 16
+            ? ((pixels[p] << 8) | pixels[p + 1]) / 65535
+            : pixels[p] / 255;
+    }
+    return map;
+}
+
+/**
+ * Encode a heightmap as a 16-bit grayscale PNG
+ * @param {Heightmap} heightmap
+ * @param {{ min?: number, max?: number }} [range] - Heights mapped to 0 and 65535 (default: data range)
+ * @returns {Uint8Array}
+ */
+export function encodeHeightmapPNG(heightmap, range = {}) {
+    const { width, height } = heightmap;
+    const quantized = quantize(heightmap, range);
+
+    // Each scanline uses the Up filter, which compresses smooth terrain well
+    const stride = width * 2;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const dst = y * (stride + 1);
+        raw[dst] = 2;
+        for (let x = 0; x < width; x++) {
+            const value = quantized[y * width + x];
+            const above = y > 0 ? quantized[(y - 1) * width + x] : 0;
+            raw[dst + 1 + x * 2] = ((value >> 8) - (above >> 8)) & 0xff;
+            raw[dst + 2 + x * 2] = ((value & 0xff) - (above & 0xff)) & 0xff;
+        }
+    }
+
+    const ihdr = new Uint8Array(13);
+    const ihdrView = new DataView(ihdr.buffer);
+    ihdrView.setUint32(0, width);
+    ihdrView.setUint32(4, height);
+    ihdr[8] = 16; // Bit depth
+    ihdr[9] = 0; // Grayscale
+
+    const chunks = [
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlibSync(raw, { level: 6 })),
+        pngChunk('IEND', new Uint8Array(0)),
+    ];
+
+    const out = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    out.set(PNG_SIGNATURE, 0);
+    let offset = 8;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+    return chunk;
+}
+
+function quantize(heightmap, range) {
+    const dataRange = heightmap.getRange();
+    const min = range.min ?? dataRange.min;
+    const max = range.max ?? dataRange.max;
+    const scale = max > min ? 65535 / (max - min) : 0;
+
+    const out = new Uint16Array(heightmap.data.length);
+    for (let i = 0; i < out.length; i++) {
+        const value = Math.round((heightmap.data[i] - min) * scale);
+        out[i] = value < 0 ? 0 : (value > 65535 ? 65535 : value);
+    }
+    return out;
+}
+
+/**
+ * Decode a headerless raw heightmap
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {Object} [options]
+ * @param {number} [options.width] - Defaults to a square map filling the buffer
+ * @param {number} [options.height] - Defaults to width
+ * @param {'float32'|'uint16'} [options.format='uint16']
+ * @param {boolean} [options.littleEndian=true]
+ * @returns {Heightmap}
+ */
+export function decodeHeightmapRaw(buffer, { width, height, format = 'uint16', littleEndian = true } = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const bytesPerSample = format === 'float32' ? 4 : 2;
+    width ??= Math.floor(Math.sqrt(bytes.byteLength / bytesPerSample));
+    height ??= width;
+    const count = width * height;
+
+    if (bytes.byteLength < count * bytesPerSample) {
+        throw new Error(`decodeHeightmapRaw: ${bytes.byteLength} bytes is too small for ${width}x${height} ${format}`);
+    }
+
+    const map = new Heightmap(width, height);
+    for (let i = 0; i < count; i++) {
+        map.data[i] = format === 'float32'
+            ? view.getFloat32(i * 4, littleEndian)
+            : view.getUint16(i * 2, littleEndian) / 65535;
+    }
+    return map;
+}
+
+/**
+ * Encode a heightmap as headerless raw samples
+ * @param {Heightmap} heightmap
+ * @param {Object} [options]
+ * @param {'float32'|'uint16'} [options.format='float32'] - float32 keeps world heights as-is
+ * @param {boolean} [options.littleEndian=true]
+ * @param {number} [options.min] - uint16 only: height mapped to 0 (default: data min)
+ * @param {number} [options.max] - uint16 only: height mapped to 65535 (default: data max)
+ * @returns {Uint8Array}
+ */
+export function encodeHeightmapRaw(heightmap, { format = 'float32', littleEndian = true, min, max } = {}) {
+    const count = heightmap.data.length;
+
+    if (format === 'float32') {
+        const out = new Uint8Array(count * 4);
+        const view = new DataView(out.buffer);
+        for (let i = 0; i < count; i++) view.setFloat32(i * 4, heightmap.data[i], littleEndian);
+        return out;
+    }
+
+    const quantized = quantize(heightmap, { min, max });
+    const out = new Uint8Array(count * 2);
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < count; i++) view.setUint16(i * 2, quantized[i], littleEndian);
+    return out;
+}
+
+/**
+ * Fetch and decode a heightmap file. '.png' is decoded as PNG, anything else as raw.
+ * @param {string} url
+ * @param {Object} [rawOptions] - Passed to decodeHeightmapRaw (format, dimensions of non-square maps)
+ * @returns {Promise<Heightmap>}
+ */
+export async function loadHeightmap(url, rawOptions = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`loadHeightmap: ${response.status} ${response.statusText} for "${url}"`);
+    }
+    const buffer = await response.arrayBuffer();
+
+    if (url.split('?')[0].toLowerCase().endsWith('.png')) {
+        return decodeHeightmapPNG(buffer);
+    }
+    return decodeHeightmapRaw(buffer, rawOptions);
+}
@@ -61,6 +61,86 @@ export class Noise {
         );
     }
 
+    /**
+     * 2D simplex noise (Gustavson), roughly in [-1, 1]
+     */
+    simplex2(x, y) {
+        const F2 = 0.5 * (Math.sqrt(3) - 1);
+        const G2 = (3 - Math.sqrt(3)) / 6;
+
+        // Skew into simplex cell space
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which of the two triangles we are in
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        const corner = (hash, cx, cy) => {
+            const t = 0.5 - cx * cx - cy * cy;
+            if (t < 0) return 0;
+            return t * t * t * t * this.grad(hash, cx, cy, 0);
+        };
+
+        const n0 = corner(this.p[ii + this.p[jj]], x0, y0);
+        const n1 = corner(this.p[ii + i1 + this.p[jj + j1]], x1, y1);
+        const n2 = corner(this.p[ii + 1 + this.p[jj + 1]], x2, y2);
+
+        return 70 * (n0 + n1 + n2);
+    }
+
+    /**
+     * 2D cellular (Worley) noise. Returns distances to the nearest and second-nearest
+     * feature points; the returned array is reused between calls.
+     * @param {number} jitter - 0 = regular grid, 1 = fully random feature points
+     * @returns {Float64Array} [f1, f2]
+     */
+    cellular2(x, y, jitter = 1) {
+        if (!this._cellResult) this._cellResult = new Float64Array(2);
+
+        const cellX = Math.floor(x);
+        const cellY = Math.floor(y);
+        let f1 = Infinity;
+        let f2 = Infinity;
+
+        for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                const cx = cellX + ox;
+                const cy = cellY + oy;
+                const hash = this.p[(this.p[cx & 255] + cy) & 511];
+                const px = cx + 0.5 + (hash / 255 - 0.5) * jitter;
+                const py = cy + 0.5 + (this.p[(hash + 101) & 511] / 255 - 0.5) * jitter;
+
+                const dx = px - x;
+                const dy = py - y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist < f1) {
+                    f2 = f1;
+                    f1 = dist;
+                } else if (dist < f2) {
+                    f2 = dist;
+                }
+            }
+        }
+
+        this._cellResult[0] = f1;
+        this._cellResult[1] = f2;
+        return this._cellResult;
+    }
+
     getNoise(x, y, octaves = 4, persistence = 0.5, scale = 0.01) {
         let total = 0;
         let frequency = scale;
@@ -0,0 +1,277 @@
+import { Noise } from './Noise.js';
+
+/**
+ * NoiseGraph - Compiles a serializable (plain JSON) node tree into a height function.
+ *
+ * Every node is `{ type, ...params }`; combinators reference their inputs inline, so a
+ * graph survives JSON.stringify/parse and postMessage to terrain workers unchanged.
+ *
+ * Generators (output roughly -1..1 unless noted):
+ *   { type: 'constant', value }
+ *   { type: 'fbm', basis: 'perlin'|'simplex', frequency, octaves, persistence, lacunarity, seed }
+ *   { type: 'ridged', basis, frequency, octaves, persistence, lacunarity, offset, gain, seed }   (0..1)
+ *   { type: 'billow', basis, frequency, octaves, persistence, lacunarity, seed }
+ *   { type: 'worley', frequency, jitter, mode: 'f1'|'f2'|'f2-f1', seed }                       (0..~1.5)
+ *
+ * Modifiers / combinators:
+ *   { type: 'warp', source, warp, strength }        - Offset source's sample point by the warp node
+ *   { type: 'add', inputs: [...] }
+ *   { type: 'multiply', inputs: [...] }
+ *   { type: 'scale', source, scale, bias }          - source * scale + bias
+ *   { type: 'clamp', source, min, max }
+ *   { type: 'curve', source, points: [[in, out], ...] } - Piecewise-linear remap
+ *   { type: 'select', a, b, mask, threshold, falloff }  - a below threshold, b above, blended over falloff
+ *
+ * `seed` on generators is an offset added to the graph seed, so layers can decorrelate.
+ */
+
+export const DEFAULT_HEIGHT_GRAPH = {
+    // Broad, gentle rolling hills
+    type: 'scale',
+    scale: 8,
+    source: { type: 'fbm', basis: 'perlin', frequency: 0.02, octaves: 2, persistence: 0.5 },
+};
+
+/**
+ * Example graphs for common landforms. Copy and tweak rather than editing in place.
+ */
+export const HEIGHT_GRAPH_PRESETS = {
+    rollingHills: DEFAULT_HEIGHT_GRAPH,
+
+    mountains: {
+        type: 'add',
+        inputs: [
+            { type: 'scale', scale: 6, source: { type: 'fbm', basis: 'simplex', frequency: 0.015, octaves: 3 } },
+            {
+                type: 'scale',
+                scale: 30,
+                source: {
+                    type: 'warp',
+                    strength: 20,
+                    warp: { type: 'fbm', basis: 'simplex', frequency: 0.01, octaves: 2, seed: 7 },
+                    source: { type: 'ridged', basis: 'simplex', frequency: 0.008, octaves: 5, seed: 3 },
+                },
+            },
+        ],
+    },
+
+    plateaus: {
+        type: 'scale',
+        scale: 20,
+        source: {
+            type: 'curve',
+            source: { type: 'fbm', basis: 'simplex', frequency: 0.01, octaves: 4 },
+            points: [[-1, -0.2], [-0.1, -0.1], [0.05, 0.6], [0.4, 0.65], [0.5, 1], [1, 1.05]],
+        },
+    },
+
+    valleys: {
+        type: 'select',
+        threshold: 0.25,
+        falloff: 0.15,
+        mask: { type: 'worley', frequency: 0.006, mode: 'f2-f1', seed: 11 },
+        a: { type: 'scale', scale: 2, bias: -6, source: { type: 'billow', basis: 'perlin', frequency: 0.03, octaves: 2 } },
+        b: { type: 'scale', scale: 10, bias: 4, source: { type: 'fbm', basis: 'perlin', frequency: 0.02, octaves: 3 } },
+    },
+};
+
+/**
+ * Compile a graph into a `(x, z) => height` function.
+ * @param {Object} graph - Root node
+ * @param {number} seed - Base seed; generator `seed` params are offsets from it
+ * @returns {(x: number, z: number) => number}
+ */
+export function compileNoiseGraph(graph, seed) {
+    const noiseCache = new Map();
+    const getNoise = (offset = 0) => {
+        const key = seed + offset;
+        if (!noiseCache.has(key)) noiseCache.set(key, new Noise(key));
+        return noiseCache.get(key);
+    };
+
+    return compileNode(graph, getNoise);
+}
+
+function compileNode(node, getNoise) {
+    if (!node || typeof node !== 'object') {
+        throw new Error(`NoiseGraph: expected a node object, got ${JSON.stringify(node)}`);
+    }
+
+    switch (node.type) {
+        case 'constant': {
+            const value = node.value ?? 0;
+            return () => value;
+        }
+
+        case 'fbm':
+        case 'ridged':
+        case 'billow':
+            return compileFractal(node, getNoise(node.seed));
+
+        case 'worley': {
+            const noise = getNoise(node.seed);
+            const frequency = node.frequency ?? 0.01;
+            const jitter = node.jitter ?? 1;
+            const mode = node.mode ?? 'f1';
+            return (x, z) => {
+                const [f1, f2] = noise.cellular2(x * frequency, z * frequency, jitter);
+                if (mode === 'f2') return f2;
+                if (mode === 'f2-f1') return f2 - f1;
+                return f1;
+            };
+        }
+
+        case 'warp': {
+            const source = compileNode(node.source, getNoise);
+            const warp = compileNode(node.warp, getNoise);
+            const strength = node.strength ?? 10;
+            return (x, z) => {
+                // Second sample is offset so the X and Z displacements are uncorrelated
+                const dx = warp(x, z) * strength;
+                const dz = warp(x + 31.7, z - 47.3) * strength;
+                return source(x + dx, z + dz);
+            };
+        }
+
+        case 'add': {
+            const inputs = compileInputs(node, getNoise);
+            return (x, z) => {
+                let sum = 0;
+                for (const input of inputs) sum += input(x, z);
+                return sum;
+            };
+        }
+
+        case 'multiply': {
+            const inputs = compileInputs(node, getNoise);
+            return (x, z) => {
+                let product = 1;
+                for (const input of inputs) product *= input(x, z);
+                return product;
+            };
+        }
+
+        case 'scale': {
+            const source = compileNode(node.source, getNoise);
+            const scale = node.scale ?? 1;
+            const bias = node.bias ?? 0;
+            return (x, z) => source(x, z) * scale + bias;
+        }
+
+        case 'clamp': {
+            const source = compileNode(node.source, getNoise);
+            const min = node.min ?? -Infinity;
+            const max = node.max ?? Infinity;
+            return (x, z) => Math.max(min, Math.min(max, source(x, z)));
+        }
+
+        case 'curve': {
+            const source = compileNode(node.source, getNoise);
+            const points = [...(node.points || [])].sort((a, b) => a[0] - b[0]);
+            if (points.length < 2) {
+                throw new Error('NoiseGraph: curve needs at least two points');
+            }
+            return (x, z) => remapCurve(points, source(x, z));
+        }
+
+        case 'select': {
+            const a = compileNode(node.a, getNoise);
+            const b = compileNode(node.b, getNoise);
+            const mask = compileNode(node.mask, getNoise);
+            const threshold = node.threshold ?? 0;
+            const falloff = node.falloff ?? 0;
+            return (x, z) => {
+                const m = mask(x, z);
+                let t;
+                if (falloff <= 0) {
+                    t = m < threshold ? 0 : 1;
+                } else {
+                    t = Math.max(0, Math.min(1, (m - threshold + falloff) / (2 * falloff)));
+                    t = t * t * (3 - 2 * t);
+                }
+                // Skip the branch we don't need (common away from borders)
+                if (t === 0) return a(x, z);
+                if (t === 1) return b(x, z);
+                return a(x, z) + (b(x, z) - a(x, z)) * t;
+            };
+        }
+
+        default:
+            throw new Error(`NoiseGraph: unknown node type "${node.type}"`);
+    }
+}
+
+function compileInputs(node, getNoise) {
+    if (!Array.isArray(node.inputs) || node.inputs.length === 0) {
+        throw new Error(`NoiseGraph: "${node.type}" needs a non-empty inputs array`);
+    }
+    return node.inputs.map(input => compileNode(input, getNoise));
+}
+
+function compileFractal(node, noise) {
+    const basis = node.basis ?? 'perlin';
+    if (basis !== 'perlin' && basis !== 'simplex') {
+        throw new Error(`NoiseGraph: unknown basis "${basis}"`);
+    }
+    const sample = basis === 'simplex'
+        ? (x, z) => noise.simplex2(x, z)
+        : (x, z) => noise.perlin2(x, z);
+
+    const frequency = node.frequency ?? 0.01;
+    const octaves = node.octaves ?? 4;
+    const persistence = node.persistence ?? 0.5;
+    const lacunarity = node.lacunarity ?? 2;
+
+    if (node.type === 'ridged') {
+        const offset = node.offset ?? 1;
+        const gain = node.gain ?? 2;
+        return (x, z) => {
+            let total = 0;
+            let freq = frequency;
+            let amplitude = 1;
+            let maxValue = 0;
+            let weight = 1;
+            for (let i = 0; i < octaves; i++) {
+                let signal = offset - Math.abs(sample(x * freq, z * freq));
+                signal *= signal * weight;
+                weight = Math.max(0, Math.min(1, signal * gain));
+                total += signal * amplitude;
+                maxValue += amplitude;
+                amplitude *= persistence;
+                freq *= lacunarity;
+            }
+            return total / maxValue;
+        };
+    }
+
+    const billow = node.type === 'billow';
+    return (x, z) => {
+        let total = 0;
+        let freq = frequency;
+        let amplitude = 1;
+        let maxValue = 0;
+        for (let i = 0; i < octaves; i++) {
+            const n = sample(x * freq, z * freq);
+            total += (billow ? Math.abs(n) * 2 - 1 : n) * amplitude;
+            maxValue += amplitude;
+            amplitude *= persistence;
+            freq *= lacunarity;
+        }
+        return total / maxValue;
+    };
+}
+
+function remapCurve(points, value) {
+    if (value <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (value <= x1) {
+            const [x0, y0] = points[i - 1];
+            const t = (value - x0) / (x1 - x0 || 1);
+            return y0 + (y1 - y0) * t;
+        }
+    }
+
+    return points[points.length - 1][1];
+}
@@ -6,11 +6,13 @@ export class TerrainChunk {
         this.z = z;
         this.size = size;
         this.lastSegments = -1;
+        this.lodLevel = -1;
         this.instanceId = -1;
         this.lastGeoId = -1;
 
         // Async state tracking
         this.pendingRequestId = null;
+        this.pendingSegments = -1;
         this.isReady = false;
 
         // Bounding box for frustum culling
@@ -32,8 +34,9 @@ export class TerrainChunk {
      * @param {number} minHeight - Minimum height for bounding box
      * @param {number} maxHeight - Maximum height for bounding box
      * @param {number} segments - LOD segments used
+     * @param {Float32Array|null} [colors] - Vertex colors (biome terrain only)
      */
-    applyWorkerData(positions, normals, uvs, indices, minHeight, maxHeight, segments) {
+    applyWorkerData(positions, normals, uvs, indices, minHeight, maxHeight, segments, colors = null) {
         // Dispose old geometry if exists
         if (this.geometry) {
             this.geometry.dispose();
@@ -44,6 +47,9 @@ export class TerrainChunk {
         this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         this.geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
         this.geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        if (colors) {
+            this.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        }
         this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
 
         // Update bounding box with actual heights
@@ -78,5 +84,6 @@ export class TerrainChunk {
         }
         this.isReady = false;
         this.pendingRequestId = null;
+        this.pendingSegments = -1;
     }
 }
@@ -0,0 +1,217 @@
+/**
+ * Terrain mesh export: chunks from a TerrainGenerator as glTF 2.0 (embedded .gltf or binary .glb)
+ * or Wavefront OBJ, for baking terrain for other tools and snapshot tests.
+ *
+ * Each chunk becomes its own mesh/object named chunk_<cx>_<cz>, positioned at its centre, so
+ * regions can be re-tiled or culled elsewhere. Skirts are left out (every chunk has the same
+ * resolution, so there are no LOD cracks to hide). Biome vertex colours are written as COLOR_0
+ * (glTF) or `v x y z r g b` (OBJ) when the generator has biomes.
+ *
+ * DOM- and THREE-free; output is deterministic for a given generator config.
+ */
+
+/**
+ * Generate mesh data for a rectangle of chunks
+ * @param {TerrainGenerator} generator
+ * @param {Object} region - Chunk coordinates, inclusive
+ * @param {number} region.minChunkX
+ * @param {number} region.minChunkZ
+ * @param {number} region.maxChunkX
+ * @param {number} region.maxChunkZ
+ * @param {number} [region.segments=64] - Grid resolution per chunk edge
+ * @returns {Array<{ name: string, cx: number, cz: number, x: number, z: number, data: Object }>}
+ */
+export function buildTerrainRegion(generator, { minChunkX, minChunkZ, maxChunkX, maxChunkZ, segments = 64 }) {
+    const chunks = [];
+    for (let cz = minChunkZ; cz <= maxChunkZ; cz++) {
+        for (let cx = minChunkX; cx <= maxChunkX; cx++) {
+            chunks.push({
+                name: `chunk_${cx}_${cz}`,
+                cx,
+                cz,
+                x: cx * generator.chunkSize,
+                z: cz * generator.chunkSize,
+                data: generator.generateChunk(cx, cz, segments),
+            });
+        }
+    }
+    return chunks;
+}
+
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * glTF JSON plus its single binary buffer
+ * @returns {{ json: Object, binary: Uint8Array }}
+ */
+function buildGLTF(chunks) {
+    const json = {
+        asset: { version: '2.0', generator: 'snapfire-engine terrain export' },
+        scene: 0,
+        scenes: [{ name: 'Terrain', nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [{
+            name: 'Terrain',
+            pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 0.8 },
+        }],
+        accessors: [],
+        bufferViews: [],
+        buffers: [{ byteLength: 0 }],
+    };
+
+    const parts = [];
+    let byteLength = 0;
+
+    const addAccessor = (array, type, target, extra = {}) => {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+        parts.push({ offset: byteLength, bytes });
+        byteLength += align4(bytes.length);
+
+        const componentsPerElement = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+        json.accessors.push({
+            bufferView: json.bufferViews.length - 1,
+            componentType: array instanceof Uint32Array ? UNSIGNED_INT : FLOAT,
+            count: array.length / componentsPerElement,
+            type,
+            ...extra,
+        });
+        return json.accessors.length - 1;
+    };
+
+    for (const chunk of chunks) {
+        const { positions, normals, uvs, colors, indices } = chunk.data;
+        const attributes = {
+            POSITION: addAccessor(positions, 'VEC3', ARRAY_BUFFER, getBounds(positions)),
+            NORMAL: addAccessor(normals, 'VEC3', ARRAY_BUFFER),
+            TEXCOORD_0: addAccessor(uvs, 'VEC2', ARRAY_BUFFER),
+        };
+        if (colors) attributes.COLOR_0 = addAccessor(colors, 'VEC3', ARRAY_BUFFER);
+
+        json.meshes.push({
+            name: chunk.name,
+            primitives: [{ attributes, indices: addAccessor(indices, 'SCALAR', ELEMENT_ARRAY_BUFFER), material: 0 }],
+        });
+        json.nodes.push({ name: chunk.name, mesh: json.meshes.length - 1, translation: [chunk.x, 0, chunk.z] });
+        json.scenes[0].nodes.push(json.nodes.length - 1);
+    }
+
+    const binary = new Uint8Array(byteLength);
+    for (const { offset, bytes } of parts) binary.set(bytes, offset);
+    json.buffers[0].byteLength = byteLength;
+    return { json, binary };
+}
+
+/**
+ * @param {Array} chunks - From buildTerrainRegion()
+ * @returns {Uint8Array} .glb file contents
+ */
+export function encodeTerrainGLB(chunks) {
+    const { json, binary } = buildGLTF(chunks);
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = align4(jsonBytes.length);
+    const binLength = align4(binary.length);
+    const total = 12 + 8 + jsonLength + 8 + binLength;
+
+    const out = new Uint8Array(total);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, 0x46546c67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+    out.set(jsonBytes, 20);
+    out.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength); // JSON chunk pads with spaces
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004e4942, true); // 'BIN\0'
+    out.set(binary, binStart + 8);
+
+    return out;
+}
+
+/**
+ * @param {Array} chunks - From buildTerrainRegion()
+ * @returns {string} .gltf file contents, buffer embedded as a data URI
+ */
+export function encodeTerrainGLTF(chunks) {
+    const { json, binary } = buildGLTF(chunks);
+    json.buffers[0].uri = 'data:application/octet-stream;base64,' + bytesToBase64(binary);
+    return JSON.stringify(json);
+}
+
+/**
+ * @param {Array} chunks - From buildTerrainRegion()
+ * @returns {string} .obj file contents, in world coordinates
+ */
+export function encodeTerrainOBJ(chunks) {
+    const lines = ['# snapfire-engine terrain export'];
+    let vertexBase = 1;
+
+    for (const chunk of chunks) {
+        const { positions, normals, uvs, colors, indices } = chunk.data;
+        const count = positions.length / 3;
+        lines.push(`o ${chunk.name}`);
+
+        for (let i = 0; i < count; i++) {
+            const x = formatNumber(positions[i * 3] + chunk.x);
+            const y = formatNumber(positions[i * 3 + 1]);
+            const z = formatNumber(positions[i * 3 + 2] + chunk.z);
+            lines.push(colors
+                ? `v ${x} ${y} ${z} ${formatNumber(colors[i * 3])} ${formatNumber(colors[i * 3 + 1])} ${formatNumber(colors[i * 3 + 2])}`
+                : `v ${x} ${y} ${z}`);
+        }
+        for (let i = 0; i < count; i++) {
+            lines.push(`vt ${formatNumber(uvs[i * 2])} ${formatNumber(uvs[i * 2 + 1])}`);
+        }
+        for (let i = 0; i < count; i++) {
+            lines.push(`vn ${formatNumber(normals[i * 3])} ${formatNumber(normals[i * 3 + 1])} ${formatNumber(normals[i * 3 + 2])}`);
+        }
+
+        for (let i = 0; i < indices.length; i += 3) {
+            const a = indices[i] + vertexBase;
+            const b = indices[i + 1] + vertexBase;
+            const c = indices[i + 2] + vertexBase;
+            lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+        }
+        vertexBase += count;
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function getBounds(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            const value = positions[i + axis];
+            if (value < min[axis]) min[axis] = value;
+            if (value > max[axis]) max[axis] = value;
+        }
+    }
+    return { min, max };
+}
+
+function formatNumber(value) {
+    // Six decimals keep files small and diffs stable
+    return Number(value.toFixed(6)).toString();
+}
+
+function align4(n) {
+    return (n + 3) & ~3;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,150 @@
+import { createTerrainSampler, generateChunkData } from './ChunkGenerator.js';
+import { DEFAULT_HEIGHT_GRAPH } from './NoiseGraph.js';
+import { DEFAULT_BIOME_CONFIG } from './BiomeMap.js';
+import { HeightDeltaLayer } from './HeightDeltaLayer.js';
+import { Heightmap } from './Heightmap.js';
+
+export const DEFAULT_TERRAIN_SEED = 12345;
+
+/**
+ * TerrainGenerator - The terrain's height function and chunk meshes, without a scene or renderer.
+ *
+ * Owns the generator config (seed, noise graph, biomes, heightmap, height modifiers) and the
+ * sculpt layer, and answers everything that only depends on them: heights, normals, biomes,
+ * chunk mesh data and heightmap exports. TerrainSystem streams and draws what this produces;
+ * Node scripts and tests can use it directly. Output is fully determined by the config - the
+ * same config gives the same heights and chunk data on every run and platform.
+ *
+ * DOM- and THREE-free.
+ *
+ * Usage:
+ *   const generator = new TerrainGenerator({ seed: 42, biomes: true });
+ *   const h = generator.getHeight(10, -5);
+ *   const chunk = generator.generateChunk(0, 0, 64); // { positions, normals, uvs, colors, indices, ... }
+ */
+export class TerrainGenerator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed=12345]
+     * @param {Object} [options.heightGraph] - Serializable NoiseGraph (default DEFAULT_HEIGHT_GRAPH)
+     * @param {Object|boolean} [options.biomes] - BiomeMap config, or true for DEFAULT_BIOME_CONFIG
+     * @param {Object} [options.heightmap] - Heightmap source replacing the noise heights (see createHeightmapSource)
+     * @param {Object[]} [options.heightModifiers] - See HeightModifiers.js
+     * @param {HeightDeltaLayer} [options.heightDeltas] - Sculpted offsets
+     * @param {number} [options.chunkSize=100] - Chunk (cx, cz) is centred at (cx * chunkSize, cz * chunkSize)
+     */
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize ?? 100;
+        this.seed = options.seed ?? DEFAULT_TERRAIN_SEED;
+        this.heightGraph = options.heightGraph || DEFAULT_HEIGHT_GRAPH;
+        this.biomeConfig = options.biomes === true ? DEFAULT_BIOME_CONFIG : (options.biomes || null);
+        this.heightmapSource = options.heightmap || null;
+        this.heightModifiers = options.heightModifiers ? [...options.heightModifiers] : [];
+        this.heightDeltas = options.heightDeltas || new HeightDeltaLayer();
+
+        // Generated height plus sculpted deltas, in the shape generateChunkData() takes
+        this.chunkSampler = {
+            getHeight: (x, z) => this.getHeight(x, z),
+            getColor: null,
+        };
+
+        this._compile();
+    }
+
+    /**
+     * Serializable description of the height function (terrain workers build the same sampler from it)
+     */
+    getConfig() {
+        return {
+            seed: this.seed,
+            heightGraph: this.heightGraph,
+            biomes: this.biomeConfig,
+            heightmap: this.heightmapSource,
+            heightModifiers: this.heightModifiers,
+        };
+    }
+
+    /**
+     * Replace any part of the config. Compiles before changing anything, so an invalid config throws
+     * and leaves the generator as it was.
+     * @param {{ seed?: number, heightGraph?: Object, biomes?: Object|null, heightmap?: Object|null, heightModifiers?: Object[] }} config
+     */
+    configure(config) {
+        const next = { ...this.getConfig(), ...config };
+        const sampler = createTerrainSampler(next);
+
+        this.seed = next.seed;
+        this.heightGraph = next.heightGraph;
+        this.biomeConfig = next.biomes;
+        this.heightmapSource = next.heightmap;
+        this.heightModifiers = [...next.heightModifiers];
+        this._setSampler(sampler);
+        return this;
+    }
+
+    _compile() {
+        this._setSampler(createTerrainSampler(this.getConfig()));
+    }
+
+    _setSampler(sampler) {
+        this.sampler = sampler;
+        this.heightFn = sampler.getHeight;
+        this.biomeMap = sampler.biomeMap;
+        this.chunkSampler.getColor = sampler.getColor ? (x, z, out, offset) => sampler.getColor(x, z, out, offset) : null;
+    }
+
+    getHeight(x, z) {
+        return this.heightFn(x, z) + this.heightDeltas.sample(x, z);
+    }
+
+    /**
+     * Surface normal from central differences
+     * @param {{ x: number, y: number, z: number }} [target] - Any object with x/y/z (e.g. a THREE.Vector3)
+     */
+    getNormal(x, z, target = { x: 0, y: 0, z: 0 }) {
+        const eps = 0.5;
+        const nx = (this.getHeight(x - eps, z) - this.getHeight(x + eps, z)) / (2 * eps);
+        const nz = (this.getHeight(x, z - eps) - this.getHeight(x, z + eps)) / (2 * eps);
+        const length = Math.sqrt(nx * nx + 1 + nz * nz);
+
+        target.x = nx / length;
+        target.y = 1 / length;
+        target.z = nz / length;
+        return target;
+    }
+
+    /**
+     * Biome and blend weights at a world position, or null when biomes are disabled
+     */
+    getBiomeAt(x, z) {
+        return this.biomeMap ? this.biomeMap.getBiomeAt(x, z) : null;
+    }
+
+    /**
+     * Mesh data for a square of terrain (see generateChunkData)
+     * @param {number} x - Centre X
+     * @param {number} z - Centre Z
+     * @param {number} size - Edge length
+     * @param {number} segments - Grid resolution per edge
+     * @param {number} [skirtDepth=0]
+     */
+    generateChunkData(x, z, size, segments, skirtDepth = 0) {
+        return generateChunkData(this.chunkSampler, x, z, size, segments, skirtDepth);
+    }
+
+    /**
+     * Mesh data for chunk (cx, cz); positions are local to the chunk centre
+     */
+    generateChunk(cx, cz, segments, skirtDepth = 0) {
+        return this.generateChunkData(cx * this.chunkSize, cz * this.chunkSize, this.chunkSize, segments, skirtDepth);
+    }
+
+    /**
+     * Sample heights into a Heightmap in world units
+     * @param {{ minX: number, minZ: number, width: number, height?: number, cellSize?: number }} region
+     * @returns {Heightmap}
+     */
+    exportHeightmap({ minX, minZ, width, height = width, cellSize = 1 }) {
+        return Heightmap.fromFunction((x, z) => this.getHeight(x, z), { minX, minZ, width, height, cellSize });
+    }
+}
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+
+/**
+ * Default layers, in blend order. `scale` is the world size of one texture repeat
+ * (1 unit = 10 m), so textures keep their size regardless of chunk size or LOD.
+ */
+export const DEFAULT_TERRAIN_LAYERS = {
+    grass: { color: 0x4f7a3a, map: null, scale: 0.5, roughness: 0.9 },
+    rock: { color: 0x6e6a64, map: null, scale: 1.5, roughness: 0.75 },
+    dirt: { color: 0x7a5c3e, map: null, scale: 0.6, roughness: 0.95 },
+    snow: { color: 0xf2f4f8, map: null, scale: 1.0, roughness: 0.55 },
+};
+
+const LAYER_NAMES = ['grass', 'rock', 'dirt', 'snow'];
+
+let whiteTexture = null;
+
+function getWhiteTexture() {
+    if (!whiteTexture) {
+        whiteTexture = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+        whiteTexture.needsUpdate = true;
+    }
+    return whiteTexture;
+}
+
+/**
+ * TerrainMaterial - MeshStandardMaterial that blends grass/rock/dirt/snow layers by slope,
+ * altitude and an optional painted splat map.
+ *
+ * Layers are projected in world space (triplanar by default) rather than through the chunk UVs,
+ * which run 0..1 per chunk, so textures neither stretch on steep hills nor seam between chunks.
+ * The world position is rebuilt from `batchingMatrix`, so it works on TerrainSystem's BatchedMesh.
+ *
+ * Splat map: RGBA = grass/rock/dirt/snow weights over `splatBounds`. Where the painted weights
+ * sum to 1 they replace the automatic slope/altitude rules; unpainted (black) texels keep them.
+ *
+ * Usage:
+ *   const material = new TerrainMaterial({ layers: { grass: { map: grassTexture } } });
+ *   const terrain = new TerrainSystem(scene, material, { biomes: true });
+ */
+export class TerrainMaterial extends THREE.MeshStandardMaterial {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.layers] - Per-layer overrides of DEFAULT_TERRAIN_LAYERS
+     * @param {boolean} [options.triplanar=true] - false projects top-down only (cheaper, stretches on cliffs)
+     * @param {number} [options.triplanarSharpness=4] - Higher = narrower transition between projections
+     * @param {number} [options.slopeRockStart=0.3] - Slope (1 - normal.y) where rock begins
+     * @param {number} [options.slopeRockEnd=0.45] - Slope where rock is fully opaque
+     * @param {number} [options.slopeDirtStart=0.12] - Slope where grass starts giving way to dirt
+     * @param {number} [options.snowHeight=4] - Altitude where snow begins
+     * @param {number} [options.snowBlend=1.5] - Altitude range over which snow fades in
+     * @param {THREE.Texture} [options.splatMap] - Painted layer weights
+     * @param {{minX: number, minZ: number, maxX: number, maxZ: number}} [options.splatBounds] - World area the splat map covers
+     * @param {boolean} [options.useVertexColors=false] - Tint the grass layer with the biome vertex colours
+     * @param {Object} [options.material] - Extra MeshStandardMaterial parameters
+     */
+    constructor(options = {}) {
+        super({ roughness: 1, metalness: 0, ...options.material });
+
+        this.type = 'TerrainMaterial';
+        this.triplanar = options.triplanar ?? true;
+        this.useVertexColors = options.useVertexColors ?? false;
+        this.vertexColors = this.useVertexColors;
+
+        const bounds = options.splatBounds || { minX: -100, minZ: -100, maxX: 100, maxZ: 100 };
+
+        this.terrainUniforms = {
+            terrainLayerMaps: { value: [] },
+            terrainLayerColors: { value: [] },
+            terrainLayerScales: { value: new THREE.Vector4() },
+            terrainLayerRoughness: { value: new THREE.Vector4() },
+            terrainTriplanarSharpness: { value: options.triplanarSharpness ?? 4 },
+            terrainSlopeRock: { value: new THREE.Vector2(options.slopeRockStart ?? 0.3, options.slopeRockEnd ?? 0.45) },
+            terrainSlopeDirt: { value: options.slopeDirtStart ?? 0.12 },
+            terrainSnow: { value: new THREE.Vector2(options.snowHeight ?? 4, options.snowBlend ?? 1.5) },
+            terrainSplatMap: { value: getWhiteTexture() },
+            terrainSplatBounds: { value: new THREE.Vector4(bounds.minX, bounds.minZ, bounds.maxX, bounds.maxZ) },
+            terrainSplatEnabled: { value: 0 },
+        };
+
+        this.layers = {};
+        for (const name of LAYER_NAMES) {
+            this.setLayer(name, { ...DEFAULT_TERRAIN_LAYERS[name], ...options.layers?.[name] });
+        }
+
+        if (options.splatMap) this.setSplatMap(options.splatMap, bounds);
+    }
+
+    /**
+     * Replace one layer's texture, colour, repeat size or roughness
+     * @param {'grass'|'rock'|'dirt'|'snow'} name
+     * @param {{ map?: THREE.Texture|null, color?: THREE.ColorRepresentation, scale?: number, roughness?: number }} layer
+     */
+    setLayer(name, layer) {
+        const index = LAYER_NAMES.indexOf(name);
+        if (index === -1) throw new Error(`TerrainMaterial: unknown layer "${name}"`);
+
+        const merged = { ...this.layers[name], ...layer };
+        this.layers[name] = merged;
+
+        const uniforms = this.terrainUniforms;
+        // World-space projection tiles the layer textures
+        const map = merged.map;
+        if (map && (map.wrapS !== THREE.RepeatWrapping || map.wrapT !== THREE.RepeatWrapping)) {
+            map.wrapS = map.wrapT = THREE.RepeatWrapping;
+            if (map.version > 0) map.needsUpdate = true;
+        }
+        uniforms.terrainLayerMaps.value[index] = merged.map || getWhiteTexture();
+        uniforms.terrainLayerColors.value[index] = new THREE.Color(merged.color);
+        uniforms.terrainLayerScales.value.setComponent(index, merged.scale);
+        uniforms.terrainLayerRoughness.value.setComponent(index, merged.roughness);
+    }
+
+    /**
+     * @param {THREE.Texture|null} texture - RGBA layer weights, or null to use the automatic rules only
+     * @param {{minX: number, minZ: number, maxX: number, maxZ: number}} [bounds]
+     */
+    setSplatMap(texture, bounds) {
+        const uniforms = this.terrainUniforms;
+        uniforms.terrainSplatMap.value = texture || getWhiteTexture();
+        uniforms.terrainSplatEnabled.value = texture ? 1 : 0;
+        if (bounds) uniforms.terrainSplatBounds.value.set(bounds.minX, bounds.minZ, bounds.maxX, bounds.maxZ);
+    }
+
+    onBeforeCompile(shader) {
+        Object.assign(shader.uniforms, this.terrainUniforms);
+        if (this.triplanar) shader.defines.TERRAIN_TRIPLANAR = '';
+        if (this.useVertexColors) shader.defines.TERRAIN_VERTEX_COLOR_GRASS = '';
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+varying vec3 vTerrainWorldPosition;
+varying vec3 vTerrainWorldNormal;`)
+            .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>
+vec4 terrainWorldPosition = vec4( transformed, 1.0 );
+vec3 terrainWorldNormal = objectNormal;
+#ifdef USE_BATCHING
+    terrainWorldPosition = batchingMatrix * terrainWorldPosition;
+    terrainWorldNormal = mat3( batchingMatrix ) * terrainWorldNormal;
+#endif
+vTerrainWorldPosition = ( modelMatrix * terrainWorldPosition ).xyz;
+vTerrainWorldNormal = normalize( mat3( modelMatrix ) * terrainWorldNormal );`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying vec3 vTerrainWorldPosition;
+varying vec3 vTerrainWorldNormal;
+uniform sampler2D terrainLayerMaps[ 4 ];
+uniform vec3 terrainLayerColors[ 4 ];
+uniform vec4 terrainLayerScales;
+uniform vec4 terrainLayerRoughness;
+uniform float terrainTriplanarSharpness;
+uniform vec2 terrainSlopeRock;
+uniform float terrainSlopeDirt;
+uniform vec2 terrainSnow;
+uniform sampler2D terrainSplatMap;
+uniform vec4 terrainSplatBounds;
+uniform float terrainSplatEnabled;
+
+vec3 terrainSampleLayer( sampler2D map, float scale, vec3 position, vec3 blend ) {
+#ifdef TERRAIN_TRIPLANAR
+    vec3 x = texture2D( map, position.zy / scale ).rgb;
+    vec3 y = texture2D( map, position.xz / scale ).rgb;
+    vec3 z = texture2D( map, position.xy / scale ).rgb;
+    return x * blend.x + y * blend.y + z * blend.z;
+#else
+    return texture2D( map, position.xz / scale ).rgb;
+#endif
+}`)
+            .replace('#include <map_fragment>', `
+vec3 terrainNormal = normalize( vTerrainWorldNormal );
+float terrainSlope = 1.0 - terrainNormal.y;
+
+// Automatic weights: grass -> dirt -> rock with slope, snow above the snow line on gentler ground
+float terrainRock = smoothstep( terrainSlopeRock.x, terrainSlopeRock.y, terrainSlope );
+float terrainDirt = smoothstep( terrainSlopeDirt, terrainSlopeRock.x, terrainSlope ) * ( 1.0 - terrainRock );
+float terrainSnowWeight = smoothstep( terrainSnow.x, terrainSnow.x + terrainSnow.y, vTerrainWorldPosition.y ) * ( 1.0 - terrainRock * 0.8 );
+vec4 terrainWeights = vec4( max( 0.0, 1.0 - terrainRock - terrainDirt ), terrainRock, terrainDirt, 0.0 );
+terrainWeights = mix( terrainWeights, vec4( 0.0, 0.0, 0.0, 1.0 ), terrainSnowWeight );
+
+if ( terrainSplatEnabled > 0.5 ) {
+    vec2 splatUv = ( vTerrainWorldPosition.xz - terrainSplatBounds.xy ) / ( terrainSplatBounds.zw - terrainSplatBounds.xy );
+    if ( all( greaterThanEqual( splatUv, vec2( 0.0 ) ) ) && all( lessThanEqual( splatUv, vec2( 1.0 ) ) ) ) {
+        vec4 painted = texture2D( terrainSplatMap, splatUv );
+        float paintedSum = dot( painted, vec4( 1.0 ) );
+        if ( paintedSum > 0.0 ) {
+            terrainWeights = mix( terrainWeights, painted / paintedSum, clamp( paintedSum, 0.0, 1.0 ) );
+        }
+    }
+}
+terrainWeights /= max( dot( terrainWeights, vec4( 1.0 ) ), 1e-4 );
+
+vec3 terrainBlend = pow( abs( terrainNormal ), vec3( terrainTriplanarSharpness ) );
+terrainBlend /= dot( terrainBlend, vec3( 1.0 ) );
+
+vec3 terrainGrassColor = terrainLayerColors[ 0 ];
+#if defined( TERRAIN_VERTEX_COLOR_GRASS ) && defined( USE_COLOR )
+    terrainGrassColor = vColor.rgb;
+#endif
+
+vec3 terrainAlbedo =
+    terrainSampleLayer( terrainLayerMaps[ 0 ], terrainLayerScales.x, vTerrainWorldPosition, terrainBlend ) * terrainGrassColor * terrainWeights.x +
+    terrainSampleLayer( terrainLayerMaps[ 1 ], terrainLayerScales.y, vTerrainWorldPosition, terrainBlend ) * terrainLayerColors[ 1 ] * terrainWeights.y +
+    terrainSampleLayer( terrainLayerMaps[ 2 ], terrainLayerScales.z, vTerrainWorldPosition, terrainBlend ) * terrainLayerColors[ 2 ] * terrainWeights.z +
+    terrainSampleLayer( terrainLayerMaps[ 3 ], terrainLayerScales.w, vTerrainWorldPosition, terrainBlend ) * terrainLayerColors[ 3 ] * terrainWeights.w;
+
+diffuseColor.rgb *= terrainAlbedo;`)
+            // Vertex colours only feed the grass layer (above), so don't multiply them in again
+            .replace('#include <color_fragment>', '')
+            .replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+roughnessFactor *= dot( terrainWeights, terrainLayerRoughness );`);
+    }
+
+    customProgramCacheKey() {
+        return `terrain:${this.triplanar}:${this.useVertexColors}`;
+    }
+}
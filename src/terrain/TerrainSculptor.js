@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { Noise } from './Noise.js';
+
+/**
+ * TerrainSculptor - Runtime brushes that edit TerrainSystem's sparse height-delta layer.
+ *
+ * Brushes: raise, lower, smooth, flatten, noise. Each application touches the delta grid
+ * samples inside the brush radius, weighted by the falloff curve, then asks the terrain to
+ * rebuild only the chunks under the brush. Because the deltas are part of getHeight(),
+ * anything that snaps to the ground (Player, vegetation) follows the edit automatically.
+ *
+ * Usage:
+ *   const sculptor = new TerrainSculptor(terrainSystem);
+ *   const hit = sculptor.pick(raycaster);
+ *   if (hit) sculptor.apply({ brush: 'raise', x: hit.x, z: hit.z, radius: 3, strength: 2 * deltaTime });
+ */
+export class TerrainSculptor {
+    constructor(terrainSystem) {
+        this.terrainSystem = terrainSystem;
+        this.noise = new Noise(terrainSystem.NOISE_SEED + 303);
+
+        // Flatten brush target, captured at the start of a stroke (see beginStroke)
+        this.flattenHeight = null;
+    }
+
+    static falloff(t, type) {
+        switch (type) {
+            case 'constant': return 1;
+            case 'linear': return 1 - t;
+            case 'smooth':
+            default: {
+                const s = 1 - t;
+                return s * s * (3 - 2 * s);
+            }
+        }
+    }
+
+    /**
+     * Start a drag stroke. The flatten brush holds the height under the first point.
+     */
+    beginStroke(x, z) {
+        this.flattenHeight = this.terrainSystem.getHeight(x, z);
+    }
+
+    endStroke() {
+        this.flattenHeight = null;
+    }
+
+    /**
+     * Apply one brush dab
+     * @param {Object} params
+     * @param {'raise'|'lower'|'smooth'|'flatten'|'noise'} params.brush
+     * @param {number} params.x - Brush centre X
+     * @param {number} params.z - Brush centre Z
+     * @param {number} params.radius - World units
+     * @param {number} params.strength - Height units per dab for raise/lower/noise; 0..1 blend for smooth/flatten
+     * @param {'smooth'|'linear'|'constant'} [params.falloff='smooth']
+     * @param {number} [params.targetHeight] - Flatten target (defaults to the stroke's start height)
+     * @param {number} [params.noiseScale=0.5] - Noise brush frequency
+     */
+    apply({ brush, x, z, radius, strength, falloff = 'smooth', targetHeight, noiseScale = 0.5 }) {
+        const terrain = this.terrainSystem;
+        const layer = terrain.heightDeltas;
+        const cell = layer.cellSize;
+
+        const minX = Math.ceil((x - radius) / cell);
+        const maxX = Math.floor((x + radius) / cell);
+        const minZ = Math.ceil((z - radius) / cell);
+        const maxZ = Math.floor((z + radius) / cell);
+
+        const flattenTarget = targetHeight ?? this.flattenHeight ?? terrain.getHeight(x, z);
+
+        // Compute every new value before writing any, so smoothing reads a consistent snapshot
+        const updates = [];
+        for (let iz = minZ; iz <= maxZ; iz++) {
+            for (let ix = minX; ix <= maxX; ix++) {
+                const wx = ix * cell;
+                const wz = iz * cell;
+                const distance = Math.hypot(wx - x, wz - z);
+                if (distance > radius) continue;
+
+                const weight = TerrainSculptor.falloff(distance / radius, falloff) * strength;
+                if (weight === 0) continue;
+
+                const delta = layer.getCell(ix, iz);
+                let change = 0;
+
+                switch (brush) {
+                    case 'raise':
+                        change = weight;
+                        break;
+                    case 'lower':
+                        change = -weight;
+                        break;
+                    case 'noise':
+                        change = this.noise.perlin2(wx * noiseScale, wz * noiseScale) * weight;
+                        break;
+                    case 'flatten':
+                        change = (flattenTarget - terrain.getHeight(wx, wz)) * Math.min(1, weight);
+                        break;
+                    case 'smooth': {
+                        const average = (
+                            terrain.getHeight(wx - cell, wz) + terrain.getHeight(wx + cell, wz) +
+                            terrain.getHeight(wx, wz - cell) + terrain.getHeight(wx, wz + cell)
+                        ) / 4;
+                        change = (average - terrain.getHeight(wx, wz)) * Math.min(1, weight);
+                        break;
+                    }
+                    default:
+                        throw new Error(`TerrainSculptor: unknown brush "${brush}"`);
+                }
+
+                if (change !== 0) updates.push(ix, iz, delta + change);
+            }
+        }
+
+        if (updates.length === 0) return;
+
+        const changedTiles = new Set();
+        for (let i = 0; i < updates.length; i += 3) {
+            changedTiles.add(layer.setCell(updates[i], updates[i + 1], updates[i + 2]));
+        }
+
+        terrain.commitHeightDeltas(changedTiles, {
+            minX: x - radius,
+            minZ: z - radius,
+            maxX: x + radius,
+            maxZ: z + radius,
+        });
+    }
+
+    /**
+     * Intersect a ray with the terrain heightfield (ray-marched against getHeight, so it
+     * matches sculpted heights exactly rather than the current chunk LOD)
+     * @param {THREE.Raycaster} raycaster
+     * @param {number} [maxDistance=200]
+     * @returns {THREE.Vector3|null}
+     */
+    pick(raycaster, maxDistance = 200) {
+        const { origin, direction } = raycaster.ray;
+        const step = this.terrainSystem.heightDeltas.cellSize;
+        const point = new THREE.Vector3();
+
+        let previous = 0;
+        for (let t = 0; t <= maxDistance; t += step) {
+            point.copy(origin).addScaledVector(direction, t);
+            if (point.y <= this.terrainSystem.getHeight(point.x, point.z)) {
+                // Refine between the last point above ground and this one
+                let lo = previous;
+                let hi = t;
+                for (let i = 0; i < 8; i++) {
+                    const mid = (lo + hi) / 2;
+                    point.copy(origin).addScaledVector(direction, mid);
+                    if (point.y <= this.terrainSystem.getHeight(point.x, point.z)) hi = mid;
+                    else lo = mid;
+                }
+                return point.copy(origin).addScaledVector(direction, hi);
+            }
+            previous = t;
+        }
+
+        return null;
+    }
+}
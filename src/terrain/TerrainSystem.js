@@ -1,80 +1,508 @@
 import * as THREE from 'three';
 import { TerrainChunk } from './TerrainChunk.js';
-import { Noise } from './Noise.js';
-
-export class TerrainSystem {
-    constructor(scene, customMaterial = null) {
+import { getChunkBufferSizes } from './ChunkGenerator.js';
+import { TerrainWorkerPool } from './TerrainWorkerPool.js';
+import { getModifierBounds } from './HeightModifiers.js';
+import { TerrainGenerator, DEFAULT_TERRAIN_SEED } from './TerrainGenerator.js';
+
+/**
+ * Streams terrain chunks around the camera.
+ *
+ * Heights and chunk meshes come from a TerrainGenerator (`generator`), which works without a
+ * scene; this class streams, batches and draws them and keeps terrain workers in sync with edits.
+ *
+ * Events (THREE.EventDispatcher):
+ *   chunkLoaded      { chunk } - First geometry for a chunk is on screen
+ *   chunkUnloaded    { chunk } - Chunk retired; fired before it is disposed
+ *   chunkInvalidated { chunk } - Heights under a loaded chunk changed; its mesh is being rebuilt
+ */
+export class TerrainSystem extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Material|null} customMaterial
+     * @param {Object} [options]
+     * @param {boolean} [options.useWorkers=true] - Generate chunks in a worker pool when Web Workers exist
+     * @param {Array<{maxDistance: number, segments: number}>} [options.lodLevels] - LOD rings, finest first
+     * @param {number} [options.seed=12345] - Noise seed
+     * @param {Object} [options.heightGraph] - Serializable NoiseGraph for getHeight() (see NoiseGraph.js)
+     * @param {Object|boolean} [options.biomes] - BiomeMap config, or true for DEFAULT_BIOME_CONFIG
+     * @param {Object} [options.heightmap] - Heightmap source replacing the noise heights (see createHeightmapSource)
+     */
+    constructor(scene, customMaterial = null, options = {}) {
+        super();
         this.scene = scene;
         this.chunks = new Map();
 
         this.CHUNK_SIZE = 100;
         this.VIEW_RADIUS = 200;
-        this.NOISE_SEED = 12345;
+        this.generator = new TerrainGenerator({
+            seed: options.seed ?? DEFAULT_TERRAIN_SEED,
+            heightGraph: options.heightGraph,
+            biomes: options.biomes,
+            heightmap: options.heightmap,
+            chunkSize: this.CHUNK_SIZE,
+        });
 
-        // LOD Configuration (High resolution for smooth hills)
-        this.UNIFORM_SEGMENTS = 64;
+        // Streaming (chunks are retired a little beyond VIEW_RADIUS to avoid thrashing at the border)
+        this.UNLOAD_MARGIN = this.CHUNK_SIZE * 0.5;
+        this.MAX_CHUNK_BUILDS_PER_FRAME = 2;
+        this.buildQueue = [];
+        this.lastStreamKey = null;
+
+        // LOD Configuration: rings by camera distance to chunk centre, finest first.
+        // Segment counts should be powers of two so coarse edge vertices line up with fine ones.
+        this.LOD_LEVELS = options.lodLevels || [
+            { maxDistance: 120, segments: 64 },
+            { maxDistance: 200, segments: 32 },
+            { maxDistance: 300, segments: 16 },
+            { maxDistance: Infinity, segments: 8 },
+        ];
+        this.LOD_HYSTERESIS = 15; // Distance past a ring boundary before switching level
+        this.SKIRT_DEPTH = 4; // Hides cracks where neighbouring chunks use different LODs
 
         // Material setup
         this.ownsMaterial = !customMaterial;
+        // Biome terrain carries its surface colour in vertex colors
         this.material = customMaterial || new THREE.MeshStandardMaterial({
-            color: 0x3a5a40,
+            color: this.biomeConfig ? 0xffffff : 0x3a5a40,
+            vertexColors: !!this.biomeConfig,
             roughness: 0.8,
             metalness: 0.2,
         });
+        // Whether the material shows vertex colours when there are any (see _onBiomesToggled)
+        this._materialVertexColors = this.ownsMaterial || !!this.material.vertexColors;
+        this._hasColors = !!this.biomeConfig;
 
-        // BatchedMesh pooling
-        this.maxInstances = 4;
+        // BatchedMesh pooling (one slot per chunk that can be alive inside the unload radius)
+        const radiusInChunks = Math.ceil((this.VIEW_RADIUS + this.UNLOAD_MARGIN) / this.CHUNK_SIZE);
+        this.maxInstances = (radiusInChunks * 2 + 1) ** 2;
         this.freeSlots = [];
         this.activeChunksCount = 0;
 
-        // BatchedMesh initialization (Budget for 4 chunks @ 64x64 segments each)
-        // 4225 vertices and 24576 indices per chunk
-        this.batchedMesh = new THREE.BatchedMesh(this.maxInstances, 20000, 100000, this.material);
-        this.batchedMesh.frustumCulled = false;
-        this.scene.add(this.batchedMesh);
+        // BatchedMesh initialization (Budget per chunk sized for the finest LOD)
+        // 64 segments + skirts = 4485 vertices and 26112 indices per chunk
+        const maxSegments = Math.max(...this.LOD_LEVELS.map(level => level.segments));
+        const chunkBufferSizes = getChunkBufferSizes(maxSegments);
+        this.VERTICES_PER_CHUNK = chunkBufferSizes.vertexCount;
+        this.INDICES_PER_CHUNK = chunkBufferSizes.indexCount;
+        this.batchedMesh = this._createBatchedMesh();
 
         this.frustum = new THREE.Frustum();
         this.projScreenMatrix = new THREE.Matrix4();
         this.chunkMatrix = new THREE.Matrix4();
 
-        // Noise instance for height sampling
-        this.noise = new Noise(this.NOISE_SEED);
+        // Build the initial ring around the origin up front so the first frame has ground
+        this.workerPool = null;
+        this._streamChunks(new THREE.Vector3(0, 0, 0));
+        this._processBuildQueue(Infinity);
+
+        // Everything streamed in afterwards is generated off the main thread when possible
+        const useWorkers = options.useWorkers ?? true;
+        this.MAX_PENDING_WORKER_REQUESTS = 8;
+        if (useWorkers && TerrainWorkerPool.isSupported()) {
+            this.workerPool = new TerrainWorkerPool(this.getGeneratorConfig());
+        }
+    }
+
+    _createBatchedMesh() {
+        const batchedMesh = new THREE.BatchedMesh(
+            this.maxInstances,
+            this.maxInstances * this.VERTICES_PER_CHUNK,
+            this.maxInstances * this.INDICES_PER_CHUNK,
+            this.material
+        );
+        batchedMesh.frustumCulled = false;
+        // Hills shadow the valleys behind them (shadow passes cull chunks per cascade)
+        batchedMesh.castShadow = true;
+        batchedMesh.receiveShadow = true;
+        this.scene.add(batchedMesh);
+        return batchedMesh;
+    }
+
+    /**
+     * Serializable description of the height function, sent to terrain workers
+     */
+    getGeneratorConfig() {
+        return this.generator.getConfig();
+    }
+
+    // Generator state, read through from the TerrainGenerator
+    get NOISE_SEED() {
+        return this.generator.seed;
+    }
+
+    get heightGraph() {
+        return this.generator.heightGraph;
+    }
+
+    get biomeConfig() {
+        return this.generator.biomeConfig;
+    }
+
+    get biomeMap() {
+        return this.generator.biomeMap;
+    }
+
+    get heightmapSource() {
+        return this.generator.heightmapSource;
+    }
+
+    get heightModifiers() {
+        return this.generator.heightModifiers;
+    }
+
+    /** Sculpted offsets (see TerrainSculptor) */
+    get heightDeltas() {
+        return this.generator.heightDeltas;
+    }
+
+    /**
+     * Layer local height edits (e.g. building pads) over the generated terrain.
+     * Chunks under the modifiers are regenerated.
+     * @param {Object[]} modifiers - See HeightModifiers.js
+     */
+    addHeightModifiers(modifiers) {
+        this.generator.configure({ heightModifiers: [...this.heightModifiers, ...modifiers] });
+        this._onGeneratorChanged(modifiers.map(getModifierBounds));
+    }
+
+    removeHeightModifiers(modifiers) {
+        this.generator.configure({ heightModifiers: this.heightModifiers.filter(modifier => !modifiers.includes(modifier)) });
+        this._onGeneratorChanged(modifiers.map(getModifierBounds));
+    }
+
+    /**
+     * Push the (already reconfigured) generator config to the workers (the heightmap only if it
+     * was replaced) and regenerate chunks touching any of the given bounds (all chunks if omitted)
+     * @param {Array<{minX: number, minZ: number, maxX: number, maxZ: number}>} [regions]
+     */
+    _onGeneratorChanged(regions = null) {
+        if (this.workerPool) {
+            this.workerPool.configure(this.getGeneratorConfig());
+        }
+        if (this._hasColors !== !!this.biomeConfig) {
+            this._onBiomesToggled();
+            regions = null;
+        }
+
+        if (!regions) {
+            this._invalidateChunks(() => true);
+            return;
+        }
+        this._invalidateRegions(regions);
+    }
+
+    /**
+     * Biomes were switched on or off, so chunks gain or lose their colour attribute. A BatchedMesh
+     * fixes its attributes with its first geometry, so it is replaced (every chunk rebuilds into
+     * the new one) and the material shows vertex colours only while there are some.
+     */
+    _onBiomesToggled() {
+        this._hasColors = !!this.biomeConfig;
+
+        this.scene.remove(this.batchedMesh);
+        this.batchedMesh.dispose();
+        this.batchedMesh = this._createBatchedMesh();
+        this.freeSlots.length = 0;
+        this.activeChunksCount = 0;
+        for (const chunk of this.chunks.values()) {
+            chunk.instanceId = -1;
+            chunk.lastGeoId = -1;
+        }
+
+        this.material.vertexColors = this._hasColors && this._materialVertexColors;
+        if (this.ownsMaterial) this.material.color.set(this._hasColors ? 0xffffff : 0x3a5a40);
+        this.material.needsUpdate = true;
+    }
+
+    /**
+     * Regenerate chunks touching any of the given world-space bounds
+     */
+    _invalidateRegions(regions) {
+        // Pad by one chunk-edge sample so border normals and skirts pick up the change
+        const pad = this.CHUNK_SIZE / this.LOD_LEVELS[this.LOD_LEVELS.length - 1].segments;
+        this._invalidateChunks((chunk) => {
+            const half = chunk.size / 2 + pad;
+            return regions.some(r =>
+                r.maxX >= chunk.x - half && r.minX <= chunk.x + half &&
+                r.maxZ >= chunk.z - half && r.minZ <= chunk.z + half
+            );
+        });
+    }
+
+    /**
+     * Push edited height-delta tiles to the workers and rebuild the chunks under them
+     * (neighbours included where the region reaches their borders).
+     * @param {Iterable<number>} tileKeys - HeightDeltaLayer tile keys that changed
+     * @param {{minX: number, minZ: number, maxX: number, maxZ: number}} region - Edited area
+     */
+    commitHeightDeltas(tileKeys, region) {
+        if (this.workerPool) {
+            this.workerPool.updateHeightDeltas({
+                cellSize: this.heightDeltas.cellSize,
+                tileSize: this.heightDeltas.tileSize,
+                tiles: this.heightDeltas.getTiles(tileKeys),
+            });
+        }
+        this._invalidateRegions([region]);
+    }
+
+    /**
+     * Replace the whole sculpt layer (e.g. when loading a saved world)
+     * @param {HeightDeltaLayer} layer
+     */
+    setHeightDeltaLayer(layer) {
+        this.generator.heightDeltas = layer;
+        if (this.workerPool) {
+            this.workerPool.updateHeightDeltas({
+                cellSize: layer.cellSize,
+                tileSize: layer.tileSize,
+                tiles: layer.getTiles(layer.tiles.keys()),
+                reset: true,
+            });
+        }
+        this._invalidateChunks(() => true);
+    }
+
+    /**
+     * Swap the height graph at runtime. Every loaded chunk is regenerated.
+     * @param {Object} graph - Serializable NoiseGraph root node
+     */
+    setHeightGraph(graph) {
+        // Throws on an invalid graph before anything changes
+        this.generator.configure({ heightGraph: graph });
+        this._onGeneratorChanged();
+    }
+
+    /**
+     * Replace any part of the generator config (the shape getGeneratorConfig() returns), e.g. when
+     * loading a saved world. Every loaded chunk is regenerated.
+     * @param {{ seed?: number, heightGraph?: Object, biomes?: Object|null, heightmap?: Object|null, heightModifiers?: Object[] }} config
+     */
+    setGeneratorConfig(config) {
+        this.generator.configure(config);
+        this._onGeneratorChanged();
+    }
+
+    /**
+     * Use an imported heightmap as the height source (null goes back to pure noise).
+     * Every loaded chunk is regenerated.
+     * @param {Object|null} source - { heightmap, worldScale, verticalScale, heightOffset, originX, originZ,
+     *   filter, wrap, blend } (see createHeightmapSource)
+     */
+    setHeightmap(source) {
+        this.generator.configure({ heightmap: source });
+        this._onGeneratorChanged();
+    }
+
+    /**
+     * Sample the current terrain (generated, modified and sculpted) into a Heightmap in world units,
+     * ready for encodeHeightmapPNG()/encodeHeightmapRaw()
+     * @param {Object} region
+     * @param {number} region.minX - World X of the first column
+     * @param {number} region.minZ - World Z of the first row
+     * @param {number} region.width - Samples along X
+     * @param {number} [region.height] - Samples along Z (defaults to width)
+     * @param {number} [region.cellSize=1] - World units between samples
+     * @returns {Heightmap}
+     */
+    exportHeightmap({ minX, minZ, width, height = width, cellSize = 1 }) {
+        return this.generator.exportHeightmap({ minX, minZ, width, height, cellSize });
+    }
 
-        this._initFixedTerrain();
+    /**
+     * Force matching chunks to regenerate at their current LOD
+     * @param {(chunk: TerrainChunk) => boolean} predicate
+     */
+    _invalidateChunks(predicate) {
+        for (const chunk of this.chunks.values()) {
+            if (!predicate(chunk)) continue;
+            this._cancelChunkRequest(chunk);
+            chunk.lastSegments = -1;
+            this._queueChunkBuild(chunk);
+            if (chunk.isReady) this.dispatchEvent({ type: 'chunkInvalidated', chunk });
+        }
     }
 
-    _initFixedTerrain() {
-        // Single 100m x 100m terrain chunk at origin
-        const chunk = new TerrainChunk(0, 0, this.CHUNK_SIZE);
-        this.chunks.set('0,0', chunk);
-        this._updateChunkLOD(chunk, this.UNIFORM_SEGMENTS);
+    /**
+     * Create chunks entering VIEW_RADIUS and retire chunks leaving it (plus UNLOAD_MARGIN).
+     * Chunk (cx, cz) is centred at (cx * CHUNK_SIZE, cz * CHUNK_SIZE).
+     * @param {THREE.Vector3} position - Streaming centre (usually the camera)
+     */
+    _streamChunks(position) {
+        const size = this.CHUNK_SIZE;
+        const centerX = Math.round(position.x / size);
+        const centerZ = Math.round(position.z / size);
+
+        // Chunk membership only changes when the centre crosses into another chunk
+        const streamKey = `${centerX},${centerZ}`;
+        if (streamKey === this.lastStreamKey) return;
+        this.lastStreamKey = streamKey;
+
+        const loadRadiusSq = this.VIEW_RADIUS * this.VIEW_RADIUS;
+        const unloadRadius = this.VIEW_RADIUS + this.UNLOAD_MARGIN;
+        const unloadRadiusSq = unloadRadius * unloadRadius;
+        const px = centerX * size;
+        const pz = centerZ * size;
+
+        // Retire chunks that left the unload radius
+        for (const [key, chunk] of this.chunks) {
+            const dx = chunk.x - px;
+            const dz = chunk.z - pz;
+            if (dx * dx + dz * dz > unloadRadiusSq) {
+                this._retireChunk(key, chunk);
+            }
+        }
+
+        // Create chunks that entered the view radius
+        const range = Math.ceil(this.VIEW_RADIUS / size);
+        for (let cz = centerZ - range; cz <= centerZ + range; cz++) {
+            for (let cx = centerX - range; cx <= centerX + range; cx++) {
+                const key = `${cx},${cz}`;
+                if (this.chunks.has(key)) continue;
+
+                const dx = cx * size - px;
+                const dz = cz * size - pz;
+                if (dx * dx + dz * dz > loadRadiusSq) continue;
+
+                const chunk = new TerrainChunk(cx * size, cz * size, size);
+                chunk.lodLevel = this._selectLODLevel(chunk, Math.hypot(chunk.x - position.x, chunk.z - position.z));
+                this.chunks.set(key, chunk);
+                this.buildQueue.push(chunk);
+            }
+        }
+
+        // Nearest chunks first
+        this.buildQueue.sort((a, b) => {
+            const da = (a.x - px) ** 2 + (a.z - pz) ** 2;
+            const db = (b.x - px) ** 2 + (b.z - pz) ** 2;
+            return da - db;
+        });
+    }
+
+    _processBuildQueue(budget) {
+        let built = 0;
+        while (this.buildQueue.length > 0) {
+            // Workers are throttled by in-flight requests, synchronous builds by the per-frame budget
+            if (this.workerPool) {
+                if (this.workerPool.pendingCount >= this.MAX_PENDING_WORKER_REQUESTS) break;
+            } else if (built >= budget) {
+                break;
+            }
+
+            const chunk = this.buildQueue.shift();
+            this._updateChunkLOD(chunk, this.LOD_LEVELS[chunk.lodLevel].segments);
+            built++;
+        }
+    }
+
+    /**
+     * Pick the LOD ring for a chunk. Once a chunk has a level it only moves to another ring
+     * when the distance is LOD_HYSTERESIS past the shared boundary, so chunks sitting on a
+     * ring edge don't rebuild every frame.
+     */
+    _selectLODLevel(chunk, distance) {
+        const levels = this.LOD_LEVELS;
+        let level = levels.findIndex(l => distance < l.maxDistance);
+        if (level === -1) level = levels.length - 1;
+
+        const current = chunk.lodLevel;
+        if (current !== -1 && level !== current) {
+            const boundary = level > current ? levels[current].maxDistance : levels[level].maxDistance;
+            if (Math.abs(distance - boundary) < this.LOD_HYSTERESIS) return current;
+        }
+
+        return level;
+    }
+
+    _queueChunkBuild(chunk) {
+        if (!this.buildQueue.includes(chunk)) {
+            this.buildQueue.push(chunk);
+        }
+    }
+
+    _retireChunk(key, chunk) {
+        // Hand the BatchedMesh instance/geometry slot back to the pool
+        if (chunk.instanceId !== -1) {
+            this.batchedMesh.setVisibleAt(chunk.instanceId, false);
+            this.freeSlots.push({ instanceId: chunk.instanceId, geometryId: chunk.lastGeoId });
+            chunk.instanceId = -1;
+            chunk.lastGeoId = -1;
+        }
+
+        this._cancelChunkRequest(chunk);
+
+        const queueIndex = this.buildQueue.indexOf(chunk);
+        if (queueIndex !== -1) this.buildQueue.splice(queueIndex, 1);
+
+        if (chunk.isReady) this.dispatchEvent({ type: 'chunkUnloaded', chunk });
+        chunk.dispose();
+        this.chunks.delete(key);
     }
 
     getHeight(x, z) {
-        // Broad, gentle rolling hills
-        return this.noise.getNoise(x, z, 2, 0.5, 0.02) * 8;
+        return this.generator.getHeight(x, z);
+    }
+
+    /**
+     * Biome and blend weights at a world position, or null when biomes are disabled
+     * @returns {{ biome: string, temperature: number, moisture: number, weights: Object<string, number> }|null}
+     */
+    getBiomeAt(x, z) {
+        return this.generator.getBiomeAt(x, z);
     }
 
     getNormal(x, z) {
-        const eps = 0.5;
-        const hL = this.getHeight(x - eps, z);
-        const hR = this.getHeight(x + eps, z);
-        const hD = this.getHeight(x, z - eps);
-        const hU = this.getHeight(x, z + eps);
+        return this.generator.getNormal(x, z, new THREE.Vector3());
+    }
+
+    _updateChunkLOD(chunk, segments) {
+        if (chunk.lastSegments === segments && chunk.isReady) {
+            // Moved back to the LOD already on screen - drop any in-flight rebuild
+            this._cancelChunkRequest(chunk);
+            return;
+        }
 
-        const normal = new THREE.Vector3(
-            (hL - hR) / (2 * eps),
-            1.0,
-            (hD - hU) / (2 * eps)
-        ).normalize();
+        if (this.workerPool) {
+            if (chunk.hasPendingRequest()) {
+                if (chunk.pendingSegments === segments) return;
+                // Supersede the older request for this chunk
+                this._cancelChunkRequest(chunk);
+            }
 
-        return normal;
+            chunk.pendingSegments = segments;
+            chunk.pendingRequestId = this.workerPool.request(
+                { x: chunk.x, z: chunk.z, size: chunk.size, segments, skirtDepth: this.SKIRT_DEPTH },
+                (data) => {
+                    chunk.pendingRequestId = null;
+                    chunk.pendingSegments = -1;
+                    if (data) {
+                        this._applyChunkData(chunk, data, segments);
+                    } else {
+                        this._buildChunkSync(chunk, segments);
+                    }
+                }
+            );
+            return;
+        }
+
+        this._buildChunkSync(chunk, segments);
     }
 
-    _updateChunkLOD(chunk, segments) {
-        if (chunk.lastSegments === segments && chunk.isReady) return;
+    _cancelChunkRequest(chunk) {
+        if (!chunk.hasPendingRequest()) return;
+        if (this.workerPool) this.workerPool.cancel(chunk.pendingRequestId);
+        chunk.pendingRequestId = null;
+        chunk.pendingSegments = -1;
+    }
 
+    _buildChunkSync(chunk, segments) {
         const data = this._generateChunkData(chunk.x, chunk.z, chunk.size, segments);
+        this._applyChunkData(chunk, data, segments);
+    }
+
+    _applyChunkData(chunk, data, segments) {
+        const firstBuild = !chunk.isReady;
         const geometry = chunk.applyWorkerData(
             data.positions,
             data.normals,
@@ -82,88 +510,31 @@ export class TerrainSystem {
             data.indices,
             data.minHeight,
             data.maxHeight,
-            segments
+            segments,
+            data.colors
         );
 
         this._applyChunkToBatchedMesh(chunk, geometry);
+        if (firstBuild) this.dispatchEvent({ type: 'chunkLoaded', chunk });
     }
 
-    _generateChunkData(x, z, size, segments) {
-        const vertexCount = (segments + 1) * (segments + 1);
-        const positions = new Float32Array(vertexCount * 3);
-        const normals = new Float32Array(vertexCount * 3);
-        const uvs = new Float32Array(vertexCount * 2);
-
-        const step = size / segments;
-        const halfSize = size / 2;
-
-        let minHeight = Infinity;
-        let maxHeight = -Infinity;
-
-        let idx = 0;
-        for (let iz = 0; iz <= segments; iz++) {
-            for (let ix = 0; ix <= segments; ix++) {
-                const localX = ix * step - halfSize;
-                const localZ = iz * step - halfSize;
-                const worldX = localX + x;
-                const worldZ = localZ + z;
-
-                const height = this.getHeight(worldX, worldZ);
-
-                positions[idx] = localX;
-                positions[idx + 1] = height;
-                positions[idx + 2] = localZ;
-
-                const uvIdx = (iz * (segments + 1) + ix) * 2;
-                uvs[uvIdx] = ix / segments;
-                uvs[uvIdx + 1] = iz / segments;
-
-                minHeight = Math.min(minHeight, height);
-                maxHeight = Math.max(maxHeight, height);
-                idx += 3;
-            }
-        }
-
-        // Compute Normals
-        const width = segments + 1;
-        for (let iz = 0; iz <= segments; iz++) {
-            for (let ix = 0; ix <= segments; ix++) {
-                const nIdx = (iz * width + ix) * 3;
-                const getHeight = (gx, gz) => {
-                    const cx = Math.max(0, Math.min(segments, gx));
-                    const cz = Math.max(0, Math.min(segments, gz));
-                    return positions[(cz * width + cx) * 3 + 1];
-                };
-                const hL = getHeight(ix - 1, iz);
-                const hR = getHeight(ix + 1, iz);
-                const hD = getHeight(ix, iz - 1);
-                const hU = getHeight(ix, iz + 1);
-                const nx = (hL - hR) / (2 * step);
-                const nz = (hD - hU) / (2 * step);
-                const ny = 1.0;
-                const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
-                normals[nIdx] = nx / len;
-                normals[nIdx + 1] = ny / len;
-                normals[nIdx + 2] = nz / len;
-            }
-        }
+    /**
+     * True when no chunk build is queued or in flight, i.e. streaming has caught up with the
+     * last update() position
+     */
+    get isSettled() {
+        return this.buildQueue.length === 0 && (!this.workerPool || this.workerPool.pendingCount === 0);
+    }
 
-        // Generate Indices
-        const indexCount = segments * segments * 6;
-        const indices = new Uint32Array(indexCount);
-        let iIdx = 0;
-        for (let iz = 0; iz < segments; iz++) {
-            for (let ix = 0; ix < segments; ix++) {
-                const a = iz * width + ix;
-                const b = iz * width + ix + 1;
-                const c = (iz + 1) * width + ix;
-                const d = (iz + 1) * width + ix + 1;
-                indices[iIdx++] = a; indices[iIdx++] = c; indices[iIdx++] = b;
-                indices[iIdx++] = c; indices[iIdx++] = d; indices[iIdx++] = b;
-            }
-        }
+    /**
+     * Chunks that currently have geometry
+     */
+    getLoadedChunks() {
+        return [...this.chunks.values()].filter(chunk => chunk.isReady);
+    }
 
-        return { positions, normals, uvs, indices, minHeight, maxHeight };
+    _generateChunkData(x, z, size, segments) {
+        return this.generator.generateChunkData(x, z, size, segments, this.SKIRT_DEPTH);
     }
 
     _applyChunkToBatchedMesh(chunk, geometry) {
@@ -177,9 +548,12 @@ export class TerrainSystem {
                 this.batchedMesh.setGeometryAt(chunk.lastGeoId, geometry);
                 this.batchedMesh.setVisibleAt(chunk.instanceId, true);
             } else if (this.activeChunksCount < this.maxInstances) {
-                chunk.lastGeoId = this.batchedMesh.addGeometry(geometry, 5000, 30000);
+                chunk.lastGeoId = this.batchedMesh.addGeometry(geometry, this.VERTICES_PER_CHUNK, this.INDICES_PER_CHUNK);
                 chunk.instanceId = this.batchedMesh.addInstance(chunk.lastGeoId);
                 this.activeChunksCount++;
+            } else {
+                console.warn('TerrainSystem: BatchedMesh budget exhausted, chunk skipped');
+                return;
             }
         } else {
             this.batchedMesh.setGeometryAt(chunk.lastGeoId, geometry);
@@ -197,13 +571,22 @@ export class TerrainSystem {
             this.frustum.setFromProjectionMatrix(this.projScreenMatrix);
         }
 
-        const maxViewDistance = 450;
+        this._streamChunks(playerPosition);
+        this._processBuildQueue(this.MAX_CHUNK_BUILDS_PER_FRAME);
+
+        const maxViewDistance = this.VIEW_RADIUS + this.UNLOAD_MARGIN;
+        const maxDistSq = maxViewDistance * maxViewDistance;
 
         for (const chunk of this.chunks.values()) {
             const dx = chunk.x - playerPosition.x;
             const dz = chunk.z - playerPosition.z;
             const distSq = dx * dx + dz * dz;
-            const maxDistSq = maxViewDistance * maxViewDistance;
+
+            const lodLevel = this._selectLODLevel(chunk, Math.sqrt(distSq));
+            if (lodLevel !== chunk.lodLevel) {
+                chunk.lodLevel = lodLevel;
+                this._queueChunkBuild(chunk);
+            }
 
             const inRange = distSq < maxDistSq;
             const inFrustum = this.frustum.intersectsBox(chunk.boundingBox);
@@ -216,8 +599,15 @@ export class TerrainSystem {
     }
 
     dispose() {
+        if (this.workerPool) {
+            this.workerPool.dispose();
+            this.workerPool = null;
+        }
+
         this.chunks.forEach(chunk => chunk.dispose());
         this.chunks.clear();
+        this.buildQueue.length = 0;
+        this.freeSlots.length = 0;
 
         if (this.ownsMaterial && this.material) {
             this.material.dispose();
@@ -0,0 +1,158 @@
+/**
+ * TerrainWorkerPool - Fixed set of terrain workers with a FIFO job queue.
+ *
+ * Each worker runs one job at a time. Jobs can be cancelled while queued (dropped)
+ * or in flight (result discarded on arrival).
+ *
+ * Usage:
+ *   if (TerrainWorkerPool.isSupported()) pool = new TerrainWorkerPool({ seed });
+ *   const id = pool.request({ x, z, size, segments }, (data) => { ... });
+ *   pool.cancel(id);
+ *
+ * With a FrameProfiler in `profiler`, each finished job's time from dispatch to result is recorded
+ * as the off-thread 'workers' scope.
+ */
+export class TerrainWorkerPool {
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * @param {Object} config - Serializable generator config (see ChunkGenerator.createTerrainSampler)
+     * @param {number} [workerCount] - Defaults to hardwareConcurrency - 1, clamped to 1..4
+     */
+    constructor(config, workerCount = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.jobs = new Map(); // requestId -> { callback, worker, cancelled, startTime }
+        this.nextRequestId = 1;
+        this.profiler = null;
+        this._heightmapSource = null; // Last one sent; it can be megabytes, so it's only resent when replaced
+
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(new URL('./terrain.worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (e) => this._onMessage(worker, e.data);
+            worker.onerror = (e) => this._onError(worker, e);
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+        }
+
+        this.configure(config);
+    }
+
+    get size() {
+        return this.workers.length;
+    }
+
+    /**
+     * Number of jobs queued or in flight
+     */
+    get pendingCount() {
+        return this.jobs.size;
+    }
+
+    /**
+     * Send a new generator config to every worker. Jobs queued afterwards use it.
+     * The heightmap source is only copied to the workers when it is a different object from last
+     * time, so replace it (TerrainSystem.setHeightmap) rather than editing its data in place.
+     */
+    configure(config) {
+        const { heightmap = null, ...rest } = config;
+        const heightmapChanged = heightmap !== this._heightmapSource;
+        this._heightmapSource = heightmap;
+
+        for (const worker of this.workers) {
+            if (heightmapChanged) worker.postMessage({ type: 'heightmap', heightmap });
+            worker.postMessage({ type: 'configure', config: rest });
+        }
+    }
+
+    /**
+     * Patch the workers' sculpted height deltas (see HeightDeltaLayer)
+     * @param {{ cellSize: number, tileSize: number, tiles: Array<[number, Float32Array]>, reset?: boolean }} patch
+     */
+    updateHeightDeltas(patch) {
+        for (const worker of this.workers) {
+            worker.postMessage({ type: 'heightDeltas', ...patch });
+        }
+    }
+
+    /**
+     * Queue a chunk generation job
+     * @param {{ x: number, z: number, size: number, segments: number }} params
+     * @param {(data: Object|null) => void} callback - Receives the chunk data, or null if the worker failed
+     * @returns {number} requestId
+     */
+    request(params, callback) {
+        const requestId = this.nextRequestId++;
+        this.jobs.set(requestId, { callback, worker: null, cancelled: false, startTime: 0 });
+        this.queue.push({ type: 'generate', requestId, ...params });
+        this._dispatch();
+        return requestId;
+    }
+
+    /**
+     * Cancel a stale request. Its callback will never be called.
+     */
+    cancel(requestId) {
+        const job = this.jobs.get(requestId);
+        if (!job) return;
+
+        if (job.worker) {
+            // Already running - let the worker finish, drop the result
+            job.cancelled = true;
+        } else {
+            const queueIndex = this.queue.findIndex(msg => msg.requestId === requestId);
+            if (queueIndex !== -1) this.queue.splice(queueIndex, 1);
+            this.jobs.delete(requestId);
+        }
+    }
+
+    _dispatch() {
+        while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+            const worker = this.idleWorkers.pop();
+            const msg = this.queue.shift();
+            const job = this.jobs.get(msg.requestId);
+            job.worker = worker;
+            job.startTime = performance.now();
+            worker.postMessage(msg);
+        }
+    }
+
+    _onMessage(worker, data) {
+        if (data.type !== 'result') return;
+
+        const job = this.jobs.get(data.requestId);
+        this.jobs.delete(data.requestId);
+        this.idleWorkers.push(worker);
+
+        if (job && this.profiler) this.profiler.record('workers', performance.now() - job.startTime, { offThread: true });
+        if (job && !job.cancelled) job.callback(data);
+        this._dispatch();
+    }
+
+    _onError(worker, error) {
+        console.error('Terrain worker error:', error);
+
+        // Fail the job this worker was running so the caller can fall back
+        for (const [requestId, job] of this.jobs) {
+            if (job.worker !== worker) continue;
+            this.jobs.delete(requestId);
+            if (!job.cancelled) job.callback(null);
+        }
+
+        this.idleWorkers.push(worker);
+        this._dispatch();
+    }
+
+    dispose() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.jobs.clear();
+    }
+}
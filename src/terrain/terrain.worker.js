@@ -0,0 +1,51 @@
+import { createTerrainSampler, generateChunkData } from './ChunkGenerator.js';
+import { HeightDeltaLayer } from './HeightDeltaLayer.js';
+
+/**
+ * Terrain worker - generates chunk meshes off the main thread.
+ *
+ * Messages in:
+ *   { type: 'heightmap', heightmap }   - Heightmap source for the following configs (sent only when replaced)
+ *   { type: 'configure', config }      - Generator config without the heightmap
+ *   { type: 'heightDeltas', cellSize, tileSize, tiles, reset }
+ *   { type: 'generate', requestId, x, z, size, segments, skirtDepth }
+ * Messages out:
+ *   { type: 'result', requestId, positions, normals, uvs, colors, indices, minHeight, maxHeight, segments }
+ */
+let sampler = null;
+let heightmap = null;
+let deltas = new HeightDeltaLayer();
+
+// Generated height plus sculpted deltas, mirroring TerrainSystem.getHeight()
+const chunkSampler = {
+    getHeight: (x, z) => sampler.getHeight(x, z) + deltas.sample(x, z),
+    getColor: null,
+};
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    switch (msg.type) {
+        case 'heightmap':
+            heightmap = msg.heightmap;
+            break;
+
+        case 'configure':
+            sampler = createTerrainSampler({ ...msg.config, heightmap });
+            chunkSampler.getColor = sampler.getColor;
+            break;
+
+        case 'heightDeltas':
+            if (msg.reset) deltas = new HeightDeltaLayer(msg.cellSize, msg.tileSize);
+            deltas.setTiles(msg.tiles);
+            break;
+
+        case 'generate': {
+            const data = generateChunkData(chunkSampler, msg.x, msg.z, msg.size, msg.segments, msg.skirtDepth);
+            const transfer = [data.positions.buffer, data.normals.buffer, data.uvs.buffer, data.indices.buffer];
+            if (data.colors) transfer.push(data.colors.buffer);
+            self.postMessage({ type: 'result', requestId: msg.requestId, segments: msg.segments, ...data }, transfer);
+            break;
+        }
+    }
+};
@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+
+/**
+ * InstancePool - One growable InstancedMesh shared by many owners.
+ *
+ * add() returns a handle whose `index` is kept up to date: remove() swaps the last
+ * instance into the freed slot so the live instances always occupy [0, count).
+ */
+export class InstancePool {
+    constructor(scene, geometry, material, initialCapacity = 256) {
+        this.scene = scene;
+        this.geometry = geometry;
+        this.material = material;
+        this.handles = [];
+        this.mesh = this._createMesh(initialCapacity);
+        this.scene.add(this.mesh);
+
+        this._matrix = new THREE.Matrix4();
+    }
+
+    get count() {
+        return this.mesh.count;
+    }
+
+    _createMesh(capacity) {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.count = 0;
+        // Instances span the whole streamed area; per-instance bounds are not worth maintaining
+        mesh.frustumCulled = false;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        return mesh;
+    }
+
+    _grow() {
+        const old = this.mesh;
+        const mesh = this._createMesh(old.instanceMatrix.count * 2);
+        mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        mesh.count = old.count;
+        mesh.castShadow = old.castShadow;
+        mesh.receiveShadow = old.receiveShadow;
+
+        this.scene.remove(old);
+        old.dispose();
+        this.scene.add(mesh);
+        this.mesh = mesh;
+    }
+
+    /**
+     * @param {THREE.Matrix4} matrix
+     * @returns {{ index: number }} handle
+     */
+    add(matrix) {
+        if (this.mesh.count >= this.mesh.instanceMatrix.count) this._grow();
+
+        const handle = { index: this.mesh.count };
+        this.handles[handle.index] = handle;
+        this.mesh.setMatrixAt(handle.index, matrix);
+        this.mesh.count++;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        return handle;
+    }
+
+    remove(handle) {
+        if (handle.index === -1) return;
+
+        const last = this.mesh.count - 1;
+        if (handle.index !== last) {
+            this.mesh.getMatrixAt(last, this._matrix);
+            this.mesh.setMatrixAt(handle.index, this._matrix);
+            const moved = this.handles[last];
+            moved.index = handle.index;
+            this.handles[handle.index] = moved;
+        }
+
+        this.handles.length = last;
+        this.mesh.count = last;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        handle.index = -1;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.handles = [];
+    }
+}
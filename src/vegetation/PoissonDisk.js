@@ -0,0 +1,116 @@
+/**
+ * Seeded sampling helpers for deterministic object placement.
+ */
+
+/**
+ * Mulberry32 PRNG - fast, 32-bit state, good enough for placement
+ * @param {number} seed
+ * @returns {() => number} Uniform random in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash integers into a 32-bit seed (e.g. world seed + chunk coords + layer)
+ */
+export function hashSeed(...values) {
+    let h = 2166136261;
+    for (const value of values) {
+        h = Math.imul(h ^ (value | 0), 16777619);
+        h ^= h >>> 13;
+    }
+    return h >>> 0;
+}
+
+/**
+ * Bridson's Poisson-disk sampling over a width x height rectangle starting at (0, 0).
+ * @param {number} width
+ * @param {number} height
+ * @param {number} minDistance - No two points closer than this
+ * @param {() => number} random - Seeded random source (same seed = same points)
+ * @param {number} [maxAttempts=30] - Candidates tried around each active point
+ * @returns {Array<[number, number]>}
+ */
+export function poissonDiskSample(width, height, minDistance, random, maxAttempts = 30) {
+    const cellSize = minDistance / Math.SQRT2;
+    const gridWidth = Math.ceil(width / cellSize);
+    const gridHeight = Math.ceil(height / cellSize);
+    const grid = new Int32Array(gridWidth * gridHeight).fill(-1);
+    const minDistSq = minDistance * minDistance;
+
+    // Flat coordinate storage: one point per grid cell at most
+    const xs = new Float64Array(gridWidth * gridHeight);
+    const ys = new Float64Array(gridWidth * gridHeight);
+    const active = new Int32Array(gridWidth * gridHeight);
+    let pointCount = 0;
+    let activeCount = 0;
+
+    const addPoint = (x, y) => {
+        xs[pointCount] = x;
+        ys[pointCount] = y;
+        active[activeCount++] = pointCount;
+        grid[Math.floor(y / cellSize) * gridWidth + Math.floor(x / cellSize)] = pointCount;
+        pointCount++;
+    };
+
+    const isFarEnough = (x, y) => {
+        const gx = Math.floor(x / cellSize);
+        const gy = Math.floor(y / cellSize);
+        const minX = Math.max(0, gx - 2);
+        const maxX = Math.min(gridWidth - 1, gx + 2);
+        const maxY = Math.min(gridHeight - 1, gy + 2);
+        for (let oy = Math.max(0, gy - 2); oy <= maxY; oy++) {
+            const row = oy * gridWidth;
+            for (let ox = minX; ox <= maxX; ox++) {
+                const neighbour = grid[row + ox];
+                if (neighbour === -1) continue;
+                const dx = xs[neighbour] - x;
+                const dy = ys[neighbour] - y;
+                if (dx * dx + dy * dy < minDistSq) return false;
+            }
+        }
+        return true;
+    };
+
+    addPoint(random() * width, random() * height);
+
+    while (activeCount > 0) {
+        const activeIndex = Math.floor(random() * activeCount);
+        const px = xs[active[activeIndex]];
+        const py = ys[active[activeIndex]];
+        let found = false;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const angle = random() * Math.PI * 2;
+            const radius = minDistance * (1 + random());
+            const x = px + Math.cos(angle) * radius;
+            const y = py + Math.sin(angle) * radius;
+
+            if (x < 0 || x >= width || y < 0 || y >= height) continue;
+            if (!isFarEnough(x, y)) continue;
+
+            addPoint(x, y);
+            found = true;
+            break;
+        }
+
+        if (!found) {
+            // Swap-remove exhausted point
+            active[activeIndex] = active[--activeCount];
+        }
+    }
+
+    const points = new Array(pointCount);
+    for (let i = 0; i < pointCount; i++) {
+        points[i] = [xs[i], ys[i]];
+    }
+    return points;
+}
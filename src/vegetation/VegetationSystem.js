@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+import { InstancePool } from './InstancePool.js';
+import { poissonDiskSample, createSeededRandom, hashSeed } from './PoissonDisk.js';
+import { getModifierBounds, getModifierDistance } from '../terrain/HeightModifiers.js';
+
+const NATURE_PACK = '/assets/pack/Ultimate Stylized Nature Pack';
+
+/**
+ * Scatter rules. Models are authored in metres; the world runs at 1 unit = 10 m, hence the small scales.
+ *   minDistance  - Poisson-disk spacing (world units)
+ *   density      - Chance each Poisson point is kept (0..1)
+ *   maxSlope     - Degrees from horizontal
+ *   minHeight/maxHeight - Terrain height range
+ *   biomes       - Optional { biomeId: weight } multiplier on density (ignored when terrain has no biomes)
+ *   alignToNormal - Tilt with the terrain instead of standing upright
+ *   collider     - Optional upright capsule { radius, height } in model metres (scaled with the instance),
+ *                  registered with the VegetationSystem's collisionWorld
+ *   castShadow   - Instances cast sun shadows (default true; off for ground cover too small to matter)
+ */
+export const DEFAULT_VEGETATION_RULES = [
+    { id: 'trees', url: `${NATURE_PACK}/Trees.glb`, minDistance: 3, density: 0.5, scale: [0.12, 0.2], maxSlope: 25, maxHeight: 14, biomes: { forest: 1, farmland: 0.15 }, collider: { radius: 0.3, height: 4 } },
+    { id: 'maple', url: `${NATURE_PACK}/Maple Trees.glb`, minDistance: 4, density: 0.35, scale: [0.12, 0.18], maxSlope: 25, maxHeight: 14, biomes: { forest: 0.8 }, collider: { radius: 0.3, height: 4 } },
+    { id: 'pine', url: `${NATURE_PACK}/Pine Trees.glb`, minDistance: 3, density: 0.6, scale: [0.14, 0.22], maxSlope: 35, minHeight: 4, biomes: { snow: 1, forest: 0.3 }, collider: { radius: 0.3, height: 4 } },
+    { id: 'palm', url: `${NATURE_PACK}/Palm Trees.glb`, minDistance: 6, density: 0.25, scale: [0.14, 0.2], maxSlope: 20, biomes: { desert: 1 }, collider: { radius: 0.25, height: 4 } },
+    { id: 'bushes', url: `${NATURE_PACK}/Bushes.glb`, minDistance: 3, density: 0.4, scale: [0.15, 0.3], maxSlope: 30, biomes: { forest: 1, farmland: 0.5 } },
+    { id: 'flowers', url: `${NATURE_PACK}/Flowers.glb`, minDistance: 3, density: 0.3, scale: [0.1, 0.15], maxSlope: 20, biomes: { farmland: 1, forest: 0.3 }, castShadow: false },
+    { id: 'grass', url: `${NATURE_PACK}/Grass.glb`, minDistance: 2.5, density: 0.5, scale: [0.08, 0.14], maxSlope: 30, alignToNormal: true, biomes: { farmland: 1, forest: 0.6 }, castShadow: false },
+    { id: 'rocks', url: `${NATURE_PACK}/Rocks.glb`, minDistance: 8, density: 0.3, scale: [0.1, 0.3], maxSlope: 60, alignToNormal: true, collider: { radius: 0.6, height: 1 } },
+];
+
+/**
+ * VegetationSystem - Deterministic per-chunk scattering of the Stylized Nature Pack.
+ *
+ * Instances live and die with terrain chunks (chunkLoaded / chunkUnloaded / chunkInvalidated)
+ * and are drawn through one InstancePool per model part, so draw calls don't grow with
+ * the number of chunks.
+ *
+ * Usage:
+ *   const vegetation = new VegetationSystem(scene, terrainSystem, assetManager);
+ *   vegetation.collisionWorld = collisionWorld; // Optional: make trees and rocks solid
+ *   await vegetation.init();
+ *   // In render loop:
+ *   vegetation.update();
+ */
+export class VegetationSystem {
+    constructor(scene, terrainSystem, assetManager, rules = DEFAULT_VEGETATION_RULES) {
+        this.scene = scene;
+        this.terrainSystem = terrainSystem;
+        this.assetManager = assetManager;
+        this.rules = rules;
+        this.loadedUrls = [];
+
+        // Scattering is sliced into one (chunk, rule) pass at a time to keep frames smooth
+        this.MAX_RULE_PASSES_PER_FRAME = 2;
+
+        this.prototypes = new Map(); // rule id -> [{ parts: [{ pool, matrix }] }] (one entry per variant)
+        this.chunkInstances = new Map(); // chunk -> [{ pool, handle }]
+        this.chunkColliders = new Map(); // chunk -> [collider]
+        this.collisionWorld = null; // CollisionWorld for rules with a collider
+        this.spawnQueue = []; // [{ chunk, ruleIndex }]
+        this.isLoaded = false;
+
+        // Areas kept clear of vegetation (yards, roads...) - same shape as a 'flatten' modifier
+        this.exclusionZones = [];
+
+        this._matrix = new THREE.Matrix4();
+        this._position = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+        this._tilt = new THREE.Quaternion();
+        this._scale = new THREE.Vector3();
+        this._up = new THREE.Vector3(0, 1, 0);
+
+        this._onChunkLoaded = (e) => this._queueChunk(e.chunk);
+        this._onChunkUnloaded = (e) => this._despawnChunk(e.chunk);
+        this._onChunkInvalidated = (e) => {
+            this._despawnChunk(e.chunk);
+            this._queueChunk(e.chunk);
+        };
+    }
+
+    /**
+     * Load every rule's model and start following terrain chunks
+     */
+    async init() {
+        await Promise.all(this.rules.map(async (rule) => {
+            try {
+                const gltf = await this.assetManager.load(rule.url);
+                this.loadedUrls.push(rule.url);
+                // Clone so the cached scene isn't rearranged (geometry and materials stay shared)
+                this.prototypes.set(rule.id, this._extractVariants(gltf.scene.clone(), rule));
+            } catch (error) {
+                console.error(`Failed to load vegetation "${rule.id}":`, error);
+            }
+        }));
+
+        this.terrainSystem.addEventListener('chunkLoaded', this._onChunkLoaded);
+        this.terrainSystem.addEventListener('chunkUnloaded', this._onChunkUnloaded);
+        this.terrainSystem.addEventListener('chunkInvalidated', this._onChunkInvalidated);
+
+        // Chunks that finished before we were listening
+        for (const chunk of this.terrainSystem.getLoadedChunks()) {
+            this._queueChunk(chunk);
+        }
+
+        this.isLoaded = true;
+        console.log(`🌲 Vegetation loaded (${this.prototypes.size} models)`);
+        return this;
+    }
+
+    /**
+     * Split a pack scene into variants. The nature pack nests each variant under a RootNode,
+     * laid out side by side along X; that layout offset is dropped so each variant sits at the origin.
+     */
+    _extractVariants(root, rule) {
+        root.updateMatrixWorld(true);
+        const container = root.children.length === 1 && root.children[0].children.length > 0
+            ? root.children[0]
+            : root;
+
+        const variants = [];
+        for (const variantNode of [...container.children]) {
+            variantNode.position.set(0, 0, 0);
+            variantNode.updateMatrixWorld(true);
+            const variantInverse = new THREE.Matrix4().copy(container.matrixWorld).invert();
+
+            const parts = [];
+            variantNode.traverse((object) => {
+                if (!object.isMesh) return;
+                const matrix = new THREE.Matrix4().multiplyMatrices(variantInverse, object.matrixWorld);
+                const pool = new InstancePool(this.scene, object.geometry, object.material);
+                pool.mesh.castShadow = rule.castShadow ?? true;
+                pool.mesh.receiveShadow = true;
+                parts.push({ pool, matrix });
+            });
+
+            if (parts.length > 0) variants.push({ parts });
+        }
+
+        return variants;
+    }
+
+    /**
+     * Keep vegetation out of a rotated rectangle { x, z, halfWidth, halfDepth, rotation }.
+     * Chunks under the zone are re-scattered.
+     */
+    addExclusionZone(zone) {
+        this.exclusionZones.push(zone);
+        this._rescatterZone(zone);
+    }
+
+    removeExclusionZone(zone) {
+        const index = this.exclusionZones.indexOf(zone);
+        if (index === -1) return;
+        this.exclusionZones.splice(index, 1);
+        this._rescatterZone(zone);
+    }
+
+    _rescatterZone(zone) {
+        const bounds = getModifierBounds({ type: 'flatten', ...zone });
+        for (const chunk of [...this.chunkInstances.keys()]) {
+            const half = chunk.size / 2;
+            if (bounds.maxX < chunk.x - half || bounds.minX > chunk.x + half ||
+                bounds.maxZ < chunk.z - half || bounds.minZ > chunk.z + half) continue;
+            this._despawnChunk(chunk);
+            this._queueChunk(chunk);
+        }
+    }
+
+    _isExcluded(x, z) {
+        for (const zone of this.exclusionZones) {
+            if (getModifierDistance(zone, x, z) === 0) return true;
+        }
+        return false;
+    }
+
+    _queueChunk(chunk) {
+        if (this.chunkInstances.has(chunk)) return;
+
+        this.chunkInstances.set(chunk, []);
+        this.rules.forEach((rule, ruleIndex) => {
+            if (this.prototypes.get(rule.id)?.length > 0) {
+                this.spawnQueue.push({ chunk, ruleIndex });
+            }
+        });
+    }
+
+    update() {
+        if (!this.isLoaded) return;
+
+        let processed = 0;
+        while (this.spawnQueue.length > 0 && processed < this.MAX_RULE_PASSES_PER_FRAME) {
+            const { chunk, ruleIndex } = this.spawnQueue.shift();
+            this._scatterRule(chunk, ruleIndex, this.chunkInstances.get(chunk));
+            processed++;
+        }
+    }
+
+    _scatterRule(chunk, ruleIndex, instances) {
+        const terrain = this.terrainSystem;
+        const rule = this.rules[ruleIndex];
+        const variants = this.prototypes.get(rule.id);
+        const half = chunk.size / 2;
+        const chunkX = Math.round(chunk.x / chunk.size);
+        const chunkZ = Math.round(chunk.z / chunk.size);
+
+        // Same seed + chunk + rule always yields the same layout
+        const random = createSeededRandom(hashSeed(terrain.NOISE_SEED, chunkX, chunkZ, ruleIndex));
+        const points = poissonDiskSample(chunk.size, chunk.size, rule.minDistance, random);
+        const maxSlopeCos = Math.cos(THREE.MathUtils.degToRad(rule.maxSlope ?? 90));
+
+        for (const [px, pz] of points) {
+            const x = chunk.x - half + px;
+            const z = chunk.z - half + pz;
+
+            // Draw every random number up front so rejections don't shift later points
+            const keepRoll = random();
+            const variantRoll = random();
+            const yaw = random() * Math.PI * 2;
+            const scaleRoll = random();
+
+            let density = rule.density ?? 1;
+            if (rule.biomes) {
+                const biome = terrain.getBiomeAt(x, z);
+                if (biome) {
+                    let weight = 0;
+                    for (const id in rule.biomes) weight += (biome.weights[id] || 0) * rule.biomes[id];
+                    density *= weight;
+                }
+            }
+            if (keepRoll >= density) continue;
+            if (this._isExcluded(x, z)) continue;
+
+            const height = terrain.getHeight(x, z);
+            if (height < (rule.minHeight ?? -Infinity) || height > (rule.maxHeight ?? Infinity)) continue;
+
+            const normal = terrain.getNormal(x, z);
+            if (normal.y < maxSlopeCos) continue;
+
+            const [minScale, maxScale] = rule.scale ?? [1, 1];
+            const scale = minScale + (maxScale - minScale) * scaleRoll;
+
+            this._quaternion.setFromAxisAngle(this._up, yaw);
+            if (rule.alignToNormal) {
+                this._tilt.setFromUnitVectors(this._up, normal);
+                this._quaternion.premultiply(this._tilt);
+            }
+            this._position.set(x, height, z);
+            this._scale.setScalar(scale);
+
+            const variant = variants[Math.floor(variantRoll * variants.length)];
+            for (const part of variant.parts) {
+                this._matrix.compose(this._position, this._quaternion, this._scale).multiply(part.matrix);
+                instances.push({ pool: part.pool, handle: part.pool.add(this._matrix) });
+            }
+
+            if (rule.collider && this.collisionWorld) {
+                const collider = this.collisionWorld.addCapsule(this._position, rule.collider.height * scale, rule.collider.radius * scale);
+                let colliders = this.chunkColliders.get(chunk);
+                if (!colliders) {
+                    colliders = [];
+                    this.chunkColliders.set(chunk, colliders);
+                }
+                colliders.push(collider);
+            }
+        }
+    }
+
+    _despawnChunk(chunk) {
+        this.spawnQueue = this.spawnQueue.filter(job => job.chunk !== chunk);
+
+        const instances = this.chunkInstances.get(chunk);
+        if (!instances) return;
+
+        for (const { pool, handle } of instances) {
+            pool.remove(handle);
+        }
+        this.chunkInstances.delete(chunk);
+        this._removeColliders(chunk);
+    }
+
+    _removeColliders(chunk) {
+        const colliders = this.chunkColliders.get(chunk);
+        if (!colliders) return;
+
+        for (const collider of colliders) {
+            this.collisionWorld?.remove(collider);
+        }
+        this.chunkColliders.delete(chunk);
+    }
+
+    /**
+     * Total live instances across all models
+     */
+    getInstanceCount() {
+        let count = 0;
+        for (const instances of this.chunkInstances.values()) count += instances.length;
+        return count;
+    }
+
+    dispose() {
+        this.terrainSystem.removeEventListener('chunkLoaded', this._onChunkLoaded);
+        this.terrainSystem.removeEventListener('chunkUnloaded', this._onChunkUnloaded);
+        this.terrainSystem.removeEventListener('chunkInvalidated', this._onChunkInvalidated);
+
+        for (const variants of this.prototypes.values()) {
+            for (const variant of variants) {
+                for (const part of variant.parts) {
+                    part.pool.dispose();
+                }
+            }
+        }
+
+        // Geometry, materials and textures belong to the AssetManager
+        for (const url of this.loadedUrls) {
+            this.assetManager.release(url);
+        }
+        this.loadedUrls = [];
+
+        for (const chunk of [...this.chunkColliders.keys()]) {
+            this._removeColliders(chunk);
+        }
+
+        this.prototypes.clear();
+        this.chunkInstances.clear();
+        this.spawnQueue = [];
+        this.isLoaded = false;
+    }
+}
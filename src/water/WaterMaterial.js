@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+
+/**
+ * WaterMaterial - Stylised water surface.
+ *
+ * Colour runs from shallowColor to deepColor with the water depth, which comes in per vertex as
+ * a `waterDepth` attribute (surface height minus terrain height, sampled on the CPU by
+ * WaterSystem) - no depth prepass needed. Foam breaks up along the shoreline where the depth
+ * drops below foamDepth. Normals are a sum of scrolling directional waves, lit by the sun
+ * (specular) and reflecting skyColor by fresnel. Works from below the surface too.
+ */
+export class WaterMaterial extends THREE.ShaderMaterial {
+    /**
+     * @param {Object} [options]
+     * @param {THREE.ColorRepresentation} [options.shallowColor=0x3fb6b0]
+     * @param {THREE.ColorRepresentation} [options.deepColor=0x0b3a5a]
+     * @param {THREE.ColorRepresentation} [options.foamColor=0xf4fbff]
+     * @param {number} [options.depthFalloff=0.6] - Depth (world units) over which shallow turns deep
+     * @param {number} [options.foamDepth=0.05] - Depth below which shoreline foam appears (~0.5 m)
+     * @param {number} [options.waveScale=4] - Wave frequency in cycles per world unit
+     * @param {number} [options.waveStrength=0.12] - Normal perturbation
+     */
+    constructor(options = {}) {
+        super({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                {
+                    time: { value: 0 },
+                    shallowColor: { value: new THREE.Color(options.shallowColor ?? 0x3fb6b0) },
+                    deepColor: { value: new THREE.Color(options.deepColor ?? 0x0b3a5a) },
+                    foamColor: { value: new THREE.Color(options.foamColor ?? 0xf4fbff) },
+                    skyColor: { value: new THREE.Color(0x9ab0c8) },
+                    sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                    sunColor: { value: new THREE.Color(0xffffff) },
+                    ambientColor: { value: new THREE.Color(0x666666) },
+                    depthFalloff: { value: options.depthFalloff ?? 0.6 },
+                    foamDepth: { value: options.foamDepth ?? 0.05 },
+                    waveScale: { value: options.waveScale ?? 4 },
+                    waveStrength: { value: options.waveStrength ?? 0.12 },
+                },
+            ]),
+            vertexShader: /* glsl */`
+                attribute float waterDepth;
+                varying float vDepth;
+                varying vec3 vWorldPosition;
+
+                #include <common>
+                #include <fog_pars_vertex>
+
+                void main() {
+                    vDepth = waterDepth;
+                    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                    vWorldPosition = worldPosition.xyz;
+                    vec4 mvPosition = viewMatrix * worldPosition;
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: /* glsl */`
+                uniform float time;
+                uniform vec3 shallowColor;
+                uniform vec3 deepColor;
+                uniform vec3 foamColor;
+                uniform vec3 skyColor;
+                uniform vec3 sunDirection;
+                uniform vec3 sunColor;
+                uniform vec3 ambientColor;
+                uniform float depthFalloff;
+                uniform float foamDepth;
+                uniform float waveScale;
+                uniform float waveStrength;
+                varying float vDepth;
+                varying vec3 vWorldPosition;
+
+                #include <common>
+                #include <fog_pars_fragment>
+
+                // Slope (d height / dx, dz) of one travelling wave
+                vec2 waveSlope(vec2 p, vec2 direction, float frequency, float speed, float amplitude) {
+                    float phase = dot(direction, p) * frequency + time * speed;
+                    return direction * (amplitude * frequency * cos(phase));
+                }
+
+                float valueNoise(vec2 p) {
+                    vec2 i = floor(p);
+                    vec2 f = fract(p);
+                    f = f * f * (3.0 - 2.0 * f);
+                    float a = rand(i);
+                    float b = rand(i + vec2(1.0, 0.0));
+                    float c = rand(i + vec2(0.0, 1.0));
+                    float d = rand(i + vec2(1.0, 1.0));
+                    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+                }
+
+                void main() {
+                    vec2 p = vWorldPosition.xz * waveScale;
+                    vec2 slope = waveSlope(p, normalize(vec2(1.0, 0.3)), 1.0, 1.1, 0.5)
+                        + waveSlope(p, normalize(vec2(-0.4, 1.0)), 1.7, 1.6, 0.3)
+                        + waveSlope(p, normalize(vec2(0.8, -0.7)), 3.1, 2.3, 0.15)
+                        + waveSlope(p, normalize(vec2(-1.0, -0.2)), 5.3, 3.1, 0.08);
+                    vec3 normal = normalize(vec3(-slope.x * waveStrength, 1.0, -slope.y * waveStrength));
+                    if (!gl_FrontFacing) normal = -normal;
+
+                    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+                    float depth = max(vDepth, 0.0);
+
+                    // Body colour by depth, lit like a rough diffuse surface
+                    float deepness = 1.0 - exp(-depth / depthFalloff);
+                    vec3 body = mix(shallowColor, deepColor, deepness);
+                    vec3 color = body * (ambientColor + sunColor * max(dot(normal, sunDirection), 0.0) * 0.5);
+
+                    // Sky reflection and sun glint
+                    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(normal, viewDirection), 0.0), 5.0);
+                    color = mix(color, skyColor, fresnel * 0.7);
+                    vec3 halfVector = normalize(sunDirection + viewDirection);
+                    color += sunColor * pow(max(dot(normal, halfVector), 0.0), 180.0) * 2.0;
+
+                    // Shoreline foam: a noisy band that thins out with depth and drifts over time
+                    float shore = 1.0 - smoothstep(0.0, foamDepth, depth);
+                    float foamNoise = valueNoise(vWorldPosition.xz * 60.0 + vec2(time * 0.4, time * 0.25));
+                    float foam = smoothstep(0.45, 0.65, foamNoise * 0.6 + shore * 0.7) * shore;
+                    color = mix(color, foamColor * (ambientColor + sunColor * 0.5), foam);
+
+                    float alpha = max(mix(0.45, 0.95, deepness), foam);
+                    gl_FragColor = vec4(color, alpha);
+
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
+                    #include <fog_fragment>
+                }
+            `,
+            transparent: true,
+            side: THREE.DoubleSide,
+            fog: true,
+        });
+
+        this.type = 'WaterMaterial';
+    }
+}
@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { WaterMaterial } from './WaterMaterial.js';
+
+const _color = new THREE.Color();
+const _sunDirection = new THREE.Vector3();
+
+/**
+ * WaterSystem - Global sea level plus optional lakes, with the queries gameplay needs.
+ *
+ * The sea is one grid that follows the camera (snapped, so the surface doesn't swim). Each vertex
+ * carries the water depth under it, sampled from TerrainSystem.getHeight; re-sampling after the
+ * grid moves or the terrain changes is spread over several frames (samplesPerFrame) so it never
+ * hitches. Lakes are static discs with their own surface level, sampled once and again whenever
+ * terrain chunks are invalidated (sculpting, heightmap swaps).
+ *
+ * While the camera is below a surface, the scene fog is swapped for an underwater tint for the
+ * duration of the render only, so whatever drives the fog (DayNightCycle) is left untouched.
+ *
+ * Usage:
+ *   const water = new WaterSystem(scene, terrainSystem, { seaLevel: -0.5, sunLight, ambientLight });
+ *   water.addLake({ x: 40, z: -20, radius: 12, level: 3 });
+ *   player.controller.water = water; // Swimming
+ *   // In render loop:
+ *   water.update(deltaTime, camera);
+ */
+export class WaterSystem {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {TerrainSystem} terrainSystem
+     * @param {Object} [options]
+     * @param {number|null} [options.seaLevel=-0.5] - null for no sea (lakes only)
+     * @param {number} [options.size=160] - Sea grid size in world units
+     * @param {number} [options.segments=128] - Sea grid resolution
+     * @param {number} [options.samplesPerFrame=1500] - Depth samples per frame while re-sampling
+     * @param {THREE.DirectionalLight} [options.sunLight] - Lights the surface (direction, colour)
+     * @param {THREE.AmbientLight} [options.ambientLight]
+     * @param {THREE.ColorRepresentation} [options.underwaterColor=0x1d5a6e]
+     * @param {number} [options.underwaterVisibility=3] - Fog distance underwater (~30 m)
+     * @param {Object} [options.material] - WaterMaterial options
+     */
+    constructor(scene, terrainSystem, options = {}) {
+        this.scene = scene;
+        this.terrainSystem = terrainSystem;
+        this.seaLevel = options.seaLevel === undefined ? -0.5 : options.seaLevel;
+        this.size = options.size ?? 160;
+        this.segments = options.segments ?? 128;
+        this.samplesPerFrame = options.samplesPerFrame ?? 1500;
+        this.sunLight = options.sunLight || null;
+        this.ambientLight = options.ambientLight || null;
+        this.underwaterColor = new THREE.Color(options.underwaterColor ?? 0x1d5a6e);
+        this.underwaterVisibility = options.underwaterVisibility ?? 3;
+
+        this.material = new WaterMaterial(options.material);
+        this.lakes = [];
+        this.isCameraUnderwater = false;
+
+        // Sea grid; recentred once the camera is an eighth of the grid away from its centre
+        this.seaMesh = null;
+        this.recenterDistance = this.size / 8;
+        this._seaJob = null; // { centerX, centerZ, depths, next }
+        if (this.seaLevel !== null) this._createSea();
+
+        // A full regeneration invalidates every loaded chunk at once: resample once, in update()
+        this._depthsDirty = false;
+        this._onChunkInvalidated = () => {
+            this._depthsDirty = true;
+        };
+        this.terrainSystem.addEventListener('chunkInvalidated', this._onChunkInvalidated);
+
+        // Underwater fog, applied only while the scene renders
+        this._savedFog = null;
+        this._underwaterFog = new THREE.Fog(this.underwaterColor, 0, this.underwaterVisibility);
+        // Chained after whatever callbacks the scene already had (restored on dispose)
+        this._sceneCallbacks = {}; // name -> { callback, previous (own property or null) }
+        this._chainSceneCallback('onBeforeRender', (renderer, scene, camera) => this._beginRender(camera), false);
+        this._chainSceneCallback('onAfterRender', () => this._endRender(), true);
+    }
+
+    /**
+     * @param {string} name - 'onBeforeRender' or 'onAfterRender'
+     * @param {Function} handler
+     * @param {boolean} first - Run before the scene's existing callback rather than after
+     */
+    _chainSceneCallback(name, handler, first) {
+        const scene = this.scene;
+        const existing = scene[name];
+        const callback = function (...args) {
+            if (first) handler(...args);
+            existing.apply(this, args);
+            if (!first) handler(...args);
+        };
+        this._sceneCallbacks[name] = { callback, previous: Object.hasOwn(scene, name) ? existing : null };
+        scene[name] = callback;
+    }
+
+    _createSea() {
+        const geometry = new THREE.PlaneGeometry(this.size, this.size, this.segments, this.segments);
+        geometry.rotateX(-Math.PI / 2);
+        const count = geometry.attributes.position.count;
+        // Until the first sampling finishes the whole sea counts as deep
+        geometry.setAttribute('waterDepth', new THREE.BufferAttribute(new Float32Array(count).fill(100), 1));
+
+        this.seaMesh = new THREE.Mesh(geometry, this.material);
+        this.seaMesh.name = 'Sea';
+        this.seaMesh.position.set(0, this.seaLevel, 0);
+        this.seaMesh.frustumCulled = false;
+        this.seaMesh.renderOrder = 1;
+        this.scene.add(this.seaMesh);
+        this._startSeaJob(0, 0);
+    }
+
+    /**
+     * Move the sea surface; null removes the sea
+     * @param {number|null} level
+     */
+    setSeaLevel(level) {
+        if (level === this.seaLevel) return;
+        this.seaLevel = level;
+
+        if (level === null) {
+            this._removeSea();
+        } else if (!this.seaMesh) {
+            this._createSea();
+        } else {
+            this.seaMesh.position.y = level;
+            this._invalidateDepths();
+        }
+    }
+
+    _removeSea() {
+        if (!this.seaMesh) return;
+        this.scene.remove(this.seaMesh);
+        this.seaMesh.geometry.dispose();
+        this.seaMesh = null;
+        this._seaJob = null;
+    }
+
+    /**
+     * Add a lake: a disc of water at `level`, where it is above the terrain
+     * @param {{ x: number, z: number, radius: number, level: number }} lake
+     * @returns {Object} The lake, as a handle for removeLake()
+     */
+    addLake({ x, z, radius, level }) {
+        const segments = Math.max(8, Math.min(128, Math.ceil(radius * 4)));
+        const source = new THREE.PlaneGeometry(radius * 2, radius * 2, segments, segments);
+        source.rotateX(-Math.PI / 2);
+
+        // Keep the triangles inside the disc
+        const position = source.attributes.position;
+        const index = source.index.array;
+        const kept = [];
+        for (let i = 0; i < index.length; i += 3) {
+            let cx = 0;
+            let cz = 0;
+            for (let v = 0; v < 3; v++) {
+                cx += position.getX(index[i + v]) / 3;
+                cz += position.getZ(index[i + v]) / 3;
+            }
+            if (cx * cx + cz * cz <= radius * radius) kept.push(index[i], index[i + 1], index[i + 2]);
+        }
+        source.setIndex(kept);
+        source.setAttribute('waterDepth', new THREE.BufferAttribute(new Float32Array(position.count), 1));
+
+        const mesh = new THREE.Mesh(source, this.material);
+        mesh.name = 'Lake';
+        mesh.position.set(x, level, z);
+        mesh.renderOrder = 1;
+        this.scene.add(mesh);
+
+        const lake = { x, z, radius, level, mesh };
+        this._sampleDepths(mesh, level);
+        this.lakes.push(lake);
+        return lake;
+    }
+
+    removeLake(lake) {
+        const index = this.lakes.indexOf(lake);
+        if (index === -1) return;
+        this.lakes.splice(index, 1);
+        this.scene.remove(lake.mesh);
+        lake.mesh.geometry.dispose();
+    }
+
+    /**
+     * Height of the water surface over a point: the highest of the sea and any lake covering it
+     * @returns {number} -Infinity where there is no water
+     */
+    getWaterLevel(x, z) {
+        let level = this.seaLevel ?? -Infinity;
+        for (const lake of this.lakes) {
+            const dx = x - lake.x;
+            const dz = z - lake.z;
+            if (lake.level > level && dx * dx + dz * dz <= lake.radius * lake.radius) level = lake.level;
+        }
+        return level;
+    }
+
+    /**
+     * Whether a point is below a water surface (and above the terrain, i.e. actually in water)
+     * @param {THREE.Vector3} position
+     */
+    isUnderwater(position) {
+        return position.y < this.getWaterLevel(position.x, position.z) &&
+            position.y > this.terrainSystem.getHeight(position.x, position.z);
+    }
+
+    /**
+     * @param {number} deltaTime
+     * @param {THREE.Camera} camera
+     */
+    update(deltaTime, camera) {
+        const uniforms = this.material.uniforms;
+        uniforms.time.value += deltaTime;
+        this._updateLighting();
+
+        if (this._depthsDirty) {
+            this._depthsDirty = false;
+            this._invalidateDepths();
+        }
+
+        if (this.seaMesh) {
+            // Follow the camera in whole grid cells, resampling in the background
+            const cell = this.size / this.segments;
+            const job = this._seaJob;
+            const centerX = job ? job.centerX : this.seaMesh.position.x;
+            const centerZ = job ? job.centerZ : this.seaMesh.position.z;
+            if (Math.abs(camera.position.x - centerX) > this.recenterDistance ||
+                Math.abs(camera.position.z - centerZ) > this.recenterDistance) {
+                this._startSeaJob(Math.round(camera.position.x / cell) * cell, Math.round(camera.position.z / cell) * cell);
+            }
+            this._continueSeaJob();
+        }
+    }
+
+    _updateLighting() {
+        const uniforms = this.material.uniforms;
+        if (this.sunLight) {
+            const sun = this.sunLight;
+            _sunDirection.subVectors(sun.position, sun.target.position).normalize();
+            uniforms.sunDirection.value.copy(_sunDirection);
+            uniforms.sunColor.value.copy(sun.color).multiplyScalar(sun.intensity);
+        }
+        if (this.ambientLight) {
+            uniforms.ambientColor.value.copy(this.ambientLight.color).multiplyScalar(this.ambientLight.intensity * 2);
+        }
+        if (this.scene.fog) uniforms.skyColor.value.copy(this.scene.fog.color);
+    }
+
+    _startSeaJob(centerX, centerZ) {
+        const count = this.seaMesh.geometry.attributes.position.count;
+        this._seaJob = { centerX, centerZ, depths: new Float32Array(count), next: 0 };
+    }
+
+    _continueSeaJob() {
+        const job = this._seaJob;
+        if (!job) return;
+
+        const position = this.seaMesh.geometry.attributes.position;
+        const end = Math.min(position.count, job.next + this.samplesPerFrame);
+        for (let i = job.next; i < end; i++) {
+            const x = job.centerX + position.getX(i);
+            const z = job.centerZ + position.getZ(i);
+            job.depths[i] = this.seaLevel - this.terrainSystem.getHeight(x, z);
+        }
+        job.next = end;
+
+        // Swap grid position and depths together so they always match
+        if (job.next === position.count) {
+            const depth = this.seaMesh.geometry.attributes.waterDepth;
+            depth.array.set(job.depths);
+            depth.needsUpdate = true;
+            this.seaMesh.position.set(job.centerX, this.seaLevel, job.centerZ);
+            this._seaJob = null;
+        }
+    }
+
+    _sampleDepths(mesh, level) {
+        const position = mesh.geometry.attributes.position;
+        const depth = mesh.geometry.attributes.waterDepth;
+        for (let i = 0; i < position.count; i++) {
+            depth.array[i] = level - this.terrainSystem.getHeight(mesh.position.x + position.getX(i), mesh.position.z + position.getZ(i));
+        }
+        depth.needsUpdate = true;
+    }
+
+    _invalidateDepths() {
+        if (this.seaMesh) {
+            const job = this._seaJob;
+            this._startSeaJob(job ? job.centerX : this.seaMesh.position.x, job ? job.centerZ : this.seaMesh.position.z);
+        }
+        for (const lake of this.lakes) this._sampleDepths(lake.mesh, lake.level);
+    }
+
+    _beginRender(camera) {
+        const p = camera.position;
+        this.isCameraUnderwater = p.y < this.getWaterLevel(p.x, p.z);
+        if (!this.isCameraUnderwater) return;
+
+        // Tint follows the brightness of the fog above water (dark at night)
+        this._savedFog = this.scene.fog;
+        const above = this._savedFog ? this._savedFog.color : _color.setScalar(1);
+        const brightness = THREE.MathUtils.clamp((above.r + above.g + above.b) / 3 * 2, 0.1, 1);
+        this._underwaterFog.color.copy(this.underwaterColor).multiplyScalar(brightness);
+        this._underwaterFog.far = this.underwaterVisibility;
+        this.scene.fog = this._underwaterFog;
+    }
+
+    _endRender() {
+        if (!this.isCameraUnderwater) return;
+        this.scene.fog = this._savedFog;
+        this._savedFog = null;
+    }
+
+    dispose() {
+        this.terrainSystem.removeEventListener('chunkInvalidated', this._onChunkInvalidated);
+        for (const [name, { callback, previous }] of Object.entries(this._sceneCallbacks)) {
+            // Left alone if something chained on top of ours since
+            if (this.scene[name] !== callback) continue;
+            if (previous) this.scene[name] = previous;
+            else delete this.scene[name];
+        }
+
+        this._removeSea();
+        for (const lake of [...this.lakes]) this.removeLake(lake);
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+const _size = new THREE.Vector2();
+
+const TYPES = {
+    // Streaks: two vertices per drop, drawn as lines along the fall direction
+    rain: { count: 12000, fallSpeed: 0.9, color: 0xaab4c4, opacity: 0.35, streakLength: 0.04, size: 0 },
+    snow: { count: 8000, fallSpeed: 0.1, color: 0xffffff, opacity: 0.9, streakLength: 0, size: 0.006 },
+};
+
+/**
+ * Precipitation - Rain or snow in a box that travels with the camera, animated entirely on the GPU.
+ *
+ * Each particle has a fixed random seed in the box; the vertex shader offsets it by the fall and
+ * wind drift so far and wraps it into the box around the camera, so there are no per-frame buffer
+ * updates and walking never runs out of particles. Particles fade out towards the box edge to hide
+ * the wrap. Intensity (0..1) only changes how many particles are drawn.
+ *
+ * Usage:
+ *   const rain = new Precipitation(scene, { type: 'rain' });
+ *   rain.setIntensity(0.6);
+ *   // In render loop:
+ *   rain.update(deltaTime, camera, wind);
+ */
+export class Precipitation {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} [options]
+     * @param {'rain'|'snow'} [options.type='rain']
+     * @param {number} [options.count] - Particles at full intensity
+     * @param {number} [options.boxSize=6] - Horizontal extent around the camera (~60 m)
+     * @param {number} [options.boxHeight=3]
+     * @param {number} [options.fallSpeed] - Units per second (rain 0.9 = 9 m/s)
+     * @param {THREE.ColorRepresentation} [options.color]
+     * @param {number} [options.opacity]
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.type = options.type ?? 'rain';
+        const defaults = TYPES[this.type];
+        if (!defaults) throw new Error(`Unknown precipitation type "${this.type}"`);
+
+        this.count = options.count ?? defaults.count;
+        this.fallSpeed = options.fallSpeed ?? defaults.fallSpeed;
+        this.boxSize = new THREE.Vector3(options.boxSize ?? 6, options.boxHeight ?? 3, options.boxSize ?? 6);
+        this.intensity = 0;
+
+        this.drift = new THREE.Vector3(); // Accumulated fall + wind, wrapped to the box
+        this.velocity = new THREE.Vector3(0, -this.fallSpeed, 0);
+
+        const isRain = this.type === 'rain';
+        this.material = this._createMaterial(isRain, {
+            color: new THREE.Color(options.color ?? defaults.color),
+            opacity: options.opacity ?? defaults.opacity,
+            streakLength: defaults.streakLength,
+            size: defaults.size,
+        });
+
+        const geometry = this._createGeometry(isRain ? 2 : 1);
+        this.object = isRain
+            ? new THREE.LineSegments(geometry, this.material)
+            : new THREE.Points(geometry, this.material);
+        this.object.name = isRain ? 'Rain' : 'Snow';
+        this.object.frustumCulled = false;
+        this.object.visible = false;
+        this.object.renderOrder = 2;
+
+        // Snowflake size is in world units, so point size depends on the viewport height
+        this.object.onBeforeRender = (renderer) => {
+            this.material.uniforms.viewportHeight.value = renderer.getDrawingBufferSize(_size).y;
+        };
+
+        this.scene.add(this.object);
+        this.setIntensity(0);
+    }
+
+    _createGeometry(verticesPerParticle) {
+        const count = this.count * verticesPerParticle;
+        const seeds = new Float32Array(count * 3);
+        const ends = new Float32Array(count);
+
+        for (let i = 0; i < this.count; i++) {
+            const x = Math.random();
+            const y = Math.random();
+            const z = Math.random();
+            for (let v = 0; v < verticesPerParticle; v++) {
+                const index = i * verticesPerParticle + v;
+                seeds.set([x, y, z], index * 3);
+                ends[index] = v;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        // Seeds double as the position attribute three requires; the shader does the placement
+        geometry.setAttribute('position', new THREE.BufferAttribute(seeds, 3));
+        geometry.setAttribute('streakEnd', new THREE.BufferAttribute(ends, 1));
+        this.verticesPerParticle = verticesPerParticle;
+        return geometry;
+    }
+
+    _createMaterial(isRain, { color, opacity, streakLength, size }) {
+        return new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                {
+                    color: { value: color },
+                    opacity: { value: opacity },
+                    center: { value: new THREE.Vector3() },
+                    drift: { value: new THREE.Vector3() },
+                    boxSize: { value: this.boxSize },
+                    fallDirection: { value: new THREE.Vector3(0, -1, 0) },
+                    streakLength: { value: streakLength },
+                    size: { value: size },
+                    viewportHeight: { value: 1080 },
+                    time: { value: 0 },
+                },
+            ]),
+            defines: isRain ? { RAIN: '' } : { SNOW: '' },
+            vertexShader: /* glsl */`
+                attribute float streakEnd;
+                uniform vec3 center;
+                uniform vec3 drift;
+                uniform vec3 boxSize;
+                uniform vec3 fallDirection;
+                uniform float streakLength;
+                uniform float size;
+                uniform float viewportHeight;
+                uniform float time;
+                varying float vFade;
+
+                #include <common>
+                #include <fog_pars_vertex>
+
+                void main() {
+                    // Seed in the box, moved by the drift, wrapped around the camera
+                    vec3 origin = center - boxSize * 0.5;
+                    vec3 p = mod(position * boxSize + drift - origin, boxSize) + origin;
+
+                    #ifdef SNOW
+                        // Flakes flutter side to side
+                        float phase = position.x * 53.0 + position.z * 31.0;
+                        p.x += sin(time * 1.3 + phase) * 0.01;
+                        p.z += cos(time * 1.1 + phase * 0.7) * 0.01;
+                    #endif
+
+                    #ifdef RAIN
+                        p -= fallDirection * streakLength * streakEnd;
+                    #endif
+
+                    // Fade out towards the sides and top/bottom of the box, where particles wrap
+                    vec3 q = abs(p - center) / (boxSize * 0.5);
+                    vFade = (1.0 - smoothstep(0.6, 1.0, max(q.x, q.z))) * (1.0 - smoothstep(0.7, 1.0, q.y));
+
+                    vec4 mvPosition = viewMatrix * vec4(p, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+
+                    #ifdef SNOW
+                        gl_PointSize = size * projectionMatrix[1][1] * viewportHeight * 0.5 / max(-mvPosition.z, 0.001);
+                    #endif
+
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: /* glsl */`
+                uniform vec3 color;
+                uniform float opacity;
+                varying float vFade;
+
+                #include <common>
+                #include <fog_pars_fragment>
+
+                void main() {
+                    float alpha = opacity * vFade;
+
+                    #ifdef SNOW
+                        // Soft round flake
+                        float r = length(gl_PointCoord - 0.5) * 2.0;
+                        alpha *= 1.0 - smoothstep(0.5, 1.0, r);
+                    #endif
+
+                    if (alpha <= 0.001) discard;
+                    gl_FragColor = vec4(color, alpha);
+
+                    #include <colorspace_fragment>
+                    #include <fog_fragment>
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            fog: true,
+        });
+    }
+
+    /**
+     * @param {number} intensity - 0 (none) .. 1 (all particles)
+     */
+    setIntensity(intensity) {
+        this.intensity = THREE.MathUtils.clamp(intensity, 0, 1);
+        const particles = Math.floor(this.count * this.intensity);
+        this.object.geometry.setDrawRange(0, particles * this.verticesPerParticle);
+        this.object.visible = particles > 0;
+    }
+
+    /**
+     * @param {number} deltaTime
+     * @param {THREE.Camera} camera
+     * @param {THREE.Vector2} [wind] - Horizontal wind velocity (x, z), units per second
+     */
+    update(deltaTime, camera, wind = null) {
+        const uniforms = this.material.uniforms;
+        uniforms.time.value += deltaTime;
+        uniforms.center.value.copy(camera.position);
+        if (!this.object.visible) return;
+
+        this.velocity.set(wind ? wind.x : 0, -this.fallSpeed, wind ? wind.y : 0);
+        this.drift.addScaledVector(this.velocity, deltaTime);
+        // Kept within one box so the shader's mod() stays precise
+        this.drift.set(this.drift.x % this.boxSize.x, this.drift.y % this.boxSize.y, this.drift.z % this.boxSize.z);
+
+        uniforms.drift.value.copy(this.drift);
+        uniforms.fallDirection.value.copy(this.velocity).normalize();
+    }
+
+    dispose() {
+        this.scene.remove(this.object);
+        this.object.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+import { Precipitation } from './Precipitation.js';
+
+/**
+ * Weather states. Lighting values are multipliers of what the day-night cycle (or the scene as
+ * set up) provides; fogDistance scales the base fog near/far; fogAmount is how far the fog colour
+ * moves towards fogColor. rain/snow are precipitation intensities, wind is in units per second.
+ */
+export const WEATHER_PRESETS = {
+    clear: { sunIntensity: 1, ambientIntensity: 1, skyExposure: 1, environmentIntensity: 1, fogDistance: 1, fogColor: 0x9aa4b0, fogAmount: 0, rain: 0, snow: 0, wind: 0.05 },
+    overcast: { sunIntensity: 0.35, ambientIntensity: 0.9, skyExposure: 0.6, environmentIntensity: 0.7, fogDistance: 0.7, fogColor: 0x8a9099, fogAmount: 0.5, rain: 0, snow: 0, wind: 0.15 },
+    rain: { sunIntensity: 0.15, ambientIntensity: 0.75, skyExposure: 0.45, environmentIntensity: 0.5, fogDistance: 0.45, fogColor: 0x6e757e, fogAmount: 0.7, rain: 1, snow: 0, wind: 0.3 },
+    snow: { sunIntensity: 0.3, ambientIntensity: 1, skyExposure: 0.7, environmentIntensity: 0.8, fogDistance: 0.4, fogColor: 0xc8ccd4, fogAmount: 0.7, rain: 0, snow: 1, wind: 0.08 },
+    fog: { sunIntensity: 0.4, ambientIntensity: 0.9, skyExposure: 0.6, environmentIntensity: 0.7, fogDistance: 0.12, fogColor: 0xb0b4b8, fogAmount: 0.85, rain: 0, snow: 0, wind: 0.02 },
+};
+
+const NUMERIC_KEYS = ['sunIntensity', 'ambientIntensity', 'skyExposure', 'environmentIntensity', 'fogDistance', 'fogAmount', 'rain', 'snow', 'wind'];
+
+const _fogColor = new THREE.Color();
+
+/**
+ * WeatherSystem - Clear / overcast / rain / snow / fog states with timed transitions.
+ *
+ * All parameters blend from where they are to the target state over the transition, so a change
+ * can be started mid-transition without jumps. Each frame the blended state drives:
+ *   - rain and snow particles around the camera (Precipitation)
+ *   - fog distance and colour
+ *   - sun, ambient and image-based light, and sky exposure (setSkyExposure, HDRISky or
+ *     ProceduralSky)
+ *
+ * With a DayNightCycle the lighting goes through the cycle (it applies `modifiers` on top of its
+ * time-of-day values), so the two never fight over the same light. Without one the values present
+ * at construction are the clear-weather base.
+ *
+ * Events:
+ *   weatherChanging { from, to, duration } - a transition started
+ *   weatherChanged { weather }             - a transition finished
+ *
+ * Usage:
+ *   const weather = new WeatherSystem({ scene, sky, dayNight, auto: true });
+ *   weather.addEventListener('weatherChanged', (e) => console.log(e.weather));
+ *   weather.setWeather('rain', 30);
+ *   // In render loop, before dayNight.update():
+ *   weather.update(deltaTime, camera);
+ */
+export class WeatherSystem extends THREE.EventDispatcher {
+    /**
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene - Its fog is driven
+     * @param {HDRISky|ProceduralSky} [options.sky]
+     * @param {DayNightCycle} [options.dayNight] - Applies the lighting modifiers if given
+     * @param {THREE.DirectionalLight} [options.sunLight] - Without a DayNightCycle
+     * @param {THREE.AmbientLight} [options.ambientLight] - Without a DayNightCycle
+     * @param {string} [options.weather='clear'] - Initial state, applied immediately
+     * @param {number} [options.transitionDuration=20] - Default transition length in seconds
+     * @param {boolean} [options.auto=false] - Pick a new state on its own now and then
+     * @param {number} [options.minDuration=120] - Auto: shortest time a state is held (seconds)
+     * @param {number} [options.maxDuration=360] - Auto: longest time a state is held
+     * @param {Object<string, number>} [options.weights] - Auto: relative chance per state
+     * @param {number} [options.windDirection=0.6] - Radians from +X
+     */
+    constructor(options) {
+        super();
+        this.scene = options.scene;
+        this.sky = options.sky || null;
+        this.dayNight = options.dayNight || null;
+        this.sunLight = options.sunLight || null;
+        this.ambientLight = options.ambientLight || null;
+
+        this.transitionDuration = options.transitionDuration ?? 20;
+        this.auto = options.auto ?? false;
+        this.minDuration = options.minDuration ?? 120;
+        this.maxDuration = options.maxDuration ?? 360;
+        this.weights = options.weights ?? { clear: 4, overcast: 3, rain: 2, snow: 1, fog: 1 };
+        this.windDirection = options.windDirection ?? 0.6;
+        this.wind = new THREE.Vector2();
+
+        const initial = options.weather ?? 'clear';
+        this._checkWeather(initial);
+        this.weather = initial; // Target state
+        this.previousWeather = initial;
+        this.modifiers = createState(WEATHER_PRESETS[initial]); // Blended state, read by DayNightCycle
+        this._from = createState(WEATHER_PRESETS[initial]);
+        this._transitionTime = 0;
+        this._transitionLength = 0;
+        this._holdTime = this._randomHold();
+
+        // Clear-weather base, captured before anything is modified
+        this.baseFog = this.scene.fog ? { near: this.scene.fog.near, far: this.scene.fog.far } : null;
+        this.base = {
+            sunIntensity: this.sunLight?.intensity ?? 1,
+            ambientIntensity: this.ambientLight?.intensity ?? 1,
+            skyExposure: this.sky?.skyMesh?.material.uniforms.exposure.value ?? 1,
+            environmentIntensity: this.scene.environmentIntensity,
+            fogColor: this.scene.fog ? this.scene.fog.color.clone() : new THREE.Color(),
+        };
+        this._appliedSkyExposure = null;
+
+        this.rain = new Precipitation(this.scene, { type: 'rain' });
+        this.snow = new Precipitation(this.scene, { type: 'snow' });
+
+        if (this.dayNight) this.dayNight.weather = this;
+        this._apply();
+    }
+
+    /**
+     * Start a transition to a state
+     * @param {string} weather - A WEATHER_PRESETS key
+     * @param {number} [duration] - Seconds; 0 switches immediately
+     */
+    setWeather(weather, duration = this.transitionDuration) {
+        this._checkWeather(weather);
+        const from = this.weather;
+
+        copyState(this._from, this.modifiers);
+        this.previousWeather = from;
+        this.weather = weather;
+        this._transitionTime = 0;
+        this._transitionLength = duration;
+        this._holdTime = this._randomHold();
+
+        this.dispatchEvent({ type: 'weatherChanging', from, to: weather, duration });
+        if (duration <= 0) this._finishTransition();
+    }
+
+    get isTransitioning() {
+        return this._transitionLength > 0;
+    }
+
+    /**
+     * 0..1 progress of the current transition (1 when settled)
+     */
+    get transitionProgress() {
+        return this.isTransitioning ? this._transitionTime / this._transitionLength : 1;
+    }
+
+    /**
+     * @param {number} deltaTime
+     * @param {THREE.Camera} camera - Precipitation follows it
+     */
+    update(deltaTime, camera) {
+        if (this.isTransitioning) {
+            this._transitionTime += deltaTime;
+            if (this._transitionTime >= this._transitionLength) {
+                this._finishTransition();
+            } else {
+                const t = THREE.MathUtils.smoothstep(this.transitionProgress, 0, 1);
+                lerpState(this.modifiers, this._from, WEATHER_PRESETS[this.weather], t);
+            }
+        } else if (this.auto) {
+            this._holdTime -= deltaTime;
+            if (this._holdTime <= 0) this.setWeather(this._pickWeather());
+        }
+
+        this._apply();
+
+        const m = this.modifiers;
+        this.wind.set(Math.cos(this.windDirection), Math.sin(this.windDirection)).multiplyScalar(m.wind);
+        this.rain.setIntensity(m.rain);
+        this.snow.setIntensity(m.snow);
+        this.rain.update(deltaTime, camera, this.wind);
+        this.snow.update(deltaTime, camera, this.wind);
+    }
+
+    /**
+     * Blend a fog colour towards the weather's, no brighter than it was (so fog stays dark at night)
+     * @param {THREE.Color} color - Modified in place
+     * @returns {THREE.Color}
+     */
+    tintFog(color) {
+        const m = this.modifiers;
+        if (m.fogAmount <= 0) return color;
+
+        const brightness = luminance(color);
+        _fogColor.copy(m.fogColor);
+        const weatherBrightness = luminance(_fogColor);
+        if (weatherBrightness > brightness) _fogColor.multiplyScalar(brightness / weatherBrightness);
+        return color.lerp(_fogColor, m.fogAmount);
+    }
+
+    _apply() {
+        const m = this.modifiers;
+        const fog = this.scene.fog;
+        if (fog && this.baseFog) {
+            fog.near = this.baseFog.near * m.fogDistance;
+            fog.far = this.baseFog.far * m.fogDistance;
+        }
+
+        // DayNightCycle applies the rest with its own values
+        if (this.dayNight) return;
+
+        if (this.sunLight) this.sunLight.intensity = this.base.sunIntensity * m.sunIntensity;
+        if (this.ambientLight) this.ambientLight.intensity = this.base.ambientIntensity * m.ambientIntensity;
+        this.scene.environmentIntensity = this.base.environmentIntensity * m.environmentIntensity;
+        if (fog) this.tintFog(fog.color.copy(this.base.fogColor));
+
+        // Only on change: ProceduralSky may re-bake its environment on exposure changes
+        const exposure = this.base.skyExposure * m.skyExposure;
+        if (this.sky && exposure !== this._appliedSkyExposure) {
+            this.sky.setSkyExposure(exposure);
+            this._appliedSkyExposure = exposure;
+        }
+    }
+
+    _finishTransition() {
+        copyState(this.modifiers, WEATHER_PRESETS[this.weather]);
+        this._transitionTime = 0;
+        this._transitionLength = 0;
+        this._apply(); // Listeners see the final state
+        this.dispatchEvent({ type: 'weatherChanged', weather: this.weather });
+    }
+
+    _pickWeather() {
+        const options = Object.entries(this.weights).filter(([name, weight]) => name !== this.weather && weight > 0);
+        const total = options.reduce((sum, [, weight]) => sum + weight, 0);
+        let pick = Math.random() * total;
+        for (const [name, weight] of options) {
+            pick -= weight;
+            if (pick <= 0) return name;
+        }
+        return options.length ? options[options.length - 1][0] : this.weather;
+    }
+
+    _randomHold() {
+        return THREE.MathUtils.randFloat(this.minDuration, this.maxDuration);
+    }
+
+    _checkWeather(weather) {
+        if (!WEATHER_PRESETS[weather]) {
+            throw new Error(`Unknown weather "${weather}" (expected one of ${Object.keys(WEATHER_PRESETS).join(', ')})`);
+        }
+    }
+
+    dispose() {
+        if (this.dayNight?.weather === this) this.dayNight.weather = null;
+        this.rain.dispose();
+        this.snow.dispose();
+    }
+}
+
+function createState(preset) {
+    return copyState({ fogColor: new THREE.Color() }, preset);
+}
+
+function copyState(target, source) {
+    for (const key of NUMERIC_KEYS) target[key] = source[key];
+    target.fogColor.set(source.fogColor);
+    return target;
+}
+
+function lerpState(target, from, to, t) {
+    for (const key of NUMERIC_KEYS) target[key] = from[key] + (to[key] - from[key]) * t;
+    target.fogColor.copy(from.fogColor).lerp(_fogColor.set(to.fogColor), t);
+}
+
+function luminance(color) {
+    return color.r * 0.2126 + color.g * 0.7152 + color.b * 0.0722;
+}
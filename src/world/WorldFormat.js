@@ -0,0 +1,200 @@
+/**
+ * World save format.
+ *
+ * A world is a plain object (see saveWorld()):
+ *   { format: 'snapfire-world', version, savedAt,
+ *     terrain: { seed, heightGraph, biomes, heightmap, heightModifiers, heightDeltas },
+ *     farmsteads: [{ site, padHeights }], water: { seaLevel, lakes }, time, weather, sky,
+ *     player, camera }
+ * Every section is optional; loading leaves whatever a world doesn't describe as it is.
+ *
+ * Two encodings:
+ *   JSON   - readable and diffable. Sculpt tiles are number arrays (HeightDeltaLayer.serialize()).
+ *   Binary - 'SFWB' magic, uint32 version, uint32 header length, the JSON header without the
+ *            sculpt tiles, zero padding to 4 bytes, then uint32 tile count and per tile int32 tx,
+ *            int32 tz and tileSize² float32 deltas. All little-endian. A sculpt sample is 4 bytes
+ *            here instead of 10-20 characters of JSON.
+ * Heightmap samples are base64 float32 in both.
+ *
+ * Older versions are upgraded by MIGRATIONS on decode, so loaders only ever see the current one.
+ *
+ * DOM- and THREE-free (Node tools can read and write worlds).
+ */
+
+export const WORLD_FORMAT = 'snapfire-world';
+export const WORLD_FORMAT_VERSION = 1;
+
+const BINARY_MAGIC = 'SFWB';
+
+/**
+ * MIGRATIONS[n] upgrades a version n world to version n + 1
+ */
+const MIGRATIONS = {
+    // Version 0: a bare sculpt layer dump (HeightDeltaLayer.serialize()), saved before worlds existed
+    0: (layer) => ({
+        format: WORLD_FORMAT,
+        version: 1,
+        savedAt: null,
+        terrain: { heightDeltas: layer },
+    }),
+};
+
+/**
+ * Bring a decoded world of any known version up to WORLD_FORMAT_VERSION
+ * @param {Object} data
+ * @returns {Object}
+ */
+export function migrateWorld(data) {
+    let world = data;
+    let version = getVersion(world);
+
+    if (version > WORLD_FORMAT_VERSION) {
+        throw new Error(`World format version ${version} is newer than this build supports (${WORLD_FORMAT_VERSION})`);
+    }
+
+    while (version < WORLD_FORMAT_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) throw new Error(`No migration from world format version ${version}`);
+        world = migrate(world);
+        version = getVersion(world);
+    }
+
+    return world;
+}
+
+function getVersion(data) {
+    if (data && data.format === WORLD_FORMAT && Number.isInteger(data.version)) return data.version;
+    if (data && Array.isArray(data.tiles) && data.cellSize !== undefined) return 0;
+    throw new Error('Not a world file');
+}
+
+/**
+ * @param {Object} world
+ * @param {number} [indent] - Pretty-print with this many spaces
+ * @returns {string}
+ */
+export function encodeWorldJSON(world, indent) {
+    return JSON.stringify(world, null, indent);
+}
+
+/**
+ * @param {string} text
+ * @returns {Object} Migrated to the current version
+ */
+export function decodeWorldJSON(text) {
+    return migrateWorld(JSON.parse(text));
+}
+
+/**
+ * @param {Object} world
+ * @returns {ArrayBuffer}
+ */
+export function encodeWorldBinary(world) {
+    const deltas = world.terrain?.heightDeltas;
+    const tiles = deltas?.tiles || [];
+    const header = deltas
+        ? { ...world, terrain: { ...world.terrain, heightDeltas: { ...deltas, tiles: tiles.length } } }
+        : world;
+
+    const json = new TextEncoder().encode(JSON.stringify(header));
+    const headerEnd = align4(12 + json.length);
+    const tileFloats = deltas ? deltas.tileSize * deltas.tileSize : 0;
+    const buffer = new ArrayBuffer(headerEnd + 4 + tiles.length * (8 + tileFloats * 4));
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    for (let i = 0; i < 4; i++) bytes[i] = BINARY_MAGIC.charCodeAt(i);
+    view.setUint32(4, world.version, true);
+    view.setUint32(8, json.length, true);
+    bytes.set(json, 12);
+
+    let offset = headerEnd;
+    view.setUint32(offset, tiles.length, true);
+    offset += 4;
+    for (const { tx, tz, data } of tiles) {
+        view.setInt32(offset, tx, true);
+        view.setInt32(offset + 4, tz, true);
+        offset += 8;
+        for (let i = 0; i < tileFloats; i++, offset += 4) view.setFloat32(offset, data[i], true);
+    }
+
+    return buffer;
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} input
+ * @returns {Object} Migrated to the current version
+ */
+export function decodeWorldBinary(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (!isBinaryWorld(bytes)) throw new Error('Not a binary world file');
+
+    const jsonLength = view.getUint32(8, true);
+    const world = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + jsonLength)));
+
+    const deltas = world.terrain?.heightDeltas;
+    if (deltas) {
+        const tileFloats = deltas.tileSize * deltas.tileSize;
+        let offset = align4(12 + jsonLength);
+        const count = view.getUint32(offset, true);
+        offset += 4;
+
+        deltas.tiles = [];
+        for (let t = 0; t < count; t++) {
+            const tx = view.getInt32(offset, true);
+            const tz = view.getInt32(offset + 4, true);
+            offset += 8;
+            const data = new Array(tileFloats);
+            for (let i = 0; i < tileFloats; i++, offset += 4) data[i] = view.getFloat32(offset, true);
+            deltas.tiles.push({ tx, tz, data });
+        }
+    }
+
+    return migrateWorld(world);
+}
+
+/**
+ * Decode either encoding (or pass a world object through migration)
+ * @param {string|ArrayBuffer|Uint8Array|Object} input
+ * @returns {Object}
+ */
+export function decodeWorld(input) {
+    if (typeof input === 'string') return decodeWorldJSON(input);
+    if (input instanceof ArrayBuffer || input instanceof Uint8Array) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        return isBinaryWorld(bytes) ? decodeWorldBinary(bytes) : decodeWorldJSON(new TextDecoder().decode(bytes));
+    }
+    return migrateWorld(input);
+}
+
+function isBinaryWorld(bytes) {
+    if (bytes.length < 12) return false;
+    for (let i = 0; i < 4; i++) {
+        if (bytes[i] !== BINARY_MAGIC.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+function align4(n) {
+    return (n + 3) & ~3;
+}
+
+/**
+ * Float32Array <-> base64, for heightmap samples
+ */
+export function float32ToBase64(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function base64ToFloat32(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Float32Array(bytes.buffer);
+}
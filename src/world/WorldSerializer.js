@@ -0,0 +1,224 @@
+import { HeightDeltaLayer } from '../terrain/HeightDeltaLayer.js';
+import { WORLD_FORMAT, WORLD_FORMAT_VERSION, decodeWorld, float32ToBase64, base64ToFloat32 } from './WorldFormat.js';
+
+/**
+ * saveWorld / loadWorld - Capture and restore a session: terrain generator config and sculpting,
+ * farmsteads, water, time of day, weather, sky, player and camera mode.
+ *
+ * Both take the running systems; any of them can be left out (a tool with only a TerrainSystem
+ * saves and loads only terrain). Farmsteads are stored as their sites plus pad heights, which
+ * regenerates the same buildings on the same pads; vegetation is not stored at all, it is
+ * re-scattered from the seed.
+ *
+ * Usage:
+ *   const systems = { terrainSystem, farmsteads, vegetation, water, dayNight, weather, sky, player,
+ *       cameraMode: { get: () => cameraMode, set: setCameraMode } };
+ *   const storage = new LocalStorageBackend();
+ *   await storage.save('slot1', saveWorld(systems));
+ *   await loadWorld(systems, await storage.load('slot1'));
+ */
+
+/**
+ * @param {Object} systems
+ * @param {TerrainSystem} [systems.terrainSystem]
+ * @param {FarmsteadGenerator} [systems.farmsteads]
+ * @param {WaterSystem} [systems.water]
+ * @param {DayNightCycle} [systems.dayNight]
+ * @param {WeatherSystem} [systems.weather]
+ * @param {HDRISky|ProceduralSky} [systems.sky]
+ * @param {Player} [systems.player]
+ * @param {{ get: () => string, set: (mode: string) => void }} [systems.cameraMode]
+ * @returns {Object} World in the current format version (encode with encodeWorldJSON/encodeWorldBinary)
+ */
+export function saveWorld(systems) {
+    const { terrainSystem, farmsteads, water, dayNight, weather, sky, player, cameraMode } = systems;
+    const world = {
+        format: WORLD_FORMAT,
+        version: WORLD_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+    };
+
+    if (terrainSystem) world.terrain = saveTerrain(terrainSystem, farmsteads);
+
+    if (farmsteads) {
+        world.farmsteads = farmsteads.farmsteads.map(farmstead => ({
+            site: { ...farmstead.site },
+            padHeights: farmstead.modifiers.map(modifier => modifier.height),
+        }));
+    }
+
+    if (water) {
+        world.water = {
+            seaLevel: water.seaLevel,
+            lakes: water.lakes.map(({ x, z, radius, level }) => ({ x, z, radius, level })),
+        };
+    }
+
+    if (dayNight) {
+        const { time, timeScale, paused, latitude, dayOfYear } = dayNight;
+        world.time = { time, timeScale, paused, latitude, dayOfYear };
+    }
+
+    if (weather) world.weather = { weather: weather.weather, auto: weather.auto };
+    if (sky) world.sky = saveSky(sky);
+
+    if (player) {
+        const controller = player.controller;
+        world.player = {
+            position: controller.position.toArray(),
+            yaw: player.yaw,
+            pitch: player.pitch,
+        };
+    }
+
+    if (cameraMode) world.camera = { mode: cameraMode.get() };
+
+    return world;
+}
+
+function saveTerrain(terrainSystem, farmsteads) {
+    // Farmstead pads are recreated with their farmsteads
+    const farmModifiers = new Set(farmsteads ? farmsteads.farmsteads.flatMap(f => f.modifiers) : []);
+    const config = terrainSystem.getGeneratorConfig();
+
+    return {
+        seed: config.seed,
+        heightGraph: config.heightGraph,
+        biomes: config.biomes,
+        heightmap: config.heightmap ? saveHeightmapSource(config.heightmap) : null,
+        heightModifiers: config.heightModifiers.filter(modifier => !farmModifiers.has(modifier)),
+        heightDeltas: terrainSystem.heightDeltas.serialize(),
+    };
+}
+
+function saveHeightmapSource(source) {
+    const { width, height, data } = source.heightmap;
+    return { ...source, heightmap: { width, height, data: float32ToBase64(data) } };
+}
+
+function loadHeightmapSource(source) {
+    const { width, height, data } = source.heightmap;
+    return { ...source, heightmap: { width, height, data: base64ToFloat32(data) } };
+}
+
+function saveSky(sky) {
+    if (sky.setParameters) {
+        const { turbidity, rayleigh, mieCoefficient, mieDirectionalG } = sky.uniforms;
+        return {
+            type: 'procedural',
+            turbidity: turbidity.value,
+            rayleigh: rayleigh.value,
+            mieCoefficient: mieCoefficient.value,
+            mieDirectionalG: mieDirectionalG.value,
+        };
+    }
+
+    const layers = {};
+    for (const [name, { path }] of sky.layers || []) layers[name] = path;
+    return { type: 'hdri', layers };
+}
+
+/**
+ * Restore a world into the running systems. Sections the world doesn't have, or systems that
+ * aren't passed, are left alone. Farmsteads need their models loaded (farmsteads.init()) first.
+ * @param {Object} systems - As for saveWorld(), plus vegetation for the farmyard exclusion zones
+ * @param {Object|string|ArrayBuffer} data - A world object or either encoding, any known version
+ * @returns {Promise<Object>} The world, migrated to the current version
+ */
+export async function loadWorld(systems, data) {
+    const world = decodeWorld(data);
+    const { terrainSystem, farmsteads, vegetation, water, dayNight, weather, sky, player, cameraMode } = systems;
+
+    // Old farmsteads go first so their pads leave the terrain before it is reconfigured
+    if (farmsteads && world.farmsteads) {
+        for (const farmstead of [...farmsteads.farmsteads]) {
+            vegetation?.removeExclusionZone(farmstead.yardZone);
+            farmsteads.remove(farmstead);
+        }
+    }
+
+    if (terrainSystem && world.terrain) loadTerrain(terrainSystem, world.terrain);
+
+    if (farmsteads && world.farmsteads) {
+        for (const { site, padHeights } of world.farmsteads) {
+            const farmstead = farmsteads.generate(site, { padHeights });
+            vegetation?.addExclusionZone(farmstead.yardZone);
+        }
+    }
+
+    if (water && world.water) {
+        water.setSeaLevel(world.water.seaLevel);
+        for (const lake of [...water.lakes]) water.removeLake(lake);
+        for (const lake of world.water.lakes || []) water.addLake(lake);
+    }
+
+    if (dayNight && world.time) {
+        const { time, timeScale, paused, latitude, dayOfYear } = world.time;
+        if (latitude !== undefined) dayNight.latitude = latitude;
+        if (dayOfYear !== undefined) dayNight.dayOfYear = dayOfYear;
+        if (timeScale !== undefined) dayNight.setSpeed(timeScale);
+        if (paused !== undefined) dayNight.paused = paused;
+        dayNight.setTime(time);
+    }
+
+    if (weather && world.weather) {
+        weather.auto = world.weather.auto ?? weather.auto;
+        weather.setWeather(world.weather.weather, 0);
+    }
+
+    if (sky && world.sky) await loadSky(sky, world.sky);
+
+    if (player && world.player) {
+        const [x, y, z] = world.player.position;
+        player.controller.teleport(x, z, y);
+        player.yaw = world.player.yaw ?? player.yaw;
+        player.pitch = world.player.pitch ?? player.pitch;
+    }
+
+    if (cameraMode && world.camera) cameraMode.set(world.camera.mode);
+
+    return world;
+}
+
+/**
+ * TerrainGenerator options for a saved world's terrain (e.g. to export it from Node). Farmstead
+ * pads are not included: they are rebuilt with the farmsteads.
+ * @param {Object} world - Decoded world (decodeWorld())
+ * @returns {Object}
+ */
+export function getTerrainGeneratorOptions(world) {
+    const terrain = world.terrain || {};
+    const options = {};
+    if (terrain.seed !== undefined) options.seed = terrain.seed;
+    if (terrain.heightGraph !== undefined) options.heightGraph = terrain.heightGraph;
+    if (terrain.biomes !== undefined) options.biomes = terrain.biomes;
+    if (terrain.heightmap) options.heightmap = loadHeightmapSource(terrain.heightmap);
+    if (terrain.heightModifiers) options.heightModifiers = terrain.heightModifiers;
+    if (terrain.heightDeltas) options.heightDeltas = HeightDeltaLayer.deserialize(terrain.heightDeltas);
+    return options;
+}
+
+function loadTerrain(terrainSystem, terrain) {
+    const config = {};
+    if (terrain.seed !== undefined) config.seed = terrain.seed;
+    if (terrain.heightGraph !== undefined) config.heightGraph = terrain.heightGraph;
+    if (terrain.biomes !== undefined) config.biomes = terrain.biomes;
+    if (terrain.heightmap !== undefined) config.heightmap = terrain.heightmap ? loadHeightmapSource(terrain.heightmap) : null;
+    if (terrain.heightModifiers !== undefined) config.heightModifiers = terrain.heightModifiers;
+    if (Object.keys(config).length > 0) terrainSystem.setGeneratorConfig(config);
+
+    if (terrain.heightDeltas) {
+        terrainSystem.setHeightDeltaLayer(HeightDeltaLayer.deserialize(terrain.heightDeltas));
+    }
+}
+
+async function loadSky(sky, saved) {
+    if (saved.type === 'procedural' && sky.setParameters) {
+        sky.setParameters(saved);
+    } else if (saved.type === 'hdri' && sky.loadLayers) {
+        const current = saveSky(sky).layers;
+        const same = Object.keys(saved.layers).length === Object.keys(current).length &&
+            Object.entries(saved.layers).every(([name, path]) => current[name] === path);
+        if (!same) await sky.loadLayers(saved.layers);
+    }
+}
@@ -0,0 +1,168 @@
+import { encodeWorldJSON, encodeWorldBinary, decodeWorld } from './WorldFormat.js';
+import { downloadBlob } from '../core/FileDownload.js';
+
+/**
+ * World storage backends. All share one async interface, taking and returning world objects
+ * (encoding is the backend's business):
+ *   save(name, world), load(name) -> world | null, list() -> names, remove(name)
+ *
+ *   LocalStorageBackend - JSON under a key prefix. Small worlds only (browsers cap localStorage at ~5 MB).
+ *   IndexedDBBackend    - Binary encoding; the one to use for sculpted worlds.
+ *   FileBackend         - Downloads a file on save; loads from a File/Blob or a file picker.
+ */
+
+export class LocalStorageBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.prefix='snapfire.world.']
+     * @param {Storage} [options.storage=localStorage]
+     */
+    constructor(options = {}) {
+        this.prefix = options.prefix ?? 'snapfire.world.';
+        this.storage = options.storage ?? globalThis.localStorage;
+    }
+
+    async save(name, world) {
+        try {
+            this.storage.setItem(this.prefix + name, encodeWorldJSON(world));
+        } catch (error) {
+            throw new Error(`Could not save world "${name}" to localStorage: ${error.message}`);
+        }
+    }
+
+    async load(name) {
+        const text = this.storage.getItem(this.prefix + name);
+        return text === null ? null : decodeWorld(text);
+    }
+
+    async list() {
+        const names = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(this.prefix)) names.push(key.slice(this.prefix.length));
+        }
+        return names.sort();
+    }
+
+    async remove(name) {
+        this.storage.removeItem(this.prefix + name);
+    }
+}
+
+export class IndexedDBBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.databaseName='snapfire']
+     * @param {string} [options.storeName='worlds']
+     */
+    constructor(options = {}) {
+        this.databaseName = options.databaseName ?? 'snapfire';
+        this.storeName = options.storeName ?? 'worlds';
+        this._db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call retry after a failed open
+            this._db.catch(() => { this._db = null; });
+        }
+        return this._db;
+    }
+
+    async _request(mode, run) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = run(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async save(name, world) {
+        const buffer = encodeWorldBinary(world);
+        await this._request('readwrite', store => store.put(buffer, name));
+    }
+
+    async load(name) {
+        const buffer = await this._request('readonly', store => store.get(name));
+        return buffer === undefined ? null : decodeWorld(buffer);
+    }
+
+    async list() {
+        const keys = await this._request('readonly', store => store.getAllKeys());
+        return keys.map(String).sort();
+    }
+
+    async remove(name) {
+        await this._request('readwrite', store => store.delete(name));
+    }
+
+    dispose() {
+        this._db?.then(db => db.close()).catch(() => {}); // A database that never opened has nothing to close
+        this._db = null;
+    }
+}
+
+export class FileBackend {
+    /**
+     * @param {Object} [options]
+     * @param {'json'|'binary'} [options.format='binary']
+     */
+    constructor(options = {}) {
+        this.format = options.format ?? 'binary';
+    }
+
+    get extension() {
+        return this.format === 'json' ? '.world.json' : '.world';
+    }
+
+    /**
+     * Download the world as a file
+     */
+    async save(name, world) {
+        const blob = this.format === 'json'
+            ? new Blob([encodeWorldJSON(world, 2)], { type: 'application/json' })
+            : new Blob([encodeWorldBinary(world)], { type: 'application/octet-stream' });
+
+        downloadBlob(blob, name + this.extension);
+    }
+
+    /**
+     * @param {File|Blob} [file] - Omit to ask the user with a file picker (call from a user gesture)
+     * @returns {Promise<Object|null>} null if the picker was cancelled
+     */
+    async load(file) {
+        file ??= await pickFile('.world,.json');
+        if (!file) return null;
+        return decodeWorld(new Uint8Array(await file.arrayBuffer()));
+    }
+
+    async list() {
+        return [];
+    }
+
+    async remove() {}
+}
+
+function pickFile(accept) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => resolve(input.files[0] || null));
+        input.addEventListener('cancel', () => resolve(null));
+        input.click();
+    });
+}
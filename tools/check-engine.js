@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * check-engine - Check that two Engines (with cascaded shadows) run and dispose independently,
+ * that a system failing to initialize doesn't stop the others, that a loaded world can switch the
+ * terrain's biomes on or off, and that the day-night cycle crossfades HDRISky layers.
+ *
+ * Runs in Node with just enough of the DOM stubbed for the Engine, and a recording stand-in for
+ * the WebGL renderer; frames are driven by hand instead of requestAnimationFrame. Exits non-zero
+ * on the first failed check.
+ *
+ * Usage:
+ *   node tools/check-engine.js
+ */
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+class StubResizeObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.connected = false;
+    }
+
+    observe() {
+        this.connected = true;
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+}
+
+globalThis.window ??= { devicePixelRatio: 1, addEventListener() {}, removeEventListener() {} };
+globalThis.document ??= { body: {} };
+globalThis.ResizeObserver ??= StubResizeObserver;
+
+// Engine is imported after the stubs are in place
+const { Engine } = await import('../src/core/Engine.js');
+const { CascadedShadows } = await import('../src/core/CascadedShadows.js');
+const { TerrainSystem } = await import('../src/terrain/TerrainSystem.js');
+const { saveWorld, loadWorld } = await import('../src/world/WorldSerializer.js');
+const { HDRISky } = await import('../src/core/HDRISky.js');
+const { DayNightCycle } = await import('../src/core/DayNightCycle.js');
+
+function createContainer(width, height) {
+    return { clientWidth: width, clientHeight: height, appendChild() {} };
+}
+
+function createRenderer() {
+    return {
+        domElement: { remove() {} },
+        loop: null,
+        rendered: [],
+        disposed: false,
+        setPixelRatio() {},
+        setSize(width, height) {
+            this.size = [width, height];
+        },
+        setAnimationLoop(callback) {
+            this.loop = callback;
+        },
+        render(scene) {
+            this.rendered.push(scene);
+        },
+        dispose() {
+            this.disposed = true;
+        },
+        forceContextLoss() {},
+    };
+}
+
+function createEngine(width, height) {
+    const renderer = createRenderer();
+    const engine = new Engine({ container: createContainer(width, height), renderer });
+    const sun = new THREE.DirectionalLight();
+    engine.scene.add(sun);
+    const shadows = new CascadedShadows(engine.scene, engine.camera, sun);
+
+    const log = { fixed: 0, updates: 0, disposed: false };
+    engine.addSystem('counter', {
+        fixedUpdate: () => log.fixed++,
+        update: () => log.updates++,
+        dispose: () => {
+            log.disposed = true;
+        },
+    });
+    engine.addSystem('shadows', { update: () => shadows.update(), dispose: () => shadows.dispose() });
+
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    engine.scene.add(mesh);
+    return { engine, renderer, shadows, mesh, log };
+}
+
+function frames(view, count) {
+    for (let i = 0; i < count; i++) view.renderer.loop();
+}
+
+const a = createEngine(800, 600);
+const b = createEngine(320, 200);
+
+// Separate viewports
+assert.deepEqual(a.renderer.size, [800, 600]);
+assert.deepEqual(b.renderer.size, [320, 200]);
+assert.equal(a.engine.camera.aspect, 800 / 600);
+assert.equal(b.engine.camera.aspect, 320 / 200);
+
+await Promise.all([a.engine.init(), b.engine.init()]);
+a.engine.start();
+b.engine.start();
+a.engine.fixedDelta = a.engine.fixedTimestep;
+b.engine.fixedDelta = b.engine.fixedTimestep * 2;
+
+// Each loop drives only its own systems and scene
+frames(a, 3);
+frames(b, 2);
+assert.equal(a.log.updates, 3);
+assert.equal(b.log.updates, 2);
+assert.equal(a.log.fixed, 3);
+assert.equal(b.log.fixed, 4);
+assert.ok(a.renderer.rendered.every(scene => scene === a.engine.scene));
+assert.ok(b.renderer.rendered.every(scene => scene === b.engine.scene));
+
+// Pausing one leaves the other running
+a.engine.pause();
+frames(a, 2);
+frames(b, 1);
+assert.equal(a.log.fixed, 3);
+assert.equal(b.log.fixed, 6);
+
+// Cascades patch each scene's own materials, not three's shared shader chunks
+assert.ok(a.shadows.materials.has(a.mesh.material));
+assert.ok(b.shadows.materials.has(b.mesh.material));
+assert.ok(!a.shadows.materials.has(b.mesh.material));
+assert.ok(!THREE.ShaderChunk.lights_fragment_begin.includes('CSM_cascades'));
+
+// Disposing one leaves the other intact
+a.engine.dispose();
+assert.ok(a.log.disposed);
+assert.equal(a.renderer.loop, null);
+assert.equal(a.engine.systems.length, 0);
+assert.equal(a.engine._resizeObserver.connected, false);
+assert.equal(a.mesh.material.defines.USE_CSM, undefined);
+assert.equal(a.renderer.disposed, false, 'a renderer passed in belongs to the caller');
+
+assert.ok(!b.log.disposed);
+assert.notEqual(b.renderer.loop, null);
+assert.equal(b.engine._resizeObserver.connected, true);
+assert.equal(b.mesh.material.defines.USE_CSM, 1);
+assert.notEqual(b.engine.getSystem('shadows'), null);
+frames(b, 1);
+assert.equal(b.log.updates, 4);
+
+b.engine.dispose();
+assert.ok(b.log.disposed);
+assert.equal(b.mesh.material.defines.USE_CSM, undefined);
+
+console.log('✅ Two engines ran and disposed independently');
+
+// A system whose init() fails sits out; the ones after it still initialize and run
+{
+    const view = { renderer: createRenderer() };
+    const engine = new Engine({ container: createContainer(100, 100), renderer: view.renderer });
+    const calls = [];
+    const failure = new Error('no assets');
+    engine.addSystem('before', { init: () => calls.push('before.init'), update: () => calls.push('before.update') }, { priority: -1 });
+    engine.addSystem('broken', {
+        init: async () => {
+            throw failure;
+        },
+        update: () => calls.push('broken.update'),
+        dispose: () => calls.push('broken.dispose'),
+    });
+    engine.addSystem('after', { init: () => calls.push('after.init'), update: () => calls.push('after.update') }, { priority: 1 });
+
+    const logged = [];
+    const consoleError = console.error;
+    console.error = (...args) => logged.push(args);
+    await engine.init();
+    console.error = consoleError;
+
+    assert.equal(logged.length, 1);
+    assert.equal(engine.getSystemError('broken'), failure);
+    assert.equal(engine.getSystemError('after'), null);
+    engine.start();
+    frames(view, 1);
+    assert.deepEqual(calls, ['before.init', 'after.init', 'before.update', 'after.update']);
+    engine.dispose();
+    assert.ok(calls.includes('broken.dispose'));
+}
+
+console.log('✅ A system that failed to initialize was skipped');
+
+// Loading a world saved with(out) biomes into terrain built the other way round
+function createTerrain(biomes) {
+    return new TerrainSystem(new THREE.Scene(), null, {
+        biomes, useWorkers: false, lodLevels: [{ maxDistance: Infinity, segments: 8 }],
+    });
+}
+
+const viewer = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+for (const saved of [false, true]) {
+    const world = saveWorld({ terrainSystem: createTerrain(saved) });
+    const terrain = createTerrain(!saved);
+    await loadWorld({ terrainSystem: terrain }, world);
+    for (let i = 0; i < 100 && !terrain.isSettled; i++) terrain.update(new THREE.Vector3(), viewer);
+
+    assert.ok(terrain.isSettled);
+    assert.equal(!!terrain.biomeConfig, saved);
+    assert.equal(terrain.material.vertexColors, saved);
+    assert.equal(terrain.batchedMesh.geometry.hasAttribute('color'), saved);
+    assert.ok(terrain.getLoadedChunks().every(chunk => chunk.instanceId !== -1));
+    assert.equal(terrain.scene.children.filter(child => child.isBatchedMesh).length, 1);
+    terrain.dispose();
+}
+
+console.log('✅ Loaded worlds switched terrain biomes on and off');
+
+// HDRI layers: one flat-coloured texture per layer instead of .hdr files
+function createSkyAssets() {
+    const textures = new Map();
+    return {
+        textures,
+        async load(path) {
+            const value = textures.size + 1;
+            const texture = new THREE.DataTexture(new Float32Array(8).fill(value), 2, 1, THREE.RGBAFormat, THREE.FloatType);
+            textures.set(path, texture);
+            return texture;
+        },
+        release() {},
+    };
+}
+
+const skyScene = new THREE.Scene();
+const skyAssets = createSkyAssets();
+const sky = new HDRISky(skyScene, null, skyAssets);
+await sky.loadLayers({ dawn: 'dawn.hdr', day: 'day.hdr', dusk: 'dusk.hdr', night: 'night.hdr' });
+const layer = name => skyAssets.textures.get(`${name}.hdr`);
+const cycle = new DayNightCycle({ scene: skyScene, sunLight: new THREE.DirectionalLight(), sky });
+
+function expectSky(time, elevation, from, to, blend, dominant) {
+    cycle.time = time;
+    cycle.sunElevation = elevation;
+    cycle._crossfadeSky();
+    const uniforms = sky.skyMesh.material.uniforms;
+    const where = `${time}h, ${elevation} deg`;
+    assert.equal(uniforms.tEquirect.value, layer(from), `${where}: from`);
+    assert.equal(uniforms.tEquirectB.value, layer(to), `${where}: to`);
+    assert.ok(Math.abs(uniforms.blend.value - blend) < 1e-6, `${where}: blend ${uniforms.blend.value}, expected ${blend}`);
+    assert.equal(skyScene.environment, layer(dominant), `${where}: environment`);
+    assert.equal(sky.texture, layer(dominant));
+}
+
+const smoothstep = THREE.MathUtils.smoothstep;
+expectSky(2, -10, 'night', 'night', 0, 'night');
+expectSky(6, -6, 'night', 'night', 0, 'night');
+expectSky(6, -3, 'night', 'dawn', smoothstep(-3, -6, 4), 'night');
+expectSky(6, 1, 'night', 'dawn', smoothstep(1, -6, 4), 'dawn');
+expectSky(7, 4, 'dawn', 'day', 0, 'dawn');
+expectSky(8, 10, 'dawn', 'day', smoothstep(10, 4, 20), 'dawn');
+expectSky(9, 15, 'dawn', 'day', smoothstep(15, 4, 20), 'day');
+expectSky(12, 30, 'day', 'day', 0, 'day');
+expectSky(17, 15, 'dusk', 'day', smoothstep(15, 4, 20), 'day');
+expectSky(19, 1, 'night', 'dusk', smoothstep(1, -6, 4), 'dusk');
+
+// The real sun path passes through partial blends between two different skies
+let partial = 0;
+for (let hour = 0; hour < 24; hour += 0.25) {
+    cycle.setTime(hour);
+    const uniforms = sky.skyMesh.material.uniforms;
+    if (uniforms.blend.value > 0 && uniforms.blend.value < 1 && uniforms.tEquirect.value !== uniforms.tEquirectB.value) partial++;
+}
+assert.ok(partial > 0);
+
+// Missing layers fall back to the first one loaded
+await sky.loadLayers({ dusk: 'dusk-only.hdr' });
+sky.crossfade('night', 'day', 0.5);
+assert.equal(sky.skyMesh.material.uniforms.tEquirect.value, skyAssets.textures.get('dusk-only.hdr'));
+assert.equal(sky.skyMesh.material.uniforms.blend.value, 0);
+sky.dispose();
+
+console.log('✅ Day-night cycle crossfaded the HDRI layers');
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * export-terrain - Bake a region of terrain chunks to glTF/GLB or OBJ, plus an optional heightmap.
+ *
+ * Runs the same TerrainGenerator the engine uses, without a browser. Output is deterministic for
+ * a given seed / saved world, so --hash gives a fingerprint to snapshot-test terrain changes.
+ *
+ * Usage:
+ *   node tools/export-terrain.js --chunks -1,-1,1,1 --segments 64 --out terrain.glb
+ *   node tools/export-terrain.js --seed 42 --out terrain.obj --heightmap terrain.png --cell-size 0.5
+ *   node tools/export-terrain.js --world quicksave.world --out sculpted.gltf
+ *   node tools/export-terrain.js --hash
+ */
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { extname } from 'node:path';
+import { TerrainGenerator } from '../src/terrain/TerrainGenerator.js';
+import { buildTerrainRegion, encodeTerrainGLB, encodeTerrainGLTF, encodeTerrainOBJ } from '../src/terrain/TerrainExport.js';
+import { encodeHeightmapPNG, encodeHeightmapRaw } from '../src/terrain/HeightmapIO.js';
+import { decodeWorld } from '../src/world/WorldFormat.js';
+import { getTerrainGeneratorOptions } from '../src/world/WorldSerializer.js';
+
+const HELP = `Export terrain chunks to glTF/GLB or OBJ.
+
+Options:
+  --seed <n>            Noise seed (default 12345, the engine's)
+  --no-biomes           Plain noise terrain without biomes or vertex colours
+  --world <file>        Use the terrain of a saved world (.world or .world.json)
+  --chunks <x0,z0,x1,z1> Inclusive chunk range (default -1,-1,1,1; chunks are 100 units)
+  --segments <n>        Grid resolution per chunk edge (default 64)
+  --out <file>          Mesh output; format from the extension: .glb, .gltf or .obj (default terrain.glb)
+  --format <glb|gltf|obj> Override the output format
+  --heightmap <file>    Also write the region's heights: .png (16-bit) or .raw (float32)
+  --cell-size <n>       Heightmap sample spacing in world units (default 1)
+  --hash                Print a SHA-256 of the region's heights (no files unless --out is given)
+  -h, --help`;
+
+function parseChunkRange(text) {
+    const values = text.split(',').map(Number);
+    if (values.length !== 4 || values.some(v => !Number.isInteger(v))) {
+        throw new Error(`--chunks expects four integers "x0,z0,x1,z1", got "${text}"`);
+    }
+    const [minChunkX, minChunkZ, maxChunkX, maxChunkZ] = values;
+    if (maxChunkX < minChunkX || maxChunkZ < minChunkZ) throw new Error('--chunks: max must not be below min');
+    return { minChunkX, minChunkZ, maxChunkX, maxChunkZ };
+}
+
+function parseNumber(name, text, isValid, expected) {
+    const value = text.trim() === '' ? NaN : Number(text);
+    if (!isValid(value)) throw new Error(`--${name} expects ${expected}, got "${text}"`);
+    return value;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            seed: { type: 'string' },
+            'no-biomes': { type: 'boolean', default: false },
+            world: { type: 'string' },
+            chunks: { type: 'string', default: '-1,-1,1,1' },
+            segments: { type: 'string', default: '64' },
+            out: { type: 'string' },
+            format: { type: 'string' },
+            heightmap: { type: 'string' },
+            'cell-size': { type: 'string', default: '1' },
+            hash: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        console.log(HELP);
+        return;
+    }
+
+    let options = { biomes: !values['no-biomes'] };
+    if (values.world) {
+        const world = decodeWorld(new Uint8Array(await readFile(values.world)));
+        options = { ...options, ...getTerrainGeneratorOptions(world) };
+    }
+    if (values.seed !== undefined) options.seed = parseNumber('seed', values.seed, Number.isInteger, 'an integer');
+    const generator = new TerrainGenerator(options);
+
+    const range = parseChunkRange(values.chunks);
+    const segments = parseNumber('segments', values.segments, v => Number.isInteger(v) && v > 0, 'a positive integer');
+    const cellSize = parseNumber('cell-size', values['cell-size'], v => Number.isFinite(v) && v > 0, 'a positive number');
+    const size = generator.chunkSize;
+    const region = {
+        minX: range.minChunkX * size - size / 2,
+        minZ: range.minChunkZ * size - size / 2,
+        width: Math.round((range.maxChunkX - range.minChunkX + 1) * size / cellSize) + 1,
+        height: Math.round((range.maxChunkZ - range.minChunkZ + 1) * size / cellSize) + 1,
+        cellSize,
+    };
+
+    const out = values.out ?? (values.hash ? null : 'terrain.glb');
+    if (out) {
+        const format = values.format ?? (extname(out).slice(1).toLowerCase() || 'glb');
+        const chunks = buildTerrainRegion(generator, { ...range, segments });
+
+        let contents;
+        if (format === 'glb') contents = encodeTerrainGLB(chunks);
+        else if (format === 'gltf') contents = encodeTerrainGLTF(chunks);
+        else if (format === 'obj') contents = encodeTerrainOBJ(chunks);
+        else throw new Error(`Unknown format "${format}" (glb, gltf or obj)`);
+
+        await writeFile(out, contents);
+        console.log(`🗺️ Wrote ${chunks.length} chunks (${segments} segments) to ${out}`);
+    }
+
+    if (values.heightmap || values.hash) {
+        const heightmap = generator.exportHeightmap(region);
+        let min = Infinity;
+        let max = -Infinity;
+        for (const h of heightmap.data) {
+            min = Math.min(min, h);
+            max = Math.max(max, h);
+        }
+        const heightRange = `heights ${min.toFixed(4)}..${max.toFixed(4)}`;
+
+        if (values.heightmap) {
+            const contents = extname(values.heightmap).toLowerCase() === '.png'
+                ? encodeHeightmapPNG(heightmap)
+                : encodeHeightmapRaw(heightmap);
+            await writeFile(values.heightmap, contents);
+            // A PNG is normalized to the data range; the range is needed to turn it back into heights
+            console.log(`🗺️ Wrote ${heightmap.width}x${heightmap.height} heightmap to ${values.heightmap} (${heightRange})`);
+        }
+
+        if (values.hash) {
+            const hash = createHash('sha256').update(encodeHeightmapRaw(heightmap)).digest('hex');
+            console.log(`${hash}  ${heightmap.width}x${heightmap.height} ${heightRange}`);
+        }
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});